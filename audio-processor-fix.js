@@ -134,12 +134,60 @@ function formatSize(bytes) {
   }
 }
 
+/**
+ * Build an FFmpeg filter for dual-channel recordings (agent on one channel,
+ * customer on the other). Each section is muted and beeped only on the
+ * channel it was spoken on, and the stereo layout is kept.
+ * @param {Array<Object>} timestamps - Sections ({ start, end, action, channel? })
+ * @param {Object} config - Processing options (audioVolume, beepVolume, redactionMethod)
+ * @returns {string} - Filter complex
+ */
+function buildChannelFilter(timestamps, config) {
+  const channels = [0, 1];
+  let filterComplex = `[0:a]volume=${config.audioVolume},aformat=sample_fmts=fltp:sample_rates=44100:channel_layouts=stereo,channelsplit=channel_layout=stereo[ch0][ch1];`;
+  
+  channels.forEach(channel => {
+    // Sections without a channel (payment segments) are redacted on both channels
+    const sections = timestamps.filter(section =>
+      section.channel === undefined || section.channel === null || section.channel === channel);
+    const beepSections = config.redactionMethod === 'mute'
+      ? []
+      : sections.filter(section => section.action !== 'mute');
+    
+    // Mute this channel's sections
+    filterComplex += `[ch${channel}]`;
+    sections.forEach(section => {
+      filterComplex += `volume=enable='between(t,${section.start},${section.end})':volume=0,`;
+    });
+    
+    // A channel without beeps goes straight to the output
+    if (beepSections.length === 0) {
+      filterComplex += `anull[out${channel}];`;
+      return;
+    }
+    filterComplex += `anull[main${channel}];`;
+    
+    // One tone source per channel, sounding only during its beeped sections. amix would
+    // otherwise scale each input by 1/inputs, so normalize=0 keeps the call at its level.
+    const beepWindows = beepSections.map(section => `between(t,${section.start},${section.end})`).join('+');
+    const duration = Math.max(0.1, ...beepSections.map(section => section.end));
+    filterComplex += `aevalsrc='${config.beepVolume}*sin(1000*2*PI*t)*(${beepWindows})':d=${duration}:s=44100:c=mono[beep${channel}];`;
+    filterComplex += `[main${channel}][beep${channel}]amix=inputs=2:duration=longest:normalize=0[out${channel}];`;
+  });
+  
+  filterComplex += `[out0][out1]join=inputs=2:channel_layout=stereo`;
+  return filterComplex;
+}
+
 // Export the module functions
 module.exports = {
   // Include the disk space checking functions
   checkDiskSpace,
   formatSize,
   
+  // FFmpeg filter for dual-channel recordings
+  buildChannelFilter,
+  
   // When an error occurs during processing, create a silent file instead of copying the original
   processAudio: async function(inputPath, timestamps, outputPath, options = {}) {
     return new Promise(async (resolve, reject) => {
@@ -204,35 +252,46 @@ module.exports = {
         // Build a complex filter for FFmpeg to add beeps at sensitive sections
         let filterComplex = '';
         
-        // Start with the original audio stream and apply audio volume adjustment
-        filterComplex += '[0:a]volume=' + config.audioVolume + ',';
+        if (config.multichannel) {
+          // Dual-channel recordings are beeped per channel
+          logger.info('Multichannel mode: redacting each channel separately');
+          filterComplex = buildChannelFilter(timestamps, config);
+        } else {
+          // Start with the original audio stream and apply audio volume adjustment
+          filterComplex += '[0:a]volume=' + config.audioVolume + ',';
         
-        // Add volume filters for each sensitive section to mute the original audio
-        timestamps.forEach((section, index) => {
-          filterComplex += `volume=enable='between(t,${section.start},${section.end})':volume=0,`;
-        });
+          // Add volume filters for each sensitive section to mute the original audio
+          timestamps.forEach((section, index) => {
+            filterComplex += `volume=enable='between(t,${section.start},${section.end})':volume=0,`;
+          });
+        
+          // End the chain with the output label
+          filterComplex += `aformat=sample_fmts=fltp:sample_rates=44100:channel_layouts=stereo[main];`;
         
-        // End the chain with the output label
-        filterComplex += `aformat=sample_fmts=fltp:sample_rates=44100:channel_layouts=stereo[main];`;
+          // Sections whose action is 'mute' are silenced without a beep
+          const beepSections = config.redactionMethod === 'mute'
+            ? []
+            : timestamps.filter(section => section.action !== 'mute');
         
-        // Generate beep tones for each sensitive section
-        timestamps.forEach((section, index) => {
-          const duration = section.end - section.start;
-          // Create a beep tone with the user-specified volume
-          filterComplex += `aevalsrc=${config.beepVolume}*sin(1000*2*PI*t):d=${duration}:s=44100:c=stereo[beep${index}];`;
+          // Generate beep tones for each beeped section
+          beepSections.forEach((section, index) => {
+            const duration = section.end - section.start;
+            // Create a beep tone with the user-specified volume
+            filterComplex += `aevalsrc=${config.beepVolume}*sin(1000*2*PI*t):d=${duration}:s=44100:c=stereo[beep${index}];`;
           
-          // Delay the beep to match the timestamp
-          filterComplex += `[beep${index}]adelay=${Math.round(section.start * 1000)}|${Math.round(section.start * 1000)}[adelayed${index}];`;
-        });
+            // Delay the beep to match the timestamp
+            filterComplex += `[beep${index}]adelay=${Math.round(section.start * 1000)}|${Math.round(section.start * 1000)}[adelayed${index}];`;
+          });
         
-        // Mix the main audio with all beep tones
-        filterComplex += `[main]`;
-        timestamps.forEach((section, index) => {
-          filterComplex += `[adelayed${index}]`;
-        });
+          // Mix the main audio with all beep tones
+          filterComplex += `[main]`;
+          beepSections.forEach((section, index) => {
+            filterComplex += `[adelayed${index}]`;
+          });
         
-        // Final mix
-        filterComplex += `amix=inputs=${timestamps.length + 1}:duration=longest`;
+          // Final mix
+          filterComplex += `amix=inputs=${beepSections.length + 1}:duration=longest`;
+        }
         
         logger.info(`FFmpeg filter complex: ${filterComplex}`);
         
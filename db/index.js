@@ -28,6 +28,74 @@ pool.on('error', (err) => {
   process.exit(-1);
 });
 
+/**
+ * Insert one version of a recording's redacted outputs: audio, transcripts, names,
+ * vault values and detections, and the version record
+ * @param {Object} client - Client with an open transaction
+ * @param {number} recordingId - Recording ID
+ * @param {number} version - Version number (1 for the upload)
+ * @param {string} source - 'upload' or 'reprocess'
+ * @param {Object} recording - Recording data (see storeRecording)
+ * @param {Buffer|string} redactedAudioData - Redacted audio data as Buffer or base64 string
+ * @param {string} contentType - MIME type of the audio file
+ * @param {string} redactedTranscript - Redacted transcript text
+ */
+async function insertVersion(client, recordingId, version, source, recording, redactedAudioData, contentType, redactedTranscript) {
+  // Convert Buffer to base64 if needed
+  const base64Data = Buffer.isBuffer(redactedAudioData) 
+    ? redactedAudioData.toString('base64') 
+    : redactedAudioData;
+  
+  // Insert redacted audio
+  await client.query(
+    'INSERT INTO redacted_audio (recording_id, version, content_type, data) VALUES ($1, $2, $3, $4)',
+    [recordingId, version, contentType, base64Data]
+  );
+  
+  // Insert redacted transcript
+  await client.query(
+    'INSERT INTO redacted_transcripts (recording_id, version, content, metadata) VALUES ($1, $2, $3, $4)',
+    [recordingId, version, redactedTranscript, recording.transcriptMetadata ? JSON.stringify(recording.transcriptMetadata) : null]
+  );
+  
+  // Insert the redacted word-level transcript
+  if (recording.wordTranscript) {
+    await client.query(
+      'INSERT INTO redacted_word_transcripts (recording_id, version, document) VALUES ($1, $2, $3)',
+      [recordingId, version, JSON.stringify(recording.wordTranscript)]
+    );
+  }
+  
+  // Insert names found in the recording with their pseudonyms
+  for (const person of recording.names || []) {
+    await client.query(
+      'INSERT INTO recording_names (recording_id, pseudonym, name, mentions) VALUES ($1, $2, $3, $4)',
+      [recordingId, person.pseudonym, person.name, person.mentions || 0]
+    );
+  }
+  
+  // Insert values tokenized for the vault, already encrypted
+  for (const entry of recording.vaultEntries || []) {
+    await client.query(
+      'INSERT INTO vault_entries (token, recording_id, type, encrypted_value, expires_at) VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))',
+      [entry.token, recordingId, entry.type, entry.encryptedValue, recording.vaultRetentionDays]
+    );
+  }
+  
+  // Insert every detection with its confidence score and outcome
+  for (const detection of recording.detections || []) {
+    await client.query(
+      'INSERT INTO recording_detections (recording_id, version, type, start_time, end_time, action, status, confidence, validated, reason) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)',
+      [recordingId, version, detection.type, detection.start, detection.end, detection.action, detection.status, detection.confidence, detection.validated, detection.reason]
+    );
+  }
+  
+  await client.query(
+    'INSERT INTO recording_versions (recording_id, version, source, sensitive_info_count, processing_options) VALUES ($1, $2, $3, $4, $5)',
+    [recordingId, version, source, recording.sensitiveInfoCount, recording.settings ? JSON.stringify(recording.settings) : null]
+  );
+}
+
 /**
  * Database utility functions
  */
@@ -37,10 +105,17 @@ const db = {
    * @param {Object} recording - Recording metadata
    * @param {string} recording.originalFileName - Original file name
    * @param {number} recording.sensitiveInfoCount - Number of sensitive items found
+   * @param {Array<Object>} [recording.names] - People found ({ pseudonym, name, mentions })
+   * @param {Array<Object>} [recording.detections] - Detections ({ type, start, end, action, status, confidence, validated, reason })
+   * @param {Object} [recording.settings] - Processing options used for the job (padding, thresholds, policies)
+   * @param {Object} [recording.transcriptMetadata] - Transcript metadata ({ maskingStyles, masked })
+   * @param {Object} [recording.wordTranscript] - Redacted word-level transcript ({ speakers, words, ... })
+   * @param {Array<Object>} [recording.vaultEntries] - Encrypted vault values ({ token, type, encryptedValue })
+   * @param {number} [recording.vaultRetentionDays] - Days until the vault values expire
    * @param {Buffer|string} redactedAudioData - Redacted audio data as Buffer or base64 string
    * @param {string} contentType - MIME type of the audio file
    * @param {string} redactedTranscript - Redacted transcript text
-   * @returns {Promise<Object>} - The created recording with ID
+   * @returns {Promise<Object>} - The created recording with ID (stored as version 1)
    */
   async storeRecording(recording, redactedAudioData, contentType, redactedTranscript) {
     const client = await pool.connect();
@@ -51,35 +126,66 @@ const db = {
       
       // Insert recording metadata
       const recordingResult = await client.query(
-        'INSERT INTO recordings (original_filename, upload_date, sensitive_info_count) VALUES ($1, NOW(), $2) RETURNING *',
-        [recording.originalFileName, recording.sensitiveInfoCount]
+        'INSERT INTO recordings (original_filename, upload_date, sensitive_info_count, processing_options) VALUES ($1, NOW(), $2, $3) RETURNING *',
+        [recording.originalFileName, recording.sensitiveInfoCount, recording.settings ? JSON.stringify(recording.settings) : null]
       );
       
       const recordingId = recordingResult.rows[0].id;
       
-      // Convert Buffer to base64 if needed
-      const base64Data = Buffer.isBuffer(redactedAudioData) 
-        ? redactedAudioData.toString('base64') 
-        : redactedAudioData;
+      await insertVersion(client, recordingId, 1, 'upload', recording, redactedAudioData, contentType, redactedTranscript);
+      
+      // Commit transaction
+      await client.query('COMMIT');
+      
+      return recordingResult.rows[0];
+    } catch (err) {
+      // Rollback transaction on error
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+  
+  /**
+   * Store a new version of a recording's redacted outputs, made by reprocessing the
+   * latest version. The recording's sensitive information count grows by the new sections.
+   * @param {number|string} recordingId - Recording ID
+   * @param {Object} recording - Recording data for the new version (see storeRecording;
+   *   names holds only people not stored before)
+   * @param {Buffer|string} redactedAudioData - Redacted audio data as Buffer or base64 string
+   * @param {string} contentType - MIME type of the audio file
+   * @param {string} redactedTranscript - Redacted transcript text
+   * @returns {Promise<number|null>} - The new version number, or null if the recording no longer exists
+   */
+  async storeRecordingVersion(recordingId, recording, redactedAudioData, contentType, redactedTranscript) {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
       
-      // Insert redacted audio
-      await client.query(
-        'INSERT INTO redacted_audio (recording_id, content_type, data) VALUES ($1, $2, $3)',
-        [recordingId, contentType, base64Data]
+      // Lock the recording so concurrent reprocessing cannot take the same version number
+      const recordingResult = await client.query(
+        'UPDATE recordings SET sensitive_info_count = sensitive_info_count + $2 WHERE id = $1 RETURNING id',
+        [recordingId, recording.sensitiveInfoCount]
       );
+      if (recordingResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
       
-      // Insert redacted transcript
-      await client.query(
-        'INSERT INTO redacted_transcripts (recording_id, content) VALUES ($1, $2)',
-        [recordingId, redactedTranscript]
+      const versionResult = await client.query(
+        'SELECT COALESCE(MAX(version), 1) + 1 AS version FROM redacted_audio WHERE recording_id = $1',
+        [recordingId]
       );
+      const version = versionResult.rows[0].version;
+      
+      await insertVersion(client, recordingId, version, 'reprocess', recording, redactedAudioData, contentType, redactedTranscript);
       
-      // Commit transaction
       await client.query('COMMIT');
       
-      return recordingResult.rows[0];
+      return version;
     } catch (err) {
-      // Rollback transaction on error
       await client.query('ROLLBACK');
       throw err;
     } finally {
@@ -87,6 +193,32 @@ const db = {
     }
   },
   
+  /**
+   * Get the versions of a recording's redacted outputs
+   * @param {number|string} recordingId - Recording ID
+   * @returns {Promise<Array>} - Array of { version, source, sensitive_info_count, processing_options, created_at }
+   */
+  async getRecordingVersions(recordingId) {
+    const result = await pool.query(
+      'SELECT version, source, sensitive_info_count, processing_options, created_at FROM recording_versions WHERE recording_id = $1 ORDER BY version',
+      [recordingId]
+    );
+    return result.rows;
+  },
+  
+  /**
+   * Get the IDs of recordings uploaded in a date range
+   * @param {Object} range - { from, to } dates; either may be left out
+   * @returns {Promise<Array<number>>} - Recording IDs, oldest first
+   */
+  async getRecordingIdsByDate(range = {}) {
+    const result = await pool.query(
+      'SELECT id FROM recordings WHERE ($1::timestamp IS NULL OR upload_date >= $1) AND ($2::timestamp IS NULL OR upload_date < $2) ORDER BY upload_date, id',
+      [range.from || null, range.to || null]
+    );
+    return result.rows.map(row => row.id);
+  },
+  
   /**
    * Get all recordings
    * @returns {Promise<Array>} - Array of recording objects
@@ -105,7 +237,7 @@ const db = {
    */
   async getRecordingById(id) {
     const result = await pool.query(
-      'SELECT id, original_filename, upload_date, sensitive_info_count FROM recordings WHERE id = $1',
+      'SELECT id, original_filename, upload_date, sensitive_info_count, processing_options FROM recordings WHERE id = $1',
       [id]
     );
     
@@ -117,14 +249,15 @@ const db = {
   },
   
   /**
-   * Get redacted audio for a recording
+   * Get the redacted audio for a recording
    * @param {number|string} recordingId - Recording ID
-   * @returns {Promise<Object>} - Object with content_type and data (base64)
+   * @param {number} [version] - Version to get; the latest when left out
+   * @returns {Promise<Object>} - Object with content_type, data (base64) and version
    */
-  async getRedactedAudio(recordingId) {
+  async getRedactedAudio(recordingId, version = null) {
     const result = await pool.query(
-      'SELECT content_type, data FROM redacted_audio WHERE recording_id = $1',
-      [recordingId]
+      'SELECT content_type, data, version FROM redacted_audio WHERE recording_id = $1 AND ($2::int IS NULL OR version = $2) ORDER BY version DESC, id DESC LIMIT 1',
+      [recordingId, version]
     );
     
     if (result.rows.length === 0) {
@@ -135,14 +268,15 @@ const db = {
   },
   
   /**
-   * Get redacted transcript for a recording
+   * Get the redacted transcript for a recording
    * @param {number|string} recordingId - Recording ID
+   * @param {number} [version] - Version to get; the latest when left out
    * @returns {Promise<string>} - Transcript text
    */
-  async getRedactedTranscript(recordingId) {
+  async getRedactedTranscript(recordingId, version = null) {
     const result = await pool.query(
-      'SELECT content FROM redacted_transcripts WHERE recording_id = $1',
-      [recordingId]
+      'SELECT content FROM redacted_transcripts WHERE recording_id = $1 AND ($2::int IS NULL OR version = $2) ORDER BY version DESC, id DESC LIMIT 1',
+      [recordingId, version]
     );
     
     if (result.rows.length === 0) {
@@ -152,6 +286,107 @@ const db = {
     return result.rows[0].content;
   },
   
+  /**
+   * Get the metadata stored with a recording's redacted transcript
+   * @param {number|string} recordingId - Recording ID
+   * @returns {Promise<Object|null>} - { maskingStyles, masked }, or null
+   */
+  async getTranscriptMetadata(recordingId) {
+    const result = await pool.query(
+      'SELECT metadata FROM redacted_transcripts WHERE recording_id = $1 ORDER BY version DESC, id DESC LIMIT 1',
+      [recordingId]
+    );
+    
+    if (result.rows.length === 0) {
+      return null;
+    }
+    
+    return result.rows[0].metadata;
+  },
+  
+  /**
+   * Get the latest redacted word-level transcript for a recording
+   * @param {number|string} recordingId - Recording ID
+   * @returns {Promise<Object|null>} - { version, provider, language, multichannel, speakers, words }, or null
+   */
+  async getWordTranscript(recordingId) {
+    const result = await pool.query(
+      'SELECT document FROM redacted_word_transcripts WHERE recording_id = $1 ORDER BY version DESC, id DESC LIMIT 1',
+      [recordingId]
+    );
+    
+    if (result.rows.length === 0) {
+      return null;
+    }
+    
+    return result.rows[0].document;
+  },
+  
+  /**
+   * Get an unexpired vault entry
+   * @param {string} token - Vault token
+   * @returns {Promise<Object|null>} - { token, recording_id, type, encrypted_value, created_at, expires_at }, or null
+   */
+  async getVaultEntry(token) {
+    const result = await pool.query(
+      'SELECT token, recording_id, type, encrypted_value, created_at, expires_at FROM vault_entries WHERE token = $1 AND expires_at > NOW()',
+      [token]
+    );
+    
+    if (result.rows.length === 0) {
+      return null;
+    }
+    
+    return result.rows[0];
+  },
+  
+  /**
+   * Record an attempt to recover a vault value
+   * @param {Object} access - { token, recordingId, role, outcome, reason, ipAddress }
+   * @returns {Promise<void>}
+   */
+  async logVaultAccess(access) {
+    await pool.query(
+      'INSERT INTO vault_access_log (token, recording_id, role, outcome, reason, ip_address) VALUES ($1, $2, $3, $4, $5, $6)',
+      [access.token, access.recordingId || null, access.role || null, access.outcome, access.reason || null, access.ipAddress || null]
+    );
+  },
+  
+  /**
+   * Delete vault entries past their expiry date
+   * @returns {Promise<number>} - Number of entries deleted
+   */
+  async deleteExpiredVaultEntries() {
+    const result = await pool.query('DELETE FROM vault_entries WHERE expires_at <= NOW()');
+    return result.rowCount;
+  },
+  
+  /**
+   * Get the names found in a recording and the pseudonyms used for them
+   * @param {number|string} recordingId - Recording ID
+   * @returns {Promise<Array>} - Array of { pseudonym, name, mentions }
+   */
+  async getRecordingNames(recordingId) {
+    const result = await pool.query(
+      'SELECT pseudonym, name, mentions FROM recording_names WHERE recording_id = $1 ORDER BY id',
+      [recordingId]
+    );
+    return result.rows;
+  },
+  
+  /**
+   * Get the detections stored for a recording
+   * @param {number|string} recordingId - Recording ID
+   * @returns {Promise<Array>} - Array of detection rows ordered by start time
+   */
+  async getRecordingDetections(recordingId) {
+    const result = await pool.query(
+      'SELECT version, type, start_time, end_time, action, status, confidence, validated, reason FROM recording_detections WHERE recording_id = $1 ORDER BY start_time, id',
+      [recordingId]
+    );
+    return result.rows;
+  },
+  
   /**
    * Delete a recording and its associated data
    * @param {number|string} id - Recording ID
@@ -167,6 +402,74 @@ const db = {
     return result.rowCount > 0;
   },
   
+  /**
+   * Get detection rules
+   * @param {Object} options - { enabledOnly } to return only enabled rules
+   * @returns {Promise<Array>} - Array of rule rows
+   */
+  async getDetectionRules(options = {}) {
+    const result = await pool.query(
+      options.enabledOnly
+        ? 'SELECT * FROM detection_rules WHERE enabled = TRUE ORDER BY id'
+        : 'SELECT * FROM detection_rules ORDER BY id'
+    );
+    return result.rows;
+  },
+  
+  /**
+   * Get a detection rule by ID
+   * @param {number|string} id - Rule ID
+   * @returns {Promise<Object>} - Rule row, or null if not found
+   */
+  async getDetectionRuleById(id) {
+    const result = await pool.query('SELECT * FROM detection_rules WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+  
+  /**
+   * Create a detection rule
+   * @param {Object} rule - Normalized rule (see redaction/custom-rules.js)
+   * @returns {Promise<Object>} - The created rule row
+   */
+  async createDetectionRule(rule) {
+    const result = await pool.query(
+      `INSERT INTO detection_rules
+        (name, kind, pattern, type, label, action, padding_before_ms, padding_after_ms, follow_words, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+      [rule.name, rule.kind, rule.pattern, rule.type, rule.label, rule.action,
+        rule.paddingBeforeMs, rule.paddingAfterMs, rule.followWords, rule.enabled]
+    );
+    return result.rows[0];
+  },
+  
+  /**
+   * Replace a detection rule's settings
+   * @param {number|string} id - Rule ID
+   * @param {Object} rule - Normalized rule (see redaction/custom-rules.js)
+   * @returns {Promise<Object>} - The updated rule row, or null if not found
+   */
+  async updateDetectionRule(id, rule) {
+    const result = await pool.query(
+      `UPDATE detection_rules SET
+        name = $2, kind = $3, pattern = $4, type = $5, label = $6, action = $7,
+        padding_before_ms = $8, padding_after_ms = $9, follow_words = $10, enabled = $11, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [id, rule.name, rule.kind, rule.pattern, rule.type, rule.label, rule.action,
+        rule.paddingBeforeMs, rule.paddingAfterMs, rule.followWords, rule.enabled]
+    );
+    return result.rows[0] || null;
+  },
+  
+  /**
+   * Delete a detection rule
+   * @param {number|string} id - Rule ID
+   * @returns {Promise<boolean>} - True if deleted, false if not found
+   */
+  async deleteDetectionRule(id) {
+    const result = await pool.query('DELETE FROM detection_rules WHERE id = $1 RETURNING id', [id]);
+    return result.rowCount > 0;
+  },
+  
   /**
    * Close the database connection pool
    */
@@ -26,29 +26,142 @@ CREATE TABLE IF NOT EXISTS recordings (
   id SERIAL PRIMARY KEY,
   original_filename VARCHAR(255) NOT NULL,
   upload_date TIMESTAMP NOT NULL DEFAULT NOW(),
-  sensitive_info_count INTEGER NOT NULL DEFAULT 0
+  sensitive_info_count INTEGER NOT NULL DEFAULT 0,
+  processing_options JSONB
 );
 
+-- Columns added to recordings after its first release
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS processing_options JSONB;
+
 -- Table for storing redacted audio files only
 CREATE TABLE IF NOT EXISTS redacted_audio (
   id SERIAL PRIMARY KEY,
   recording_id INTEGER REFERENCES recordings(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL DEFAULT 1,
   content_type VARCHAR(100) NOT NULL,
   data TEXT NOT NULL,
   created_at TIMESTAMP NOT NULL DEFAULT NOW()
 );
 
+-- Columns added to redacted_audio after its first release
+ALTER TABLE redacted_audio ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
 -- Table for storing redacted transcripts only
 CREATE TABLE IF NOT EXISTS redacted_transcripts (
   id SERIAL PRIMARY KEY,
   recording_id INTEGER REFERENCES recordings(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL DEFAULT 1,
   content TEXT NOT NULL,
+  metadata JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Columns added to redacted_transcripts after its first release
+ALTER TABLE redacted_transcripts ADD COLUMN IF NOT EXISTS metadata JSONB;
+ALTER TABLE redacted_transcripts ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+-- Table for storing the redacted word-level transcript (words with timings, speakers and confidences)
+CREATE TABLE IF NOT EXISTS redacted_word_transcripts (
+  id SERIAL PRIMARY KEY,
+  recording_id INTEGER REFERENCES recordings(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL DEFAULT 1,
+  document JSONB NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Columns added to redacted_word_transcripts after its first release
+ALTER TABLE redacted_word_transcripts ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+-- Table for storing the names found in a recording and their pseudonyms
+CREATE TABLE IF NOT EXISTS recording_names (
+  id SERIAL PRIMARY KEY,
+  recording_id INTEGER REFERENCES recordings(id) ON DELETE CASCADE,
+  pseudonym VARCHAR(32) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  mentions INTEGER NOT NULL DEFAULT 0,
   created_at TIMESTAMP NOT NULL DEFAULT NOW()
 );
 
+-- Table for storing every detection in a recording with its confidence score and outcome
+CREATE TABLE IF NOT EXISTS recording_detections (
+  id SERIAL PRIMARY KEY,
+  recording_id INTEGER REFERENCES recordings(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL DEFAULT 1,
+  type VARCHAR(100) NOT NULL,
+  start_time REAL NOT NULL,
+  end_time REAL NOT NULL,
+  action VARCHAR(20),
+  status VARCHAR(20) NOT NULL,
+  confidence REAL,
+  validated BOOLEAN,
+  reason VARCHAR(255),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Columns added to recording_detections after its first release
+ALTER TABLE recording_detections ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+-- Table for each version of a recording's redacted outputs (1 from the upload, then one per reprocessing)
+CREATE TABLE IF NOT EXISTS recording_versions (
+  id SERIAL PRIMARY KEY,
+  recording_id INTEGER REFERENCES recordings(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  source VARCHAR(20) NOT NULL DEFAULT 'upload',
+  sensitive_info_count INTEGER NOT NULL DEFAULT 0,
+  processing_options JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (recording_id, version)
+);
+
+-- Table for values tokenized with the vault masking style, encrypted with the server key
+CREATE TABLE IF NOT EXISTS vault_entries (
+  id SERIAL PRIMARY KEY,
+  token VARCHAR(64) NOT NULL UNIQUE,
+  recording_id INTEGER REFERENCES recordings(id) ON DELETE CASCADE,
+  type VARCHAR(100) NOT NULL,
+  encrypted_value TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL
+);
+
+-- Audit trail of every attempt to recover a vault value (kept after the entry expires)
+CREATE TABLE IF NOT EXISTS vault_access_log (
+  id SERIAL PRIMARY KEY,
+  token VARCHAR(64) NOT NULL,
+  recording_id INTEGER,
+  role VARCHAR(100),
+  outcome VARCHAR(20) NOT NULL,
+  reason TEXT,
+  ip_address VARCHAR(100),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Table for admin-managed regex and keyword detection rules
+CREATE TABLE IF NOT EXISTS detection_rules (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  kind VARCHAR(20) NOT NULL DEFAULT 'regex',
+  pattern TEXT NOT NULL,
+  type VARCHAR(100) NOT NULL DEFAULT 'customRule',
+  label VARCHAR(100) NOT NULL,
+  action VARCHAR(20) NOT NULL DEFAULT 'beep',
+  padding_before_ms INTEGER NOT NULL DEFAULT 0,
+  padding_after_ms INTEGER NOT NULL DEFAULT 0,
+  follow_words INTEGER NOT NULL DEFAULT 0,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_redacted_audio_recording_id ON redacted_audio(recording_id);
 CREATE INDEX IF NOT EXISTS idx_redacted_transcripts_recording_id ON redacted_transcripts(recording_id);
+CREATE INDEX IF NOT EXISTS idx_redacted_word_transcripts_recording_id ON redacted_word_transcripts(recording_id);
+CREATE INDEX IF NOT EXISTS idx_recording_names_recording_id ON recording_names(recording_id);
+CREATE INDEX IF NOT EXISTS idx_recording_detections_recording_id ON recording_detections(recording_id);
+CREATE INDEX IF NOT EXISTS idx_recording_versions_recording_id ON recording_versions(recording_id);
+CREATE INDEX IF NOT EXISTS idx_vault_entries_expires_at ON vault_entries(expires_at);
+CREATE INDEX IF NOT EXISTS idx_vault_access_log_token ON vault_access_log(token);
 `;
 
 // Function to set up the database
@@ -9,6 +9,8 @@ const cors = require('cors');
 const util = require('util');
 const mkdir = util.promisify(fs.mkdir);
 const { createLogger, format, transports } = require('winston');
+const numberNormalizer = require('../redaction/number-normalizer');
+const detectorRegistry = require('../redaction/detector-registry');
 
 // Configure logger
 const logger = createLogger({
@@ -69,18 +71,16 @@ const upload = multer({
   }
 });
 
+// Load custom detectors from the plugin directory
+const detectorPlugins = detectorRegistry.loadPlugins();
+detectorPlugins.loaded.forEach(type => logger.info(`Loaded custom detector: ${type}`));
+detectorPlugins.errors.forEach(pluginError => {
+  logger.error(`Error loading detector plugin ${pluginError.file}`, { error: pluginError.error });
+});
+
 // Initialize Deepgram for speech-to-text
 const deepgram = new Deepgram(process.env.DEEPGRAM_API_KEY || 'YOUR_DEEPGRAM_API_KEY');
 
-// Sensitive information patterns
-const patterns = {
-  ssn: /\b\d{3}[-\s]?\d{2}[-\s]?\d{4}\b/g,
-  creditCard: /\b\d{4}[-\s]?\d{4}[-\s]?\d{4}[-\s]?\d{4}\b/g,
-  phoneNumber: /\b\d{3}[-\s]?\d{3}[-\s]?\d{4}\b/g,
-  bankAccount: /\b\d{8,17}\b/g,
-  routingNumber: /\b\d{9}\b/g
-};
-
 // Simple in-memory database
 // In production, replace with a real database
 const callDatabase = [];
@@ -103,71 +103,25 @@ const ensureDirectories = async () => {
 
 // Function to find sensitive info with timestamps
 function findSensitiveInfoWithTimestamps(transcript) {
-  const sensitiveSections = [];
-  
-  if (transcript && transcript.words) {
-    let currentMatch = null;
-    
-    for (let i = 0; i < transcript.words.length; i++) {
-      const word = transcript.words[i];
-      const text = word.word;
-      
-      // Check if this word contains sensitive information
-      let isSensitive = false;
-      Object.values(patterns).forEach(pattern => {
-        if (pattern.test(text)) {
-          isSensitive = true;
-        }
-      });
-      
-      // Also check if combining with nearby words creates sensitive info
-      if (!isSensitive && i < transcript.words.length - 3) {
-        const combinedText = transcript.words.slice(i, i + 4).map(w => w.word).join(' ');
-        Object.values(patterns).forEach(pattern => {
-          if (pattern.test(combinedText)) {
-            isSensitive = true;
-          }
-        });
-      }
-      
-      if (isSensitive) {
-        if (!currentMatch) {
-          // Start a new sensitive section
-          currentMatch = {
-            start: parseFloat(word.start),
-            end: parseFloat(word.end)
-          };
-        } else {
-          // Extend the current sensitive section
-          currentMatch.end = parseFloat(word.end);
-        }
-      } else if (currentMatch) {
-        // End the current sensitive section and add a bit of buffer
-        currentMatch.end += 0.2; // Add 200ms buffer
-        sensitiveSections.push(currentMatch);
-        currentMatch = null;
-      }
-    }
-    
-    // Add the last section if there is one
-    if (currentMatch) {
-      currentMatch.end += 0.2; // Add 200ms buffer
-      sensitiveSections.push(currentMatch);
-    }
+  if (!transcript || !transcript.words) {
+    return [];
   }
   
-  return sensitiveSections;
+  // Same detectors as the main server, including plugins from plugins/detectors
+  const words = numberNormalizer.normalizeWords(transcript.words);
+  const { matches } = detectorRegistry.findMatches(words);
+  
+  return matches
+    .filter(match => match.action !== 'mask')
+    .map(match => ({
+      start: match.start,
+      end: match.end + 0.2 // Add 200ms buffer
+    }));
 }
 
 // Function to redact text
 function redactSensitiveInfo(text) {
-  let redactedText = text;
-  
-  Object.entries(patterns).forEach(([type, pattern]) => {
-    redactedText = redactedText.replace(pattern, `[REDACTED ${type.toUpperCase()}]`);
-  });
-  
-  return redactedText;
+  return detectorRegistry.redactText(text);
 }
 
 /**
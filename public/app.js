@@ -105,6 +105,7 @@ document.addEventListener('DOMContentLoaded', function() {
         updateFilePreview(selectedFiles);
         uploadBtn.disabled = selectedFiles.length === 0;
         dropArea.classList.add('has-file');
+        updateTranscriptionEstimate();
     }
     
     function updateFilePreview(files) {
@@ -170,6 +171,7 @@ document.addEventListener('DOMContentLoaded', function() {
                 selectedFiles.splice(index, 1);
                 updateFilePreview(selectedFiles);
                 uploadBtn.disabled = selectedFiles.length === 0;
+                updateTranscriptionEstimate();
                 if (selectedFiles.length === 0) {
                     dropArea.classList.remove('has-file');
                 }
@@ -195,6 +197,7 @@ document.addEventListener('DOMContentLoaded', function() {
         fileInput.value = '';
         uploadBtn.disabled = true;
         dropArea.classList.remove('has-file');
+        transcriptionEstimate.classList.add('hidden');
     });
     
     // Settings handling
@@ -204,6 +207,111 @@ document.addEventListener('DOMContentLoaded', function() {
     const audioVolumeValueDisplay = document.getElementById('audio-volume-value');
     const deepgramApiKeyInput = document.getElementById('deepgram-api-key');
     const saveApiKeyBtn = document.getElementById('save-api-key');
+    const multichannelCheckbox = document.getElementById('multichannel');
+    const agentChannelSelect = document.getElementById('agent-channel');
+    const paymentSegmentCheckbox = document.getElementById('payment-segment-mode');
+    const callLanguageSelect = document.getElementById('call-language');
+    const transcriptionProviderSelect = document.getElementById('transcription-provider');
+    const organizationInput = document.getElementById('organization');
+    const deepgramKeytermsInput = document.getElementById('deepgram-keyterms');
+    const deepgramSecondOpinionCheckbox = document.getElementById('deepgram-second-opinion');
+    const transcriptionEstimate = document.getElementById('transcription-estimate');
+    
+    const PROVIDER_LABELS = {
+        deepgram: 'Deepgram',
+        whisper: 'Local (whisper.cpp)',
+        fixture: 'Stored fixtures'
+    };
+    
+    // Local transcriptions expected to take longer than this are called out before upload
+    const SLOW_TRANSCRIPTION_SECONDS = 60;
+    
+    // Audio length of each selected file in seconds, read by the browser
+    const fileDurations = new WeakMap();
+    
+    function formatDuration(seconds) {
+        if (seconds < 90) {
+            return `${Math.round(seconds)} seconds`;
+        }
+        return `${Math.round(seconds / 60)} minutes`;
+    }
+    
+    function fileDuration(file) {
+        if (fileDurations.has(file)) {
+            return Promise.resolve(fileDurations.get(file));
+        }
+        
+        return new Promise(resolve => {
+            const audio = document.createElement('audio');
+            const url = URL.createObjectURL(file);
+            const done = (seconds) => {
+                URL.revokeObjectURL(url);
+                fileDurations.set(file, seconds);
+                resolve(seconds);
+            };
+            audio.preload = 'metadata';
+            audio.addEventListener('loadedmetadata', () => done(isFinite(audio.duration) ? audio.duration : 0));
+            audio.addEventListener('error', () => done(0));
+            audio.src = url;
+        });
+    }
+    
+    // Fill the provider list; providers that are not set up on the server are left out
+    async function loadTranscriptionProviders() {
+        try {
+            const response = await fetch('/api/transcription/providers');
+            const data = await response.json();
+            
+            data.providers.filter(provider => provider.available).forEach(provider => {
+                const option = document.createElement('option');
+                option.value = provider.name;
+                option.textContent = PROVIDER_LABELS[provider.name] || provider.name;
+                transcriptionProviderSelect.appendChild(option);
+            });
+            
+            const defaultLabel = PROVIDER_LABELS[data.defaultProvider] || data.defaultProvider;
+            transcriptionProviderSelect.options[0].textContent = `Server default (${defaultLabel})`;
+        } catch (error) {
+            console.error('Error loading transcription providers:', error);
+        }
+    }
+    
+    // Warn before uploading when the chosen provider is local and the files will take a while
+    async function updateTranscriptionEstimate() {
+        const durations = await Promise.all(selectedFiles.map(fileDuration));
+        const totalSeconds = durations.reduce((total, seconds) => total + seconds, 0);
+        
+        if (totalSeconds <= 0) {
+            transcriptionEstimate.classList.add('hidden');
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/transcription/providers?durationSeconds=${totalSeconds}`);
+            const data = await response.json();
+            const providerName = transcriptionProviderSelect.value || data.defaultProvider;
+            const provider = data.providers.find(p => p.name === providerName);
+            
+            if (!provider || !provider.local || !(provider.estimatedSeconds >= SLOW_TRANSCRIPTION_SECONDS)) {
+                transcriptionEstimate.classList.add('hidden');
+                return;
+            }
+            
+            const deepgram = data.providers.find(p => p.name === 'deepgram');
+            let message = `Local transcription runs on this server's CPU and should take about ${formatDuration(provider.estimatedSeconds)} for ${formatDuration(totalSeconds)} of audio.`;
+            if (deepgram && deepgram.available && deepgram.estimatedSeconds) {
+                message += ` Deepgram would take about ${formatDuration(deepgram.estimatedSeconds)}.`;
+            }
+            transcriptionEstimate.textContent = message;
+            transcriptionEstimate.classList.remove('hidden');
+        } catch (error) {
+            console.error('Error estimating transcription time:', error);
+            transcriptionEstimate.classList.add('hidden');
+        }
+    }
+    
+    transcriptionProviderSelect.addEventListener('change', updateTranscriptionEstimate);
+    loadTranscriptionProviders();
     
     // Update volume displays when sliders change
     beepVolumeSlider.addEventListener('input', () => {
@@ -245,6 +353,187 @@ document.addEventListener('DOMContentLoaded', function() {
             alert(`Error saving API key: ${error.message || 'Network error'}`);
         }
     });
+
+    // Detection rules management
+    const rulesList = document.getElementById('rules-list');
+    const ruleNameInput = document.getElementById('rule-name');
+    const ruleKindSelect = document.getElementById('rule-kind');
+    const rulePatternInput = document.getElementById('rule-pattern');
+    const ruleActionSelect = document.getElementById('rule-action');
+    const rulePaddingInput = document.getElementById('rule-padding');
+    const ruleFollowWordsInput = document.getElementById('rule-follow-words');
+    const ruleTestTextInput = document.getElementById('rule-test-text');
+    const ruleTestResult = document.getElementById('rule-test-result');
+    const testRuleBtn = document.getElementById('test-rule');
+    const addRuleBtn = document.getElementById('add-rule');
+
+    // Read the rule form into the shape the rules API expects
+    function getRuleFromForm() {
+        const padding = parseInt(rulePaddingInput.value, 10) || 0;
+        return {
+            name: ruleNameInput.value.trim(),
+            kind: ruleKindSelect.value,
+            pattern: rulePatternInput.value.trim(),
+            action: ruleActionSelect.value,
+            paddingBeforeMs: padding,
+            paddingAfterMs: padding,
+            followWords: parseInt(ruleFollowWordsInput.value, 10) || 0
+        };
+    }
+
+    function renderRules(rules) {
+        rulesList.innerHTML = '';
+
+        if (rules.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'rule-item';
+            empty.textContent = 'No custom rules';
+            rulesList.appendChild(empty);
+            return;
+        }
+
+        rules.forEach(rule => {
+            const item = document.createElement('div');
+            item.className = 'rule-item';
+
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = rule.enabled;
+            toggle.title = rule.enabled ? 'Enabled' : 'Disabled';
+            toggle.addEventListener('change', () => updateRule(rule.id, { enabled: toggle.checked }));
+
+            const name = document.createElement('span');
+            name.className = 'rule-name';
+            name.textContent = rule.name;
+            name.title = rule.pattern;
+
+            const action = document.createElement('span');
+            action.className = 'rule-action';
+            action.textContent = rule.action;
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'rule-delete';
+            deleteBtn.textContent = '✕';
+            deleteBtn.title = 'Delete rule';
+            deleteBtn.addEventListener('click', () => deleteRule(rule));
+
+            item.appendChild(toggle);
+            item.appendChild(name);
+            item.appendChild(action);
+            item.appendChild(deleteBtn);
+            rulesList.appendChild(item);
+        });
+    }
+
+    async function loadRules() {
+        try {
+            const response = await fetch('/api/rules');
+            const rules = await response.json();
+            if (!response.ok) {
+                throw new Error(rules.error || 'Failed to load rules');
+            }
+            renderRules(rules);
+        } catch (error) {
+            console.error('Error loading detection rules:', error);
+            rulesList.textContent = 'Could not load rules';
+        }
+    }
+
+    async function updateRule(id, changes) {
+        try {
+            const response = await fetch(`/api/rules/${id}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(changes)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                alert(`Failed to update rule: ${result.error || 'Unknown error'}`);
+            }
+        } catch (error) {
+            console.error('Error updating rule:', error);
+            alert(`Error updating rule: ${error.message || 'Network error'}`);
+        }
+        loadRules();
+    }
+
+    async function deleteRule(rule) {
+        if (!confirm(`Delete the rule "${rule.name}"?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/rules/${rule.id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const result = await response.json();
+                alert(`Failed to delete rule: ${result.error || 'Unknown error'}`);
+            }
+        } catch (error) {
+            console.error('Error deleting rule:', error);
+            alert(`Error deleting rule: ${error.message || 'Network error'}`);
+        }
+        loadRules();
+    }
+
+    // Test the rule in the form against the sample text
+    testRuleBtn.addEventListener('click', async () => {
+        try {
+            const response = await fetch('/api/rules/test', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ ...getRuleFromForm(), text: ruleTestTextInput.value })
+            });
+            const result = await response.json();
+
+            ruleTestResult.classList.remove('hidden');
+            ruleTestResult.textContent = response.ok
+                ? `${result.matches.length} match(es): ${result.redactedText}`
+                : `Error: ${result.error}`;
+        } catch (error) {
+            console.error('Error testing rule:', error);
+            ruleTestResult.classList.remove('hidden');
+            ruleTestResult.textContent = `Error: ${error.message || 'Network error'}`;
+        }
+    });
+
+    // Save the rule in the form
+    addRuleBtn.addEventListener('click', async () => {
+        const rule = getRuleFromForm();
+
+        if (!rule.name || !rule.pattern) {
+            alert('Please enter a rule name and pattern');
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/rules', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(rule)
+            });
+            const result = await response.json();
+
+            if (response.ok) {
+                ruleNameInput.value = '';
+                rulePatternInput.value = '';
+                ruleTestResult.classList.add('hidden');
+                loadRules();
+            } else {
+                alert(`Failed to save rule: ${result.error || 'Unknown error'}`);
+            }
+        } catch (error) {
+            console.error('Error saving rule:', error);
+            alert(`Error saving rule: ${error.message || 'Network error'}`);
+        }
+    });
+
+    loadRules();
     
     // Upload files
     uploadBtn.addEventListener('click', async () => {
@@ -304,6 +593,32 @@ document.addEventListener('DOMContentLoaded', function() {
             formData.append('audio', file);
             formData.append('beepVolume', beepVolume);
             formData.append('audioVolume', audioVolume);
+            formData.append('multichannel', multichannelCheckbox.checked);
+            formData.append('agentChannel', agentChannelSelect.value);
+            formData.append('paymentSegmentMode', paymentSegmentCheckbox.checked);
+            formData.append('language', callLanguageSelect.value);
+            if (transcriptionProviderSelect.value) {
+                formData.append('transcriptionProvider', transcriptionProviderSelect.value);
+            }
+            if (fileDurations.get(file)) {
+                formData.append('durationSeconds', fileDurations.get(file));
+            }
+            if (organizationInput.value.trim()) {
+                formData.append('organization', organizationInput.value.trim());
+            }
+            
+            // Empty settings are left out so the organization's settings apply
+            const deepgramOptions = {};
+            const keyterms = deepgramKeytermsInput.value.split(',').map(term => term.trim()).filter(Boolean);
+            if (keyterms.length > 0) {
+                deepgramOptions.keyterms = keyterms;
+            }
+            if (deepgramSecondOpinionCheckbox.checked) {
+                deepgramOptions.redact = ['pci', 'ssn', 'numbers'];
+            }
+            if (Object.keys(deepgramOptions).length > 0) {
+                formData.append('deepgramOptions', JSON.stringify(deepgramOptions));
+            }
             
             // Upload the file
             const xhr = new XMLHttpRequest();
@@ -387,7 +702,7 @@ document.addEventListener('DOMContentLoaded', function() {
             function pollJobStatus(jobId, fileName, fileIndex) {
                 const statusUrl = `/api/status/${jobId}`;
                 let pollCount = 0;
-                const maxPolls = 300; // Maximum number of polling attempts (15 minutes at 3-second intervals)
+                let maxPolls = 300; // Maximum number of polling attempts (15 minutes at 3-second intervals)
                 
                 const pollInterval = setInterval(() => {
                     pollCount++;
@@ -413,7 +728,14 @@ document.addEventListener('DOMContentLoaded', function() {
                             const fileProgress = ((fileIndex + 0.5) / selectedFiles.length) * 100;
                             progressFill.style.width = `${fileProgress}%`;
                             
-                            if (data.stage) {
+                            // Slow local transcriptions are given twice their estimate before polling gives up
+                            if (data.estimatedSeconds) {
+                                maxPolls = Math.max(maxPolls, Math.ceil((data.estimatedSeconds * 2) / 3));
+                            }
+                            
+                            if (data.stage === 'transcribing' && data.estimatedSeconds >= SLOW_TRANSCRIPTION_SECONDS) {
+                                progressText.textContent = `Processing file ${fileIndex + 1} of ${selectedFiles.length}: ${fileName} (transcribing, about ${formatDuration(data.estimatedSeconds)})`;
+                            } else if (data.stage) {
                                 progressText.textContent = `Processing file ${fileIndex + 1} of ${selectedFiles.length}: ${fileName} (${data.stage})`;
                             }
                             
@@ -0,0 +1,189 @@
+/**
+ * Allowlist of Known-Safe Values for Call Info Remover
+ *
+ * Agents read out values that look sensitive but are not: the company's own
+ * toll-free number, NPN license numbers and other public IDs. Allowlisted
+ * values are skipped by both audio and transcript redaction and reported as
+ * suppressed so the decision is auditable.
+ *
+ * Entries are stored with the app configuration in config/allowlist.json (or
+ * ALLOWLIST_PATH) and re-read for every job:
+ *
+ *   { "entries": [
+ *     { "id": "...", "kind": "value", "value": "1-800-555-0100", "note": "Main line" },
+ *     { "id": "...", "kind": "pattern", "value": "800555\\d{4}", "types": ["phoneNumber"], "note": "Support line block" }
+ *   ] }
+ *
+ * Values are compared ignoring case, spaces and punctuation; patterns are
+ * regular expressions that must match the whole detected value. `types`
+ * optionally limits an entry to some detection types.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ENTRY_KINDS = ['value', 'pattern'];
+
+const DEFAULT_ALLOWLIST_PATH = path.join(__dirname, '..', 'config', 'allowlist.json');
+
+function allowlistPath(filePath) {
+  return filePath || process.env.ALLOWLIST_PATH || DEFAULT_ALLOWLIST_PATH;
+}
+
+/**
+ * Reduce a value to lowercase letters and digits. An 11-digit number with a
+ * leading 1 is treated as a US phone number with its country code dropped.
+ */
+function canonicalValue(value) {
+  const canonical = String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return /^1\d{10}$/.test(canonical) ? canonical.substring(1) : canonical;
+}
+
+/**
+ * Check and normalize an allowlist entry
+ * @param {Object} entry - { kind, value, types?, note? }
+ * @returns {Object} - Normalized entry (without an id)
+ * @throws {Error} - If the entry is incomplete or its pattern does not compile
+ */
+function normalizeEntry(entry) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error('Allowlist entry must be an object');
+  }
+
+  const kind = entry.kind || 'value';
+  const value = String(entry.value || '').trim();
+
+  if (!ENTRY_KINDS.includes(kind)) throw new Error(`Allowlist entry kind must be one of: ${ENTRY_KINDS.join(', ')}`);
+  if (!value) throw new Error('Allowlist entry value is required');
+
+  if (kind === 'pattern') {
+    new RegExp(value, 'i');
+  } else if (!canonicalValue(value)) {
+    throw new Error('Allowlist entry value must contain letters or digits');
+  }
+
+  const types = Array.isArray(entry.types)
+    ? entry.types.map(type => String(type).trim()).filter(Boolean)
+    : [];
+
+  return {
+    kind,
+    value,
+    types,
+    note: String(entry.note || '').trim()
+  };
+}
+
+/**
+ * Load the allowlist from disk
+ * @param {string} filePath - JSON file to read (defaults to ALLOWLIST_PATH or config/allowlist.json)
+ * @returns {Object} - { entries, error } where error is the message of a file that could
+ *   not be read (entries is then empty)
+ */
+function loadAllowlist(filePath) {
+  const file = allowlistPath(filePath);
+
+  try {
+    if (!fs.existsSync(file)) {
+      return { entries: [], error: null };
+    }
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { entries: Array.isArray(data.entries) ? data.entries : [], error: null };
+  } catch (error) {
+    return { entries: [], error: error.message };
+  }
+}
+
+// Entries to change; a file that cannot be read is never overwritten
+function loadForUpdate(filePath) {
+  const { entries, error } = loadAllowlist(filePath);
+  if (error) {
+    throw new Error(`Allowlist could not be read: ${error}`);
+  }
+  return entries;
+}
+
+/**
+ * Write the allowlist to disk
+ * @param {Array<Object>} entries - Entries to store
+ * @param {string} filePath - JSON file to write (defaults to ALLOWLIST_PATH or config/allowlist.json)
+ */
+function saveAllowlist(entries, filePath) {
+  const file = allowlistPath(filePath);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ entries }, null, 2));
+}
+
+/**
+ * Add an entry to the stored allowlist
+ * @param {Object} entry - { kind, value, types?, note? }
+ * @returns {Object} - The stored entry with its id
+ * @throws {Error} - If the entry is invalid or the stored allowlist cannot be read
+ */
+function addEntry(entry) {
+  const stored = {
+    id: Date.now().toString() + '-' + Math.random().toString(36).substring(2, 8),
+    ...normalizeEntry(entry),
+    createdAt: new Date().toISOString()
+  };
+  saveAllowlist([...loadForUpdate(), stored]);
+  return stored;
+}
+
+/**
+ * Remove an entry from the stored allowlist
+ * @param {string} id - Entry ID
+ * @returns {boolean} - True if an entry was removed
+ * @throws {Error} - If the stored allowlist cannot be read
+ */
+function removeEntry(id) {
+  const entries = loadForUpdate();
+  const remaining = entries.filter(entry => entry.id !== id);
+  if (remaining.length === entries.length) {
+    return false;
+  }
+  saveAllowlist(remaining);
+  return true;
+}
+
+/**
+ * Find the allowlist entry that covers a detected value
+ * @param {string} value - Detected value as spoken or transcribed
+ * @param {string} type - Detection type
+ * @param {Array<Object>} entries - Allowlist entries
+ * @returns {Object|null} - Matching entry, or null
+ */
+function findEntry(value, type, entries) {
+  if (!Array.isArray(entries) || entries.length === 0) return null;
+
+  const raw = String(value || '').trim().replace(/[.,;:!?]+$/, '');
+  const canonical = canonicalValue(raw);
+  if (!canonical) return null;
+
+  return entries.find(entry => {
+    if (Array.isArray(entry.types) && entry.types.length > 0 && !entry.types.includes(type)) {
+      return false;
+    }
+
+    if (entry.kind === 'pattern') {
+      try {
+        const regex = new RegExp(`^(?:${entry.value})$`, 'i');
+        return regex.test(raw) || regex.test(canonical);
+      } catch (error) {
+        return false;
+      }
+    }
+
+    return canonicalValue(entry.value) === canonical;
+  }) || null;
+}
+
+module.exports = {
+  ENTRY_KINDS,
+  normalizeEntry,
+  loadAllowlist,
+  saveAllowlist,
+  addEntry,
+  removeEntry,
+  findEntry
+};
@@ -0,0 +1,161 @@
+/**
+ * Detection Confidence for Call Info Remover
+ *
+ * Every detection gets a score between 0 and 1 built from three signals:
+ *
+ *   words    - the transcriber's confidence in the matched words (the lowest one wins)
+ *   checksum - whether the value passed its checksum (Luhn, ABA) when its type has one
+ *   context  - whether a keyword for the type ("card number", "my social") was
+ *              spoken just before the value
+ *
+ * Per-type thresholds then decide what happens to a detection: scores at or
+ * above `redact` are redacted, scores at or above `flag` are flagged for human
+ * review, and lower scores are ignored.
+ */
+
+const contextWindows = require('./context-windows');
+
+// How much each signal contributes to the score
+const WEIGHTS = { words: 0.5, checksum: 0.3, context: 0.2 };
+
+// Checksum signal for validated, unvalidated (no checksum for the type) and failed values
+const CHECKSUM_SCORES = { passed: 1, none: 0.6, failed: 0 };
+
+const DEFAULT_THRESHOLDS = { redact: 0.4, flag: 0.2 };
+
+// Words before a value that are searched for context keywords
+const CONTEXT_WORDS = 10;
+
+// Keywords for types without a keyword-triggered window, added to the window triggers.
+// Spanish keywords sit alongside the English ones; accents are ignored when comparing.
+const EXTRA_KEYWORDS = {
+  ssn: ['social', 'seguro'],
+  creditCard: ['visa', 'mastercard', 'amex', 'american express', 'discover', 'card', 'tarjeta'],
+  phoneNumber: ['phone', 'cell', 'call', 'reach', 'callback', 'number', 'teléfono', 'celular', 'número', 'llamar'],
+  bankAccount: ['checking', 'savings', 'account', 'cuenta', 'cheques', 'ahorros'],
+  routingNumber: ['aba', 'ruta'],
+  medicareMbi: ['medicare', 'mbi'],
+  medicaidId: ['medicaid'],
+  memberId: ['member', 'policy', 'subscriber', 'miembro', 'póliza', 'afiliado'],
+  emailAddress: ['email', 'e-mail', 'correo'],
+  streetAddress: ['address', 'live', 'mail', 'ship', 'dirección', 'vivo', 'calle'],
+  zipCode: ['zip', 'postal'],
+  personName: ['name', 'this is', 'speaking', 'mr', 'mrs', 'ms', 'dr', 'nombre', 'me llamo', 'habla', 'señor', 'señora']
+};
+
+const CONTEXT_KEYWORDS = contextWindows.DEFAULT_TRIGGERS.reduce((keywords, trigger) => {
+  keywords[trigger.type] = (keywords[trigger.type] || []).concat(trigger.phrases);
+  return keywords;
+}, Object.keys(EXTRA_KEYWORDS).reduce((keywords, type) => {
+  keywords[type] = EXTRA_KEYWORDS[type].slice();
+  return keywords;
+}, {}));
+
+function cleanWord(word) {
+  return String(word || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9'-]/g, '');
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+function wordScore(words, match) {
+  const confidences = words
+    .slice(match.startIndex, match.endIndex + 1)
+    .map(w => w.confidence)
+    .filter(c => typeof c === 'number');
+
+  // Text without word confidence (typed or already transcribed) is taken at face value
+  return confidences.length > 0 ? Math.min(...confidences) : 1;
+}
+
+function checksumScore(match) {
+  if (match.validated === true) return CHECKSUM_SCORES.passed;
+  if (match.validated === false) return CHECKSUM_SCORES.failed;
+  return CHECKSUM_SCORES.none;
+}
+
+/**
+ * Check whether a context keyword for a type was spoken just before a match
+ * @param {Array<Object>} words - Transcript words
+ * @param {Object} match - Match with type and startIndex
+ * @returns {boolean} - True if a keyword (or a keyword-triggered window) introduced the match
+ */
+function hasContext(words, match) {
+  if (match.trigger) return true;
+
+  const keywords = CONTEXT_KEYWORDS[match.type];
+  if (!keywords) return false;
+
+  const before = ` ${words
+    .slice(Math.max(0, match.startIndex - CONTEXT_WORDS), match.startIndex)
+    .map(w => cleanWord(w.word))
+    .join(' ')} `;
+
+  return keywords.some(keyword => before.includes(` ${keyword.split(/\s+/).map(cleanWord).join(' ')} `));
+}
+
+/**
+ * Score a detection
+ * @param {Array<Object>} words - Transcript words ({ word, confidence })
+ * @param {Object} match - Match with type, startIndex, endIndex and validated
+ * @returns {Object} - { score, words, checksum, context } where score is between 0 and 1
+ */
+function scoreMatch(words, match) {
+  const signals = {
+    words: wordScore(words, match),
+    checksum: checksumScore(match),
+    context: hasContext(words, match) ? 1 : 0
+  };
+
+  const score = Object.keys(WEIGHTS).reduce((total, signal) => total + WEIGHTS[signal] * signals[signal], 0);
+
+  return {
+    score: round(score),
+    words: round(signals.words),
+    checksum: match.validated === undefined ? null : match.validated,
+    context: signals.context === 1
+  };
+}
+
+function toScore(value, fallback) {
+  const number = parseFloat(value);
+  if (Number.isNaN(number)) return fallback;
+  return Math.min(1, Math.max(0, number));
+}
+
+/**
+ * Get the thresholds for a detection type
+ * @param {string} type - Detection type
+ * @param {Object} thresholds - Overrides: { default: { redact, flag }, ssn: { redact, flag }, ... }
+ * @returns {Object} - { redact, flag } with flag never above redact
+ */
+function resolveThresholds(type, thresholds = {}) {
+  const defaults = { ...DEFAULT_THRESHOLDS, ...((thresholds && thresholds.default) || {}) };
+  const own = (thresholds && thresholds[type]) || {};
+
+  const redact = toScore(own.redact !== undefined ? own.redact : defaults.redact, DEFAULT_THRESHOLDS.redact);
+  const flag = toScore(own.flag !== undefined ? own.flag : defaults.flag, DEFAULT_THRESHOLDS.flag);
+
+  return { redact, flag: Math.min(flag, redact) };
+}
+
+/**
+ * Decide what to do with a score
+ * @param {number} score - Confidence score
+ * @param {Object} thresholds - { redact, flag }
+ * @returns {string} - 'redact', 'flag' or 'ignore'
+ */
+function decide(score, thresholds) {
+  if (score >= thresholds.redact) return 'redact';
+  if (score >= thresholds.flag) return 'flag';
+  return 'ignore';
+}
+
+module.exports = {
+  WEIGHTS,
+  DEFAULT_THRESHOLDS,
+  CONTEXT_KEYWORDS,
+  scoreMatch,
+  hasContext,
+  resolveThresholds,
+  decide
+};
@@ -0,0 +1,116 @@
+/**
+ * Email Address and Street Address Detectors for Call Info Remover
+ *
+ * Callers read out email addresses ("john dot smith at gmail dot com") and
+ * home addresses ("one twenty three Main Street apartment four, Springfield,
+ * Illinois, six two seven oh one"). Deepgram's smart formatting sometimes
+ * turns these into "john.smith@gmail.com" and "123 Main St", and sometimes
+ * leaves them as words, so both forms are matched.
+ */
+
+const textMatches = require('./text-matches');
+
+// Labels used in redacted transcripts
+const LABELS = {
+  emailAddress: 'EMAIL ADDRESS',
+  streetAddress: 'ADDRESS',
+  zipCode: 'ZIP CODE'
+};
+
+const TOP_LEVEL_DOMAINS = '(?:com|net|org|edu|gov|us|io|co|info|biz|me|mil)';
+const LOCAL_SEPARATORS = '(?:dot|period|underscore|under\\s+score|dash|hyphen|minus|plus)';
+
+// Local part: a word, or letters spelled one at a time, joined by spoken separators
+const SPOKEN_LOCAL_PART = '(?:(?:[a-z0-9]\\s+)+[a-z0-9]+|[a-z0-9]+)(?:\\s+' + LOCAL_SEPARATORS + '\\s+(?:(?:[a-z0-9]\\s+)+[a-z0-9]+|[a-z0-9]+))*';
+const SPOKEN_DOMAIN = '[a-z0-9-]+(?:\\s+(?:dot|dash|hyphen)\\s+[a-z0-9-]+)*\\s+dot\\s+' + TOP_LEVEL_DOMAINS;
+
+const FORMATTED_EMAIL_REGEX = /\b[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}\b/gi;
+
+const SPOKEN_EMAIL_REGEX = new RegExp(
+  '\\b' + SPOKEN_LOCAL_PART + '\\s+(?:at|@)\\s+(?:' + SPOKEN_DOMAIN + '|[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.' + TOP_LEVEL_DOMAINS + ')\\b',
+  'gi'
+);
+
+const STREET_SUFFIXES = '(?:street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|way|place|pl|circle|cir|parkway|pkwy|highway|hwy|terrace|ter|trail|trl|square|sq|loop|pike|alley|row)';
+const DIRECTIONS = '(?:north|south|east|west|northeast|northwest|southeast|southwest|n|s|e|w|ne|nw|se|sw)\\.?';
+const UNIT = '(?:,?\\s+(?:apartment|apt|unit|suite|ste|number|#)\\.?\\s*#?[a-z0-9-]+)';
+
+const STATE_NAMES = '(?:alabama|alaska|arizona|arkansas|california|colorado|connecticut|delaware|florida|georgia|hawaii|idaho|illinois|indiana|iowa|kansas|kentucky|louisiana|maine|maryland|massachusetts|michigan|minnesota|mississippi|missouri|montana|nebraska|nevada|new\\s+hampshire|new\\s+jersey|new\\s+mexico|new\\s+york|north\\s+carolina|north\\s+dakota|ohio|oklahoma|oregon|pennsylvania|rhode\\s+island|south\\s+carolina|south\\s+dakota|tennessee|texas|utah|vermont|virginia|washington|west\\s+virginia|wisconsin|wyoming)';
+
+// Two-letter codes collide with ordinary words ("in", "or", "me"), so they only count when a ZIP follows
+const STATE_CODES = '(?:AL|AK|AZ|AR|CA|CO|CT|DE|FL|GA|HI|ID|IL|IN|IA|KS|KY|LA|ME|MD|MA|MI|MN|MS|MO|MT|NE|NV|NH|NJ|NM|NY|NC|ND|OH|OK|OR|PA|RI|SC|SD|TN|TX|UT|VT|VA|WA|WV|WI|WY|DC)';
+
+const ZIP = '\\d{5}(?:-\\d{4})?';
+
+// Words that never appear in a street name but often sit between a number and
+// a word like "way" or "road" ("2 kids on the way", "5 minutes down the road")
+const NON_STREET_WORDS = [
+  'the', 'a', 'an', 'my', 'your', 'our', 'their', 'his', 'her', 'on', 'in', 'of', 'to',
+  'for', 'and', 'or', 'at', 'by', 'with', 'is', 'was', 'are', 'were', 'down', 'up', 'more',
+  'minutes', 'hours', 'days', 'years', 'miles', 'times'
+];
+
+// House number, then one to four street name words (group 1, which may start
+// with a direction), suffix, optional direction and unit, then an optional
+// city, state and ZIP
+const STREET_ADDRESS_REGEX = new RegExp(
+  '\\b\\d{1,6}[a-z]?\\s+((?:' + DIRECTIONS + '\\s+)?(?:[a-z0-9\'.-]+\\s+){0,3}?[a-z0-9\'.-]+)\\s+' + STREET_SUFFIXES + '\\b\\.?' +
+  '(?:\\s+' + DIRECTIONS + '(?=[\\s,]|$))?' + UNIT + '?' +
+  '(?:,?\\s+(?:[a-z\'.-]+\\s+){0,2}?[a-z\'.-]+,?\\s+(?:' + STATE_NAMES + '\\b(?:,?\\s+' + ZIP + ')?|' + STATE_CODES + ',?\\s+' + ZIP + ')\\b)?',
+  'gi'
+);
+
+// A ZIP code on its own is only redacted when it is announced
+const ZIP_CONTEXT_REGEX = new RegExp('\\b(?:zip|zip\\s+code|postal\\s+code)(?:\\s+(?:is|it\'s|its))?,?\\s+(' + ZIP + ')\\b', 'gi');
+
+// A state followed by a ZIP ("Springfield, Illinois 62701") outside a full street address
+const STATE_ZIP_REGEX = new RegExp('\\b(?:' + STATE_NAMES + '|' + STATE_CODES + '),?\\s+(' + ZIP + ')\\b', 'gi');
+
+function isStreetName(match) {
+  return !match[1].toLowerCase().split(/\s+/).some(word => NON_STREET_WORDS.includes(word));
+}
+
+/**
+ * Find email addresses, street addresses and announced ZIP codes in text
+ * @param {string} text - Transcript text (spoken numbers should already be digits)
+ * @returns {Array<Object>} - Matches ({ type, label, index, length }) in text order
+ */
+function findMatches(text) {
+  if (!text) return [];
+
+  const collect = (regex, group, type, accept) =>
+    textMatches.collectRegexMatches(regex, text, group, { type, label: LABELS[type] }, accept);
+
+  return textMatches.removeOverlaps([
+    ...collect(FORMATTED_EMAIL_REGEX, 0, 'emailAddress'),
+    ...collect(SPOKEN_EMAIL_REGEX, 0, 'emailAddress'),
+    ...collect(STREET_ADDRESS_REGEX, 0, 'streetAddress', isStreetName),
+    ...collect(ZIP_CONTEXT_REGEX, 1, 'zipCode'),
+    ...collect(STATE_ZIP_REGEX, 1, 'zipCode')
+  ]);
+}
+
+/**
+ * Find matches in a word list and map them back to word indices
+ * @param {Array<Object>} words - Number-normalized transcript words
+ * @returns {Array<Object>} - Matches ({ type, label, startIndex, endIndex, start, end })
+ */
+function findWordMatches(words) {
+  return textMatches.findWordMatches(words, findMatches);
+}
+
+/**
+ * Replace email addresses, street addresses and ZIP codes in text with labels
+ * @param {string} text - Transcript text
+ * @returns {string} - Redacted text
+ */
+function redactText(text) {
+  return textMatches.redactTextByWords(text, findWordMatches);
+}
+
+module.exports = {
+  LABELS,
+  findMatches,
+  findWordMatches,
+  redactText
+};
@@ -0,0 +1,279 @@
+/**
+ * Keyword-Triggered Redaction Windows for Call Info Remover
+ *
+ * Phrases like "my social is" or "card number is" announce that a sensitive
+ * value is about to be spoken. A trigger opens a redaction window that stays
+ * open until the expected number of digits (or tokens) has been spoken, or
+ * until a timeout expires. This catches values that are spoken slowly, split
+ * across utterances, or mis-transcribed as non-digits ("for" instead of "four").
+ *
+ * Token windows skip filler words and hesitation phrases ("um, let me think"),
+ * and a window ends where the next trigger phrase begins, or at a word an
+ * earlier version already redacted (redacted: true in a stored word transcript).
+ *
+ * Trigger phrases cover English and Spanish ("número de seguro social",
+ * "tarjeta"); accents are ignored when phrases are compared.
+ */
+
+// Default seconds a window stays open after its trigger phrase
+const DEFAULT_TIMEOUT_SECONDS = 15;
+
+// Once digits have started, a window closes after this many words without one
+const DEFAULT_MAX_GAP_WORDS = 5;
+
+/**
+ * Trigger definitions.
+ * Digit windows close once `digits` digits have been spoken and the next word
+ * carries no digit, or once `maxDigits` is reached. Token windows close after
+ * `tokens` non-filler words.
+ */
+const DEFAULT_TRIGGERS = [
+  {
+    type: 'ssn',
+    phrases: ['social security', 'my social', 'your social', 'ssn', 'seguro social', 'número de seguro social', 'mi social'],
+    digits: 9
+  },
+  {
+    type: 'creditCard',
+    phrases: ['card number', 'credit card', 'debit card', 'tarjeta', 'número de tarjeta', 'tarjeta de crédito', 'tarjeta de débito'],
+    digits: 15,
+    maxDigits: 16
+  },
+  {
+    type: 'expirationDate',
+    phrases: ['expiration', 'expiry', 'expires', 'exp date', 'vencimiento', 'fecha de vencimiento', 'vence', 'expira'],
+    digits: 4
+  },
+  {
+    type: 'securityCode',
+    phrases: ['security code', 'cvv', 'cvc', 'back of the card', 'código de seguridad', 'atrás de la tarjeta'],
+    digits: 3,
+    maxDigits: 4
+  },
+  { type: 'routingNumber', phrases: ['routing', 'número de ruta'], digits: 9 },
+  { type: 'bankAccount', phrases: ['account number', 'número de cuenta'], digits: 6, maxDigits: 17 },
+  {
+    type: 'dateOfBirth',
+    phrases: ['date of birth', 'birth date', 'birthday', 'born on', 'dob', 'fecha de nacimiento', 'nací el', 'cumpleaños'],
+    tokens: 3
+  },
+  { type: 'password', phrases: ['password', 'passcode', 'pin number', 'contraseña', 'clave', 'número de pin'], tokens: 2 }
+];
+
+// Words that are commonly transcribed in place of a spoken digit
+const DIGIT_HOMOPHONES = {
+  oh: '0', o: '0', won: '1', to: '2', too: '2', tree: '3', free: '3',
+  for: '4', fore: '4', ate: '8'
+};
+
+// Words that do not count towards a token window ("my password IS ...")
+const FILLER_WORDS = [
+  'is', 'its', "it's", 'my', 'the', 'a', 'an', 'um', 'uh', 'er', 'ah', 'okay', 'ok',
+  'so', 'yes', 'yeah', 'sure', 'and', 'of', 'on', 'it', 'that', 'be', 'would', 'will',
+  'es', 'mi', 'el', 'la', 'de', 'del', 'este', 'eh', 'si', 'bueno', 'y', 'pues', 'seria', 'ser'
+];
+
+// Phrases that stall for time and do not count towards a token window ("um let me think")
+const HESITATION_PHRASES = [
+  'let me think', 'let me see', 'let me check', 'let me look', 'hold on', 'hang on', 'wait',
+  'just a second', 'just a sec', 'give me a second', 'i think', 'i guess', 'i believe', 'hmm', 'mm', 'well',
+  'a ver', 'déjame ver', 'déjame pensar', 'deja ver', 'un momento', 'un segundo', 'espera', 'creo que'
+];
+
+function cleanWord(word) {
+  return String(word || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9']/g, '');
+}
+
+const splitPhrase = phrase => phrase.toLowerCase().split(/\s+/).map(cleanWord);
+
+const HESITATION_PHRASE_WORDS = HESITATION_PHRASES.map(splitPhrase);
+
+function matchesAt(cleaned, startIndex, phraseWords) {
+  return startIndex >= 0 && startIndex + phraseWords.length <= cleaned.length &&
+    phraseWords.every((phraseWord, offset) => cleaned[startIndex + offset] === phraseWord);
+}
+
+/**
+ * Count the digits a word contributes to a digit window
+ * @param {string} word - Cleaned word
+ * @returns {number} - Number of digits
+ */
+function digitCount(word) {
+  const digits = word.replace(/\D/g, '');
+  if (digits.length > 0) {
+    return digits.length;
+  }
+  return word in DIGIT_HOMOPHONES ? 1 : 0;
+}
+
+/**
+ * Build the effective trigger list from options
+ * @param {Object} options - { triggers, timeoutSeconds, maxGapWords }
+ * @returns {Array<Object>} - Triggers with their phrases split into words
+ */
+function resolveTriggers(options = {}) {
+  const triggers = options.triggers || DEFAULT_TRIGGERS;
+  const timeoutSeconds = parseFloat(options.timeoutSeconds) || DEFAULT_TIMEOUT_SECONDS;
+  const maxGapWords = parseInt(options.maxGapWords, 10) || DEFAULT_MAX_GAP_WORDS;
+
+  return triggers.map(trigger => ({
+    timeoutSeconds,
+    maxGapWords,
+    ...trigger,
+    phraseWords: trigger.phrases.map(splitPhrase)
+  }));
+}
+
+/**
+ * Find the trigger phrase that ends at word index i, preferring the longest phrase
+ * @returns {Object|null} - { trigger, phrase, startIndex }
+ */
+function matchTriggerEndingAt(cleaned, i, triggers) {
+  let best = null;
+
+  triggers.forEach(trigger => {
+    trigger.phraseWords.forEach(phraseWords => {
+      const startIndex = i - phraseWords.length + 1;
+      if (matchesAt(cleaned, startIndex, phraseWords) && (!best || phraseWords.length > best.length)) {
+        best = { trigger, phrase: phraseWords.join(' '), startIndex, length: phraseWords.length };
+      }
+    });
+  });
+
+  return best;
+}
+
+// Whether a trigger phrase starts at word index i ("date" of "date of birth")
+function triggerStartsAt(cleaned, i, triggers) {
+  return triggers.some(trigger => trigger.phraseWords.some(phraseWords => matchesAt(cleaned, i, phraseWords)));
+}
+
+// Number of words in the hesitation phrase starting at word index i, or 0
+function hesitationLengthAt(cleaned, i) {
+  const phrase = HESITATION_PHRASE_WORDS.find(phraseWords => matchesAt(cleaned, i, phraseWords));
+  return phrase ? phrase.length : 0;
+}
+
+/**
+ * Scan a word list for trigger phrases and return the redaction windows they open.
+ * Words are expected to be number-normalized so spoken digits arrive as digit tokens.
+ * @param {Array<Object>} words - Transcript words ({ word, start, end, redacted? })
+ * @param {Object} options - { enabled, triggers, timeoutSeconds, maxGapWords }
+ * @returns {Array<Object>} - Windows ({ type, trigger, start, end, startIndex, endIndex, count, complete })
+ */
+function findContextWindows(words, options = {}) {
+  if (!Array.isArray(words) || words.length === 0 || options.enabled === false) {
+    return [];
+  }
+
+  const triggers = resolveTriggers(options);
+  const cleaned = words.map(w => cleanWord(w.word));
+  const windows = [];
+  let open = null;
+
+  const closeWindow = (complete) => {
+    if (open && open.count > 0) {
+      windows.push({
+        type: open.trigger.type,
+        trigger: open.phrase,
+        start: parseFloat(words[open.firstIndex].start),
+        end: parseFloat(words[open.lastIndex].end),
+        startIndex: open.firstIndex,
+        endIndex: open.lastIndex,
+        count: open.count,
+        complete
+      });
+    }
+    open = null;
+  };
+
+  for (let i = 0; i < words.length; i++) {
+    const word = cleaned[i];
+
+    // A new trigger phrase closes any open window and opens a fresh one
+    const triggerMatch = matchTriggerEndingAt(cleaned, i, triggers);
+    if (triggerMatch) {
+      closeWindow(false);
+      open = {
+        trigger: triggerMatch.trigger,
+        phrase: triggerMatch.phrase,
+        openedAt: parseFloat(words[i].end),
+        firstIndex: -1,
+        lastIndex: -1,
+        count: 0,
+        gap: 0
+      };
+      continue;
+    }
+
+    if (!open) continue;
+
+    // A stored placeholder ("[REDACTED SSN]") is not a value, and the words after it are not part of it
+    if (words[i].redacted) {
+      closeWindow(false);
+      continue;
+    }
+
+    // The next trigger phrase ends the window before its first word is counted as a value
+    if (triggerStartsAt(cleaned, i, triggers)) {
+      closeWindow(false);
+      continue;
+    }
+
+    const trigger = open.trigger;
+
+    if (parseFloat(words[i].start) - open.openedAt > trigger.timeoutSeconds) {
+      closeWindow(false);
+      continue;
+    }
+
+    if (trigger.tokens) {
+      const hesitation = hesitationLengthAt(cleaned, i);
+      if (hesitation > 0) {
+        i += hesitation - 1;
+        continue;
+      }
+      if (FILLER_WORDS.includes(word)) continue;
+
+      if (open.firstIndex === -1) open.firstIndex = i;
+      open.lastIndex = i;
+      open.count++;
+
+      if (open.count >= trigger.tokens) {
+        closeWindow(true);
+      }
+      continue;
+    }
+
+    // Homophones ("for", "to") only count once a real digit has been spoken
+    const digits = open.count > 0 ? digitCount(word) : word.replace(/\D/g, '').length;
+    if (digits === 0) {
+      // Before the first digit only the timeout applies; after it, long gaps close the window
+      if (open.count > 0 && ++open.gap >= trigger.maxGapWords) {
+        closeWindow(false);
+      }
+      continue;
+    }
+
+    if (open.firstIndex === -1) open.firstIndex = i;
+    open.lastIndex = i;
+    open.count += digits;
+    open.gap = 0;
+
+    const maxDigits = trigger.maxDigits || trigger.digits;
+    const nextHasDigits = i + 1 < words.length && digitCount(cleaned[i + 1]) > 0;
+    if (open.count >= maxDigits || (open.count >= trigger.digits && !nextHasDigits)) {
+      closeWindow(true);
+    }
+  }
+
+  closeWindow(false);
+
+  return windows;
+}
+
+module.exports = {
+  DEFAULT_TRIGGERS,
+  DEFAULT_TIMEOUT_SECONDS,
+  findContextWindows
+};
@@ -0,0 +1,203 @@
+/**
+ * Custom Detection Rules for Call Info Remover
+ *
+ * Compliance can add their own patterns without a code change. Rules are
+ * stored in the detection_rules table and come in two kinds:
+ *
+ *   regex   - a regular expression matched (case-insensitively) against the
+ *             transcript text, after spoken numbers have become digits
+ *   keyword - comma-separated phrases; the phrase is redacted together with
+ *             the `followWords` words spoken after it
+ *
+ * Each rule carries its own action (beep, mute or mask) and audio padding.
+ */
+
+const textMatches = require('./text-matches');
+const numberNormalizer = require('./number-normalizer');
+const spelledSequences = require('./spelled-sequences');
+
+const RULE_KINDS = ['regex', 'keyword'];
+const RULE_ACTIONS = ['beep', 'mute', 'mask'];
+
+// Upper bounds that keep a single rule from swallowing a whole call
+const MAX_FOLLOW_WORDS = 20;
+const MAX_PADDING_MS = 5000;
+
+function cleanWord(word) {
+  return String(word || '').toLowerCase().replace(/^[^a-z0-9']+|[^a-z0-9']+$/g, '');
+}
+
+function toInteger(value, fallback, max) {
+  const number = parseInt(value, 10);
+  if (Number.isNaN(number) || number < 0) return fallback;
+  return Math.min(number, max);
+}
+
+/**
+ * Check and normalize a rule definition.
+ * Accepts camelCase fields from the API or snake_case columns from the database.
+ * @param {Object} rule - { name, kind, pattern, type?, label?, action?, paddingBeforeMs?,
+ *   paddingAfterMs?, followWords?, enabled? }
+ * @returns {Object} - Normalized rule
+ * @throws {Error} - If the rule is incomplete or its regex does not compile
+ */
+function normalizeRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Rule must be an object');
+  }
+
+  const name = String(rule.name || '').trim();
+  const kind = rule.kind || 'regex';
+  const pattern = String(rule.pattern || '').trim();
+  const action = rule.action || 'beep';
+
+  if (!name) throw new Error('Rule name is required');
+  if (!RULE_KINDS.includes(kind)) throw new Error(`Rule kind must be one of: ${RULE_KINDS.join(', ')}`);
+  if (!pattern) throw new Error('Rule pattern is required');
+  if (!RULE_ACTIONS.includes(action)) throw new Error(`Rule action must be one of: ${RULE_ACTIONS.join(', ')}`);
+
+  // Throws a SyntaxError describing the problem if the pattern does not compile
+  if (kind === 'regex') {
+    new RegExp(pattern, 'i');
+  }
+
+  const type = String(rule.type || '').trim() || 'customRule';
+  const label = String(rule.label || '').trim() || name.toUpperCase();
+
+  return {
+    id: rule.id,
+    name,
+    kind,
+    pattern,
+    type,
+    label,
+    action,
+    paddingBeforeMs: toInteger(rule.paddingBeforeMs !== undefined ? rule.paddingBeforeMs : rule.padding_before_ms, 0, MAX_PADDING_MS),
+    paddingAfterMs: toInteger(rule.paddingAfterMs !== undefined ? rule.paddingAfterMs : rule.padding_after_ms, 0, MAX_PADDING_MS),
+    followWords: toInteger(rule.followWords !== undefined ? rule.followWords : rule.follow_words, 0, MAX_FOLLOW_WORDS),
+    enabled: rule.enabled !== false
+  };
+}
+
+function keywordPhrases(pattern) {
+  return pattern
+    .split(',')
+    .map(phrase => phrase.trim().toLowerCase().split(/\s+/).map(cleanWord).filter(Boolean))
+    .filter(phrase => phrase.length > 0);
+}
+
+function findKeywordMatches(words, rule) {
+  const cleaned = words.map(w => cleanWord(w.word));
+  const phrases = keywordPhrases(rule.pattern);
+  const matches = [];
+
+  for (let i = 0; i < words.length; i++) {
+    const phrase = phrases.find(p => p.every((part, offset) => cleaned[i + offset] === part));
+    if (!phrase) continue;
+
+    const endIndex = Math.min(words.length - 1, i + phrase.length - 1 + rule.followWords);
+    matches.push({ startIndex: i, endIndex });
+    i = endIndex;
+  }
+
+  return matches;
+}
+
+function findRegexMatches(words, rule) {
+  const regex = new RegExp(rule.pattern, 'gi');
+  return textMatches.findWordMatches(words, text => textMatches.collectRegexMatches(regex, text, 0, {}));
+}
+
+/**
+ * Find matches for a list of rules in a word list
+ * @param {Array<Object>} words - Number-normalized transcript words ({ word, start, end })
+ * @param {Array<Object>} rules - Rules (normalized or raw database rows); disabled rules are skipped
+ * @param {Object} options - { timed } to apply padding to audio timestamps
+ * @returns {Array<Object>} - Matches ({ type, label, action, ruleId, ruleName, startIndex, endIndex, start?, end?, padded? })
+ */
+function findRuleMatches(words, rules, options = {}) {
+  if (!Array.isArray(words) || words.length === 0 || !Array.isArray(rules)) return [];
+
+  const matches = [];
+
+  rules.forEach(rawRule => {
+    let rule;
+    try {
+      rule = normalizeRule(rawRule);
+    } catch (error) {
+      // A rule that no longer compiles is skipped rather than failing the job
+      return;
+    }
+    if (!rule.enabled) return;
+
+    const found = rule.kind === 'keyword' ? findKeywordMatches(words, rule) : findRegexMatches(words, rule);
+
+    found.forEach(match => {
+      const result = {
+        type: rule.type,
+        label: rule.label,
+        action: rule.action,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        startIndex: match.startIndex,
+        endIndex: match.endIndex
+      };
+
+      if (options.timed) {
+        result.start = Math.max(0, parseFloat(words[match.startIndex].start) - rule.paddingBeforeMs / 1000);
+        result.end = parseFloat(words[match.endIndex].end) + rule.paddingAfterMs / 1000;
+        result.padded = true;
+      }
+
+      matches.push(result);
+    });
+  });
+
+  return matches;
+}
+
+/**
+ * Try a rule against sample text
+ * @param {Object} rule - Rule definition
+ * @param {string} text - Sample text
+ * @returns {Object} - { matches: [text], redactedText }
+ * @throws {Error} - If the rule is invalid
+ */
+function testRule(rule, text) {
+  const normalized = { ...normalizeRule(rule), enabled: true };
+  const sample = String(text || '');
+
+  const tokens = [];
+  const tokenRegex = /\S+/g;
+  let token;
+  while ((token = tokenRegex.exec(sample)) !== null) {
+    tokens.push({ word: token[0], start: token.index, end: token.index + token[0].length });
+  }
+
+  // Rules also match IDs spelled out a character at a time, as in a job (see detector-registry.js)
+  const find = w => {
+    const heard = findRuleMatches(w, [normalized]);
+    const spelled = spelledSequences.findJoinedMatches(spelledSequences.joinSpelledWords(w), joined => findRuleMatches(joined, [normalized]))
+      .filter(match => !heard.some(other => match.startIndex <= other.endIndex && other.startIndex <= match.endIndex))
+      .map(({ spelledPass, ...match }) => match);
+    return heard.concat(spelled).sort((a, b) => a.startIndex - b.startIndex);
+  };
+
+  const words = numberNormalizer.normalizeWords(tokens);
+  const matches = find(words).map(match =>
+    sample.substring(words[match.startIndex].start, words[match.endIndex].end).replace(/[.,;:!?]+$/, '')
+  );
+
+  return {
+    matches,
+    redactedText: textMatches.redactTextByWords(sample, find)
+  };
+}
+
+module.exports = {
+  RULE_KINDS,
+  RULE_ACTIONS,
+  normalizeRule,
+  findRuleMatches,
+  testRule
+};
@@ -0,0 +1,118 @@
+/**
+ * Card Security Code, Expiration Date and Date of Birth Detectors
+ *
+ * PCI scope covers card security codes and expiration dates, and HIPAA covers
+ * dates of birth. None of these look like the long digit runs the basic
+ * patterns catch, so each detector here combines a value shape with the words
+ * around it ("CVV", "expires", "born on"). Detection runs over plain text, so
+ * the same rules drive both the audio word scan and the transcript redaction.
+ */
+
+const textMatches = require('./text-matches');
+
+// Labels used in redacted transcripts
+const LABELS = {
+  securityCode: 'SECURITY CODE',
+  expirationDate: 'EXPIRATION DATE',
+  dateOfBirth: 'DATE OF BIRTH'
+};
+
+// Minimum age used to treat an unlabelled full date as a date of birth
+const MIN_BIRTH_AGE_YEARS = 16;
+
+// How many words before a date are searched for a birth keyword
+const BIRTH_CONTEXT_WORDS = 6;
+
+const MONTH_PATTERN = '(?:january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sep|sept|oct|nov|dec)\\.?';
+
+// Day of month in digits ("5", "5th") or ordinal words ("fifth", "twenty first", "20 first")
+const DAY_PATTERN = '(?:\\d{1,2}(?:st|nd|rd|th)?|(?:(?:twenty|thirty|20|30)[\\s-])?(?:first|second|third|fourth|fifth|sixth|seventh|eighth|ninth)|tenth|eleventh|twelfth|thirteenth|fourteenth|fifteenth|sixteenth|seventeenth|eighteenth|nineteenth|twentieth|thirtieth)';
+const YEAR_PATTERN = '(?:19|20)\\d{2}';
+
+const SECURITY_CODE_REGEX = /\b(?:cvv2?|cvc2?|cid|security code|back of the card|(?:three|four|3|4)[\s-]digit code)\b(?:[^\w\n]+(?![0-9])\w+){0,6}?[^\w\n]+(\d{3,4})(?![\d\/])/gi;
+
+const EXPIRATION_SLASH_REGEX = /(?<![\d\/])(0?[1-9]|1[0-2])\s?\/\s?(\d{2}|20\d{2})(?![\d\/])/g;
+
+const EXPIRATION_CONTEXT_REGEX = new RegExp(
+  '\\b(?:expiration|expiry|expires|expire|exp|valid thru|valid through|good thru|good through)\\b' +
+  '(?:[^\\w\\n]+(?![0-9])\\w+){0,6}?[^\\w\\n]+' +
+  '((?:0?[1-9]|1[0-2])[\\s\\/-]?(?:20)?\\d{2}|' + MONTH_PATTERN + '\\s+(?:20)?\\d{2})(?![\\d\\/])',
+  'gi'
+);
+
+const NUMERIC_DATE_REGEX = /(?<![\d\/])(0?[1-9]|1[0-2])[\/-](0?[1-9]|[12]\d|3[01])[\/-]((?:19|20)?\d{2})(?![\d\/])/g;
+
+const SPOKEN_DATE_REGEX = new RegExp(
+  '\\b(?:(' + MONTH_PATTERN + ')\\s+(?:the\\s+)?(' + DAY_PATTERN + '),?\\s+(?:of\\s+)?(' + YEAR_PATTERN + ')' +
+  '|(?:the\\s+)?(' + DAY_PATTERN + ')\\s+(?:of\\s+)?(' + MONTH_PATTERN + '),?\\s+(' + YEAR_PATTERN + '))\\b',
+  'gi'
+);
+
+const BIRTH_CONTEXT_REGEX = /\b(?:born|birth|birthday|dob|d o b|birthdate)\b/i;
+
+/**
+ * Normalize a two or four digit year to four digits
+ */
+function fullYear(year) {
+  const value = parseInt(year, 10);
+  if (String(year).length === 4) return value;
+  const currentShort = new Date().getFullYear() % 100;
+  return value > currentShort ? 1900 + value : 2000 + value;
+}
+
+/**
+ * Decide whether a date is a date of birth: either a birth keyword appears
+ * shortly before it, or the year is old enough to be an adult's birth year
+ */
+function isBirthDate(text, index, year) {
+  const preceding = text.substring(0, index).split(/\s+/).slice(-BIRTH_CONTEXT_WORDS).join(' ');
+  if (BIRTH_CONTEXT_REGEX.test(preceding)) {
+    return true;
+  }
+  return fullYear(year) <= new Date().getFullYear() - MIN_BIRTH_AGE_YEARS;
+}
+
+/**
+ * Find security codes, expiration dates and dates of birth in text
+ * @param {string} text - Transcript text (spoken numbers should already be digits)
+ * @returns {Array<Object>} - Matches ({ type, label, index, length }) sorted by position
+ */
+function findMatches(text) {
+  if (!text) return [];
+
+  const collect = (regex, group, type, accept) =>
+    textMatches.collectRegexMatches(regex, text, group, { type, label: LABELS[type] }, accept);
+
+  return textMatches.removeOverlaps([
+    ...collect(SECURITY_CODE_REGEX, 1, 'securityCode'),
+    ...collect(EXPIRATION_CONTEXT_REGEX, 1, 'expirationDate'),
+    ...collect(EXPIRATION_SLASH_REGEX, 0, 'expirationDate'),
+    ...collect(NUMERIC_DATE_REGEX, 0, 'dateOfBirth', match => isBirthDate(text, match.index, match[3])),
+    ...collect(SPOKEN_DATE_REGEX, 0, 'dateOfBirth', match => isBirthDate(text, match.index, match[3] || match[6]))
+  ]);
+}
+
+/**
+ * Find matches in a word list and map them back to word indices
+ * @param {Array<Object>} words - Number-normalized transcript words
+ * @returns {Array<Object>} - Matches ({ type, label, startIndex, endIndex, start, end })
+ */
+function findWordMatches(words) {
+  return textMatches.findWordMatches(words, findMatches);
+}
+
+/**
+ * Replace security codes, expiration dates and dates of birth in text with labels
+ * @param {string} text - Transcript text
+ * @returns {string} - Redacted text
+ */
+function redactText(text) {
+  return textMatches.redactTextByWords(text, findWordMatches);
+}
+
+module.exports = {
+  LABELS,
+  findMatches,
+  findWordMatches,
+  redactText
+};
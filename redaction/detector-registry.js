@@ -0,0 +1,431 @@
+/**
+ * Detector Registry for Call Info Remover
+ *
+ * Every kind of sensitive value is found by a detector registered here, and
+ * both the audio path (which beeps time ranges) and the transcript path (which
+ * replaces text) run the same detectors, so they always agree on what counts
+ * as sensitive.
+ *
+ * A detector is a plain object:
+ *
+ *   {
+ *     type: 'employeeId',          // unique name; registering it again replaces the detector
+ *     label: 'EMPLOYEE ID',        // transcript label: "[REDACTED EMPLOYEE ID]"
+ *     defaultAction: 'beep',       // 'beep', 'mute' (silence only) or 'mask' (transcript only)
+ *     match(words, context) {      // number-normalized words ({ word, punctuated_word, start, end })
+ *       return [{ startIndex, endIndex }];
+ *     },
+ *     spelled: true                // optional: also match IDs spelled out letter by letter
+ *   }
+ *
+ * Matches may also carry their own type, label and action, validated, reason,
+ * replacement (text used instead of the label), confidence (0-1, instead of the
+ * computed score), padded: true when start/end already include the audio padding,
+ * and flag: true to report a value for review without redacting it.
+ * `context` holds the options for this run and a memo() helper so detectors
+ * that share one scan only run it once.
+ *
+ * Detectors with spelled: true run a second time over the words with spelled-out
+ * sequences joined into single tokens ("A as in apple 4 7" becomes "a47", see
+ * spelled-sequences.js), so their patterns also match IDs read out a character at
+ * a time. Matches from the second pass are mapped back to the original words and
+ * only kept where no detector matched the words as they were heard.
+ *
+ * Matches that cover a word an earlier version already redacted (redacted: true
+ * in a stored word transcript) are dropped, so reprocessing finds only new values.
+ *
+ * Custom detectors are loaded from the plugin directory (DETECTOR_PLUGINS_PATH,
+ * or plugins/detectors); each .js file exports a detector or an array of them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const textMatches = require('./text-matches');
+const digitPatterns = require('./digit-patterns');
+const contextWindows = require('./context-windows');
+const dateAndCodeDetectors = require('./date-and-code-detectors');
+const insuranceIdDetectors = require('./insurance-id-detectors');
+const contactDetectors = require('./contact-detectors');
+const nameDetector = require('./name-detector');
+const customRules = require('./custom-rules');
+const allowlist = require('./allowlist');
+const confidence = require('./confidence');
+const paymentSegments = require('./payment-segments');
+const maskingStyles = require('./masking-styles');
+const secondOpinion = require('./second-opinion');
+const spelledSequences = require('./spelled-sequences');
+
+const ACTIONS = ['beep', 'mute', 'mask'];
+
+const DEFAULT_PLUGINS_PATH = path.join(__dirname, '..', 'plugins', 'detectors');
+
+const detectors = new Map();
+
+/**
+ * Register a detector, replacing any detector of the same type
+ * @param {Object} detector - { type, label, defaultAction, match }
+ * @returns {Object} - The registered detector
+ */
+function registerDetector(detector) {
+  if (!detector || typeof detector.type !== 'string' || !detector.type) {
+    throw new Error('Detector must have a type');
+  }
+  if (typeof detector.label !== 'string' || !detector.label) {
+    throw new Error(`Detector ${detector.type} must have a label`);
+  }
+  if (typeof detector.match !== 'function') {
+    throw new Error(`Detector ${detector.type} must have a match function`);
+  }
+
+  const defaultAction = detector.defaultAction || 'beep';
+  if (!ACTIONS.includes(defaultAction)) {
+    throw new Error(`Detector ${detector.type} has an invalid default action: ${defaultAction}`);
+  }
+
+  const registered = { ...detector, defaultAction };
+  detectors.set(detector.type, registered);
+  return registered;
+}
+
+/**
+ * Remove a detector
+ * @param {string} type - Detector type
+ * @returns {boolean} - True if a detector was removed
+ */
+function unregisterDetector(type) {
+  return detectors.delete(type);
+}
+
+/**
+ * Get all registered detectors in registration order
+ * @returns {Array<Object>} - Detectors
+ */
+function getDetectors() {
+  return Array.from(detectors.values());
+}
+
+/**
+ * Load custom detectors from a plugin directory
+ * @param {string} dirPath - Directory of .js files (defaults to DETECTOR_PLUGINS_PATH or plugins/detectors)
+ * @returns {Object} - { loaded: [type], errors: [{ file, error }] }
+ */
+function loadPlugins(dirPath = process.env.DETECTOR_PLUGINS_PATH || DEFAULT_PLUGINS_PATH) {
+  const result = { loaded: [], errors: [] };
+
+  if (!fs.existsSync(dirPath)) {
+    return result;
+  }
+
+  fs.readdirSync(dirPath)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .forEach(file => {
+      try {
+        const exported = require(path.resolve(dirPath, file));
+        const plugins = Array.isArray(exported) ? exported : [exported];
+        plugins.forEach(plugin => {
+          result.loaded.push(registerDetector(plugin).type);
+        });
+      } catch (error) {
+        result.errors.push({ file, error: error.message });
+      }
+    });
+
+  return result;
+}
+
+function createContext(options, extras) {
+  const memos = new Map();
+  return {
+    options,
+    timed: options.timed !== false,
+    extras,
+    memo(key, compute) {
+      if (!memos.has(key)) memos.set(key, compute());
+      return memos.get(key);
+    }
+  };
+}
+
+/**
+ * Run a detector, and for spelled detectors again over the joined spelled-out words
+ * @returns {Array<Object>} - Matches by index into words; second-pass matches carry spelledPass: true
+ */
+function runDetector(detector, words, context, spelled) {
+  const matches = detector.match(words, context) || [];
+  if (!detector.spelled) return matches;
+
+  return matches.concat(spelledSequences.findJoinedMatches(spelled.words, joined => detector.match(joined, spelled.context)));
+}
+
+// Drop second-pass matches over words that some detector matched as they were heard
+function dropSpelledOverlaps(result) {
+  const lists = ['matches', 'flagged', 'suppressed', 'ignored'];
+  const heard = lists.reduce((all, list) => all.concat(result[list].filter(match => !match.spelledPass)), []);
+
+  lists.forEach(list => {
+    result[list] = result[list].filter(match => !match.spelledPass ||
+      !heard.some(other => match.startIndex <= other.endIndex && other.startIndex <= match.endIndex));
+  });
+}
+
+// Per-run overrides win, then an action chosen by the match itself (custom rules), then the default
+function resolveAction(detector, match, options) {
+  const overrides = options.actions || {};
+  const candidates = [overrides[match.type], overrides[detector.type], match.action];
+  return candidates.find(action => ACTIONS.includes(action)) || detector.defaultAction;
+}
+
+/**
+ * Run every enabled detector over a word list
+ * @param {Array<Object>} words - Number-normalized transcript words
+ * @param {Object} options - Run options:
+ *   timed: true when word start/end are audio timestamps
+ *   actions: per-type action overrides ({ personName: 'beep' })
+ *   disabled: detector types to skip
+ *   allowlist: allowlist entries; matching values are suppressed instead of redacted
+ *   thresholds: per-type confidence thresholds ({ default: { redact, flag }, ssn: { redact, flag } })
+ *   language: language of the call ('en' or 'es'), used by redactText to read spoken numbers
+ *   masking: per-type transcript masking styles ({ default: 'full', creditCard: 'last4' }); matches
+ *     get the maskingStyle used and, unless fully replaced, a replacement such as "****-****-****-1234"
+ *   vault: vault session that issues tokens for the 'vault' masking style
+ *   redactions: time ranges the transcription provider redacted itself ({ start, end, feature }),
+ *     merged with the other detectors' matches as a second opinion (see second-opinion.js)
+ *   plus detector-specific options (unvalidatedActions, contextWindows, people, customRules,
+ *   memberIdFormats, paymentSegments)
+ * @returns {Object} - { matches, flagged, suppressed, ignored, extras } where matches carry
+ *   type, label, action, confidence, startIndex, endIndex, start and end; suppressed
+ *   matches also carry the allowlistEntry that covered them; ignored matches scored
+ *   below the flag threshold; extras holds detector side results (extras.people from
+ *   the name detector). Matches a second opinion agreed with carry confirmed: true.
+ */
+function findMatches(words, options = {}) {
+  const result = { matches: [], flagged: [], suppressed: [], ignored: [], extras: {} };
+  if (!Array.isArray(words) || words.length === 0) {
+    return result;
+  }
+
+  const disabled = options.disabled || [];
+  const context = createContext(options, result.extras);
+  // The spelled pass has its own memos, since shared scans see different words there
+  const spelled = {
+    words: spelledSequences.joinSpelledWords(words),
+    context: createContext(options, {})
+  };
+
+  getDetectors()
+    .filter(detector => !disabled.includes(detector.type))
+    .forEach(detector => {
+      runDetector(detector, words, context, spelled).forEach(match => {
+        const startIndex = Math.max(0, match.startIndex);
+        const endIndex = Math.min(words.length - 1, match.endIndex);
+        if (!(startIndex <= endIndex)) return;
+        // Placeholders of a stored transcript being reprocessed are never matched again
+        if (textMatches.touchesRedactedWord({ startIndex, endIndex }, words)) return;
+
+        const found = {
+          ...match,
+          type: match.type || detector.type,
+          label: match.label || detector.label,
+          action: resolveAction(detector, match, options),
+          startIndex,
+          endIndex,
+          start: match.start !== undefined ? match.start : parseFloat(words[startIndex].start),
+          end: match.end !== undefined ? match.end : parseFloat(words[endIndex].end)
+        };
+        found.confidence = typeof match.confidence === 'number' ? match.confidence : confidence.scoreMatch(words, found).score;
+        const thresholds = confidence.resolveThresholds(found.type, options.thresholds);
+        const decision = confidence.decide(found.confidence, thresholds);
+
+        const value = words.slice(startIndex, endIndex + 1).map(w => w.punctuated_word || w.word).join(' ');
+
+        // Pseudonyms, payment segments and rules with their own replacement text keep it
+        if (options.masking && !found.replacement) {
+          const masked = maskingStyles.maskValue(value, found, options.masking, { vault: options.vault });
+          found.maskingStyle = masked.style;
+          if (masked.replacement) found.replacement = masked.replacement;
+        }
+
+        const allowlistEntry = allowlist.findEntry(value, found.type, options.allowlist);
+
+        if (allowlistEntry) {
+          result.suppressed.push({ ...found, allowlistEntry: { id: allowlistEntry.id, note: allowlistEntry.note } });
+        } else if (match.flag) {
+          result.flagged.push(found);
+        } else if (match.redactUnvalidated) {
+          result.matches.push(found);
+        } else if (decision === 'flag') {
+          result.flagged.push({ ...found, reason: `confidence ${found.confidence} below ${thresholds.redact}` });
+        } else if (decision === 'ignore') {
+          result.ignored.push({ ...found, reason: `confidence ${found.confidence} below ${thresholds.flag}` });
+        } else {
+          result.matches.push(found);
+        }
+      });
+    });
+
+  dropSpelledOverlaps(result);
+  secondOpinion.mergeOpinions(result);
+
+  result.matches.sort((a, b) => a.start - b.start);
+  result.flagged.sort((a, b) => a.start - b.start);
+  result.suppressed.sort((a, b) => a.start - b.start);
+  result.ignored.sort((a, b) => a.start - b.start);
+  return result;
+}
+
+/**
+ * Redact transcript text with every enabled detector
+ * @param {string} text - Transcript text
+ * @param {Object} options - Run options (see findMatches)
+ * @returns {string} - Redacted text
+ */
+function redactText(text, options = {}) {
+  return textMatches.redactTextByWords(text, words => findMatches(words, { ...options, timed: false }).matches, {
+    language: options.language
+  });
+}
+
+// Built-in detectors. Related types share one scan through context.memo().
+
+// A value that failed its checksum is handled as unvalidatedActions says. Its low checksum
+// score must not turn a 'redact' into a flag, so it is marked to skip the thresholds.
+const digitPatternMatches = (words, context) =>
+  context.memo('digitPatterns', () => digitPatterns.findWordMatches(words, context.options.unvalidatedActions)
+    .filter(match => match.action !== 'ignore')
+    .map(({ action, ...match }) => ({ ...match, flag: action === 'flag', redactUnvalidated: match.validated === false && action === 'redact' })));
+
+// Keyword windows rely on real timestamps for their timeout, so they only run on the audio path
+const windowMatches = (words, context) =>
+  context.timed ? context.memo('contextWindows', () => contextWindows.findContextWindows(words, context.options.contextWindows)) : [];
+
+const dateAndCodeMatches = (words, context) =>
+  context.memo('dateAndCode', () => dateAndCodeDetectors.findWordMatches(words));
+
+const insuranceIdMatches = (words, context) =>
+  context.memo('insuranceIds', () => insuranceIdDetectors.findWordMatches(words, { formats: context.options.memberIdFormats }));
+
+const contactMatches = (words, context) =>
+  context.memo('contact', () => contactDetectors.findWordMatches(words));
+
+const ofType = (matches, type) => matches.filter(match => match.type === type);
+
+Object.keys(digitPatterns.PATTERNS).forEach(type => {
+  registerDetector({
+    type,
+    label: digitPatterns.LABELS[type],
+    defaultAction: 'beep',
+    spelled: true,
+    match: (words, context) => [
+      ...ofType(digitPatternMatches(words, context), type),
+      ...ofType(windowMatches(words, context), type).map(window => ({ ...window, validated: null }))
+    ]
+  });
+});
+
+Object.keys(dateAndCodeDetectors.LABELS).forEach(type => {
+  registerDetector({
+    type,
+    label: dateAndCodeDetectors.LABELS[type],
+    defaultAction: 'beep',
+    spelled: true,
+    match: (words, context) => [
+      ...ofType(dateAndCodeMatches(words, context), type),
+      ...ofType(windowMatches(words, context), type)
+    ]
+  });
+});
+
+registerDetector({
+  type: 'password',
+  label: 'PASSWORD',
+  defaultAction: 'beep',
+  match: (words, context) => ofType(windowMatches(words, context), 'password')
+});
+
+registerDetector({
+  type: 'medicareMbi',
+  label: insuranceIdDetectors.LABELS.medicareMbi,
+  defaultAction: 'beep',
+  match: (words, context) => ofType(insuranceIdMatches(words, context), 'medicareMbi')
+});
+
+registerDetector({
+  type: 'medicaidId',
+  label: insuranceIdDetectors.LABELS.medicaidId,
+  defaultAction: 'beep',
+  match: (words, context) => ofType(insuranceIdMatches(words, context), 'medicaidId')
+});
+
+// Member ID formats may declare their own types, which keep their type and label
+registerDetector({
+  type: 'memberId',
+  label: insuranceIdDetectors.LABELS.memberId,
+  defaultAction: 'beep',
+  match: (words, context) => insuranceIdMatches(words, context)
+    .filter(match => match.type !== 'medicareMbi' && match.type !== 'medicaidId')
+});
+
+Object.keys(contactDetectors.LABELS).forEach(type => {
+  registerDetector({
+    type,
+    label: contactDetectors.LABELS[type],
+    defaultAction: 'beep',
+    match: (words, context) => ofType(contactMatches(words, context), type)
+  });
+});
+
+// Admin-managed rules from the detection_rules table, loaded by the caller for each job
+// so rule changes apply without a restart. Each rule sets its own type, label, action and padding.
+registerDetector({
+  type: 'customRule',
+  label: 'CUSTOM',
+  defaultAction: 'beep',
+  spelled: true,
+  match: (words, context) => customRules.findRuleMatches(words, context.options.customRules, { timed: context.timed })
+});
+
+// Names are pseudonymized in the transcript and left in the audio unless the action is overridden
+registerDetector({
+  type: 'personName',
+  label: nameDetector.LABEL,
+  defaultAction: 'mask',
+  match: (words, context) => {
+    const { matches, people } = nameDetector.findNames(words, { people: context.options.people });
+    context.extras.people = people;
+    return matches;
+  }
+});
+
+// PCI segment mode blanks the whole card-taking portion of the call. Segments are
+// bounded by cues and timings rather than by what was heard, so they are never
+// down-scored for low word confidence, and they only run on the audio path.
+registerDetector({
+  type: 'paymentSegment',
+  label: paymentSegments.LABEL,
+  defaultAction: 'beep',
+  match: (words, context) => {
+    const options = context.options.paymentSegments || {};
+    if (!context.timed || !options.enabled) return [];
+    return paymentSegments.findSegments(words, options).map(segment => ({ ...segment, confidence: 1, padded: true }));
+  }
+});
+
+// Ranges the transcription provider redacted itself (Deepgram's redact option), a
+// second opinion on the other detectors. They only run on the audio path.
+registerDetector({
+  type: secondOpinion.TYPE,
+  label: secondOpinion.LABEL,
+  defaultAction: 'beep',
+  match: (words, context) => context.timed ? secondOpinion.findMatches(words, context.options.redactions) : []
+});
+
+module.exports = {
+  ACTIONS,
+  registerDetector,
+  unregisterDetector,
+  getDetectors,
+  loadPlugins,
+  findMatches,
+  redactText
+};
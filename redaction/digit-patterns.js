@@ -0,0 +1,88 @@
+/**
+ * Digit Pattern Detectors for Call Info Remover
+ *
+ * The original SSN, card, phone, bank account and routing number patterns.
+ * Several patterns can match the same digits (a 9-digit value is a valid SSN
+ * shape, routing number shape and bank account shape), so every candidate is
+ * validated and the best one wins: values that pass a checksum beat types
+ * without a checksum, which beat values that fail one. Ties keep the order of
+ * PATTERNS.
+ */
+
+const textMatches = require('./text-matches');
+const validators = require('./validators');
+
+const PATTERNS = {
+  ssn: /\b\d{3}[-\s]?\d{2}[-\s]?\d{4}\b/g,
+  creditCard: /\b(?:\d{4}[-\s]?\d{4}[-\s]?\d{4}[-\s]?\d{4}|\d{4}[-\s]?\d{6}[-\s]?\d{5})\b/g,
+  phoneNumber: /\b\d{3}[-\s]?\d{3}[-\s]?\d{4}\b/g,
+  bankAccount: /\b\d{8,17}\b/g,
+  routingNumber: /\b\d{9}\b/g
+};
+
+// Labels used in redacted transcripts
+const LABELS = Object.keys(PATTERNS).reduce((labels, type) => {
+  labels[type] = type.toUpperCase();
+  return labels;
+}, {});
+
+const rank = candidate => (candidate.validated === true ? 0 : candidate.validated === null ? 1 : 2);
+
+/**
+ * Find digit pattern matches in text, keeping the best-validated candidate
+ * wherever patterns overlap
+ * @param {string} text - Transcript text (spoken numbers should already be digits)
+ * @param {Object} unvalidatedActions - Per-type action for values that fail validation
+ * @returns {Array<Object>} - Matches ({ type, label, index, length, validated, issuer, reason, action })
+ *   where action is 'redact', 'flag' or 'ignore'
+ */
+function findMatches(text, unvalidatedActions) {
+  if (!text) return [];
+
+  const actions = validators.resolveUnvalidatedActions(unvalidatedActions);
+  const candidates = [];
+
+  Object.entries(PATTERNS).forEach(([type, pattern], order) => {
+    textMatches.collectRegexMatches(pattern, text, 0, { type, label: LABELS[type] }).forEach(match => {
+      const validation = validators.validateMatch(type, text.substr(match.index, match.length));
+      candidates.push({
+        ...match,
+        order,
+        validated: validation.validated,
+        issuer: validation.issuer,
+        reason: validation.reason,
+        action: validators.actionForValidation(type, validation, actions)
+      });
+    });
+  });
+
+  const sorted = candidates.sort((a, b) => rank(a) - rank(b) || a.order - b.order || b.length - a.length);
+  const kept = [];
+
+  sorted.forEach(candidate => {
+    const overlaps = kept.some(k => candidate.index < k.index + k.length && k.index < candidate.index + candidate.length);
+    if (!overlaps) {
+      const { order, ...match } = candidate;
+      kept.push(match);
+    }
+  });
+
+  return kept.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Find matches in a word list and map them back to word indices
+ * @param {Array<Object>} words - Number-normalized transcript words
+ * @param {Object} unvalidatedActions - Per-type action for values that fail validation
+ * @returns {Array<Object>} - Matches with startIndex, endIndex, start and end added
+ */
+function findWordMatches(words, unvalidatedActions) {
+  return textMatches.findWordMatches(words, text => findMatches(text, unvalidatedActions));
+}
+
+module.exports = {
+  PATTERNS,
+  LABELS,
+  findMatches,
+  findWordMatches
+};
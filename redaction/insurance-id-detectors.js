@@ -0,0 +1,173 @@
+/**
+ * Medicare, Medicaid and Insurance Member ID Detectors
+ *
+ * Detects Medicare Beneficiary Identifiers (MBIs) using the CMS
+ * character-position rules, plus Medicaid numbers and carrier member/policy
+ * IDs defined as configurable formats. IDs are matched whether they arrive as a
+ * single token ("1EG4-TE5-MK73"), spelled out letter by letter ("one e g four
+ * t e five m k seven three") or with the phonetic alphabet ("echo", "G as in golf").
+ */
+
+const fs = require('fs');
+const path = require('path');
+const textMatches = require('./text-matches');
+const spelledSequences = require('./spelled-sequences');
+
+// Labels used in redacted transcripts
+const LABELS = {
+  medicareMbi: 'MEDICARE ID',
+  medicaidId: 'MEDICAID ID',
+  memberId: 'MEMBER ID'
+};
+
+// MBI letters exclude S, L, O, I, B and Z
+const MBI_ALPHA = '[AC-HJKMNP-RT-Y]';
+const MBI_ALNUM = '[AC-HJKMNP-RT-Y0-9]';
+
+// CMS position rules: C A AN N A AN N A A N N
+const MBI_REGEX = new RegExp(
+  '^[1-9]' + MBI_ALPHA + MBI_ALNUM + '[0-9]' + MBI_ALPHA + MBI_ALNUM + '[0-9]' + MBI_ALPHA + MBI_ALPHA + '[0-9]{2}$'
+);
+
+const MBI_LENGTH = 11;
+
+// How many words before an ID are searched for a format's keywords
+const KEYWORD_CONTEXT_WORDS = 8;
+
+// Longest spelled-out run considered when matching configured formats
+const MAX_CANDIDATE_LENGTH = 20;
+
+// Default location of carrier-specific member ID formats
+const DEFAULT_FORMATS_PATH = path.join(__dirname, '..', 'config', 'member-id-formats.json');
+
+/**
+ * Check a candidate against the CMS MBI character-position rules
+ * @param {string} value - Candidate (dashes and spaces are ignored)
+ * @returns {boolean} - True if the value is a well-formed MBI
+ */
+function isValidMbi(value) {
+  const candidate = String(value || '').replace(/[-\s]/g, '').toUpperCase();
+  return MBI_REGEX.test(candidate);
+}
+
+/**
+ * Load carrier-specific ID formats from disk. Callers load them once per job
+ * and pass them to findWordMatches as options.formats.
+ * Each format is { name, type, pattern, keywords? }; `pattern` is a regular
+ * expression source matched against the whole candidate, case-insensitively.
+ * Formats with keywords only match when a keyword is spoken shortly before.
+ * @param {string} filePath - JSON file to read (defaults to config/member-id-formats.json)
+ * @returns {Object} - { formats, error } where formats have compiled regexes and error is
+ *   the message of a file that could not be read (formats is then empty)
+ */
+function loadMemberIdFormats(filePath = process.env.MEMBER_ID_FORMATS_PATH || DEFAULT_FORMATS_PATH) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      return { formats: [], error: null };
+    }
+
+    const formats = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return {
+      formats: formats
+        .filter(format => format && format.pattern)
+        .map(format => ({
+          name: format.name || format.pattern,
+          type: format.type || 'memberId',
+          label: format.label || LABELS[format.type] || LABELS.memberId,
+          keywords: (format.keywords || []).map(keyword => keyword.toLowerCase()),
+          regex: new RegExp(`^(?:${format.pattern})$`, 'i')
+        })),
+      error: null
+    };
+  } catch (error) {
+    return { formats: [], error: error.message };
+  }
+}
+
+function hasKeyword(cleanedWords, startIndex, keywords) {
+  if (keywords.length === 0) return true;
+  const preceding = cleanedWords.slice(Math.max(0, startIndex - KEYWORD_CONTEXT_WORDS), startIndex).join(' ');
+  return keywords.some(keyword => preceding.includes(keyword));
+}
+
+/**
+ * Find MBIs, Medicaid numbers and member IDs in a word list
+ * @param {Array<Object>} words - Number-normalized transcript words ({ word, start, end })
+ * @param {Object} options - { formats } from loadMemberIdFormats; read from disk when left out
+ * @returns {Array<Object>} - Matches ({ type, label, name, startIndex, endIndex, start, end, validated })
+ */
+function findWordMatches(words, options = {}) {
+  if (!Array.isArray(words) || words.length === 0) return [];
+
+  const formats = options.formats || loadMemberIdFormats().formats;
+  const cleanedWords = words.map(w => String(w.word || '').toLowerCase().replace(/[^a-z0-9' ]/g, ''));
+  const matches = [];
+
+  // Each spelled sequence is a candidate; try every sub-run of its units so an
+  // ID surrounded by other spelled letters or digits is still found
+  spelledSequences.findSpelledSequences(words).forEach(sequence => {
+    const units = sequence.units;
+    let a = 0;
+
+    while (a < units.length) {
+      let best = null;
+      let candidate = '';
+
+      for (let b = a; b < units.length; b++) {
+        candidate += units[b].value;
+        if (candidate.length > MAX_CANDIDATE_LENGTH) break;
+
+        if (candidate.length === MBI_LENGTH && isValidMbi(candidate)) {
+          best = { type: 'medicareMbi', label: LABELS.medicareMbi, name: 'Medicare MBI', last: b, validated: true };
+          continue;
+        }
+
+        // Configured formats must contain a digit so ordinary spelled words never match
+        if (!/\d/.test(candidate)) continue;
+
+        const format = formats.find(f => f.regex.test(candidate) && hasKeyword(cleanedWords, units[a].startIndex, f.keywords));
+        if (format) {
+          best = { type: format.type, label: format.label, name: format.name, last: b, validated: null };
+        }
+      }
+
+      if (best) {
+        const startIndex = units[a].startIndex;
+        const endIndex = units[best.last].endIndex;
+        matches.push({
+          type: best.type,
+          label: best.label,
+          name: best.name,
+          startIndex,
+          endIndex,
+          start: parseFloat(words[startIndex].start),
+          end: parseFloat(words[endIndex].end),
+          validated: best.validated
+        });
+        a = best.last + 1;
+      } else {
+        a++;
+      }
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Replace MBIs, Medicaid numbers and member IDs in text with labels
+ * @param {string} text - Transcript text
+ * @param {Object} options - { formats } from loadMemberIdFormats; read from disk when left out
+ * @returns {string} - Redacted text
+ */
+function redactText(text, options = {}) {
+  return textMatches.redactTextByWords(text, words => findWordMatches(words, options));
+}
+
+module.exports = {
+  LABELS,
+  isValidMbi,
+  loadMemberIdFormats,
+  findWordMatches,
+  redactText
+};
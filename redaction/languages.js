@@ -0,0 +1,49 @@
+/**
+ * Call Languages for Call Info Remover
+ *
+ * Each call is analyzed in one language, chosen per upload or detected by
+ * Deepgram ('auto'). The language picks the number words that are collapsed
+ * into digits; trigger phrases and payment cues for every supported language
+ * are always active, so calls that switch language part-way are still covered.
+ */
+
+const SUPPORTED_LANGUAGES = ['en', 'es'];
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Reduce a language tag ("es-419", "ES") to its base language
+function baseLanguage(value) {
+  return String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Read a requested language from upload options
+ * @param {string} value - 'auto' or a language tag ('en', 'es', 'es-US')
+ * @returns {string} - 'auto' or a supported language (the default for anything else)
+ */
+function normalizeLanguage(value) {
+  if (String(value || '').trim().toLowerCase() === 'auto') return 'auto';
+  const language = baseLanguage(value);
+  return SUPPORTED_LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Get the language a call is analyzed in
+ * @param {string} requested - Requested language (see normalizeLanguage)
+ * @param {string} detected - Language reported by the transcriber, if any
+ * @returns {string} - Supported language; unsupported detections fall back to the default
+ */
+function resolveLanguage(requested, detected) {
+  const language = normalizeLanguage(requested);
+  if (language !== 'auto') return language;
+
+  const base = baseLanguage(detected);
+  return SUPPORTED_LANGUAGES.includes(base) ? base : DEFAULT_LANGUAGE;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  resolveLanguage
+};
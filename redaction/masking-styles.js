@@ -0,0 +1,130 @@
+/**
+ * Transcript Masking Styles for Call Info Remover
+ *
+ * By default a detected value is replaced in the transcript by its label
+ * ("[REDACTED CREDITCARD]"). Service teams often need to confirm which card or
+ * account was used, so each detection type can use a different style:
+ *
+ *   full         - replace the value with its label (default)
+ *   last4        - keep the last four characters ("****-****-****-1234")
+ *   first6last4  - keep the first six and last four (card BIN plus last four)
+ *   hash         - a keyed hash token that is the same every time the value is
+ *                  seen ("[CREDITCARD 3f9a1c2b7d4e]"), so calls can be matched
+ *                  without storing the value
+ *   vault        - an opaque token whose value is encrypted in the vault and can
+ *                  be recovered by authorized roles (see vault.js)
+ *
+ * Hash tokens are keyed with MASKING_HASH_KEY; without it, hash falls back to
+ * full replacement, as does vault when the vault is not configured. Values
+ * too short to keep any characters hidden also fall back to a shorter style.
+ */
+
+const crypto = require('crypto');
+
+const MASKING_STYLES = ['full', 'last4', 'first6last4', 'hash', 'vault'];
+
+const DEFAULT_STYLE = 'full';
+
+// Hex characters kept from the hash
+const TOKEN_LENGTH = 12;
+
+// Display groups for values of a known length, keyed by type and then length
+const GROUPS = {
+  creditCard: { 15: [4, 6, 5], 16: [4, 4, 4, 4] },
+  ssn: { 9: [3, 2, 4] },
+  phoneNumber: { 10: [3, 3, 4], 11: [1, 3, 3, 4] }
+};
+
+/**
+ * Build the effective styles
+ * @param {Object} styles - Detection type (or 'default') to style: { default: 'full', creditCard: 'last4' }
+ * @returns {Object} - Styles with unknown styles dropped and default always set
+ */
+function resolveStyles(styles = {}) {
+  const resolved = { default: DEFAULT_STYLE };
+  Object.keys((styles && typeof styles === 'object' && styles) || {}).forEach(type => {
+    if (MASKING_STYLES.includes(styles[type])) resolved[type] = styles[type];
+  });
+  return resolved;
+}
+
+/**
+ * Get the style for a detection type
+ * @param {string} type - Detection type
+ * @param {Object} styles - Resolved styles
+ * @returns {string} - Style
+ */
+function styleFor(type, styles) {
+  const resolved = styles || {};
+  return resolved[type] || resolved.default || DEFAULT_STYLE;
+}
+
+// Numbers keep only their digits ("4111 1111 ... 1234", "four one one one" after normalization)
+function characters(value) {
+  const cleaned = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const digits = cleaned.replace(/\D/g, '');
+  return digits.length >= 4 ? digits : cleaned;
+}
+
+function group(masked, type) {
+  const groups = (GROUPS[type] || {})[masked.length];
+  if (!groups) return masked;
+
+  let offset = 0;
+  return groups.map(size => {
+    const part = masked.substr(offset, size);
+    offset += size;
+    return part;
+  }).join('-');
+}
+
+function keep(value, first, last) {
+  return value.substring(0, first) + '*'.repeat(value.length - first - last) + value.substring(value.length - last);
+}
+
+/**
+ * Mask a detected value for the transcript
+ * @param {string} value - Detected value as spoken or transcribed
+ * @param {Object} detection - { type, label }
+ * @param {Object} styles - Resolved styles (see resolveStyles)
+ * @param {Object} options - { hashKey (defaults to MASKING_HASH_KEY), vault (the job's vault session) }
+ * @returns {Object} - { style, replacement } where replacement is null for full replacement
+ *   and style is the style actually used
+ */
+function maskValue(value, detection, styles, options = {}) {
+  const chars = characters(value);
+  let style = styleFor(detection.type, styles);
+
+  if (style === 'first6last4' && chars.length <= 10) style = 'last4';
+  if (style === 'last4' && chars.length <= 4) style = 'full';
+
+  if (style === 'hash') {
+    const key = options.hashKey || process.env.MASKING_HASH_KEY;
+    if (!key || !chars) return { style: 'full', replacement: null };
+
+    const token = crypto.createHmac('sha256', key)
+      .update(`${detection.type}:${chars}`)
+      .digest('hex')
+      .substring(0, TOKEN_LENGTH);
+    return { style, replacement: `[${detection.label} ${token}]` };
+  }
+
+  if (style === 'vault') {
+    if (!options.vault || !chars) return { style: 'full', replacement: null };
+    // The vault keeps the value as it was heard so it can be given back exactly
+    const original = String(value).trim().replace(/[.,;:!?]+$/, '');
+    return { style, replacement: `[${detection.label} ${options.vault.tokenFor(detection.type, original)}]` };
+  }
+
+  if (style === 'last4') return { style, replacement: group(keep(chars, 0, 4), detection.type) };
+  if (style === 'first6last4') return { style, replacement: group(keep(chars, 6, 4), detection.type) };
+
+  return { style: 'full', replacement: null };
+}
+
+module.exports = {
+  MASKING_STYLES,
+  resolveStyles,
+  styleFor,
+  maskValue
+};
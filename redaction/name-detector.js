@@ -0,0 +1,279 @@
+/**
+ * Person Name Detection for Call Info Remover
+ *
+ * Finds people's names in a transcript without any cloud calls, using the
+ * bundled first and last name lists in redaction/data plus introduction cues
+ * ("my name is", "this is", "Mr."). Each person found gets a pseudonym that
+ * stays the same for every mention within a recording, so "John Smith" and a
+ * later "John" both become "[PERSON_1]". Pseudonyms are keyed on the full
+ * name: a caller named "John Doe" in the same call becomes "[PERSON_2]".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const textMatches = require('./text-matches');
+
+const LABEL = 'PERSON';
+
+const DATA_DIR = path.join(__dirname, 'data');
+
+// Longest name read after a cue ("Mary Ann Johnson")
+const MAX_NAME_WORDS = 3;
+
+// Introduction cues. Strong cues are followed by a name often enough that any
+// capitalized word counts; weak ones ("this is", "I'm") need a listed name.
+const CUES = [
+  { words: ['my', 'name', 'is'], strong: true },
+  { words: ['name', 'is'], strong: true },
+  { words: ["name's"], strong: true },
+  { words: ['mr'], strong: true },
+  { words: ['mrs'], strong: true },
+  { words: ['ms'], strong: true },
+  { words: ['miss'], strong: false },
+  { words: ['dr'], strong: true },
+  { words: ['this', 'is'], strong: false },
+  { words: ["i'm"], strong: false },
+  { words: ['i', 'am'], strong: false },
+  { words: ['speaking', 'with'], strong: false },
+  { words: ['talking', 'to'], strong: false },
+  { words: ['ask', 'for'], strong: false },
+  { words: ['calling', 'for'], strong: false }
+];
+
+// Words that are never part of a name even when capitalized after a cue
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'i', 'it', 'is', 'was', 'be', 'from', 'with', 'at', 'on',
+  'in', 'of', 'to', 'for', 'about', 'here', 'there', 'just', 'not', 'so', 'yes', 'yeah', 'no',
+  'okay', 'ok', 'sorry', 'good', 'fine', 'great', 'sure', 'calling', 'speaking', 'going',
+  'trying', 'looking', 'still', 'also', 'your', 'my', 'our', 'customer', 'service', 'support',
+  'account', 'bank', 'card', 'hello', 'hi', 'hey', 'thanks', 'thank', 'please', 'well', 'um',
+  'uh', 'correct', 'right', 'that', 'this', 'what', 'who', 'how'
+]);
+
+// First names that are also everyday words; outside a cue they only count when capitalized
+const AMBIGUOUS_NAMES = new Set([
+  'will', 'mark', 'bill', 'rose', 'joy', 'hope', 'grace', 'may', 'june', 'april', 'art', 'sue',
+  'pat', 'frank', 'faith', 'dawn', 'summer', 'chase', 'don', 'ray', 'rich', 'rob', 'sandy',
+  'jack', 'jordan', 'austin', 'long', 'young', 'gray', 'wood', 'reed', 'cook', 'ward', 'kelly'
+]);
+
+let nameLists = null;
+
+function readNameList(fileName) {
+  const filePath = path.join(DATA_DIR, fileName);
+  if (!fs.existsSync(filePath)) {
+    return new Set();
+  }
+  return new Set(
+    fs.readFileSync(filePath, 'utf8')
+      .split(/\r?\n/)
+      .map(line => line.trim().toLowerCase())
+      .filter(line => line && !line.startsWith('#'))
+  );
+}
+
+/**
+ * Load the bundled first and last name gazetteer (cached after the first call)
+ * @returns {Object} - { firstNames, lastNames } as Sets of lowercase names
+ */
+function loadNameLists() {
+  if (!nameLists) {
+    nameLists = {
+      firstNames: readNameList('first-names.txt'),
+      lastNames: readNameList('last-names.txt')
+    };
+  }
+  return nameLists;
+}
+
+function cleanWord(word) {
+  return String(word || '').toLowerCase().replace(/^[^a-z']+|[^a-z']+$/g, '');
+}
+
+function isCapitalized(word) {
+  return /^[A-Z][a-z]/.test(String(word.punctuated_word || word.word || '').replace(/^[^A-Za-z]+/, ''));
+}
+
+/**
+ * Keep pseudonyms consistent within a recording. Pseudonyms are keyed on the
+ * full name, so "John Smith" and "John Doe" are different people. A single
+ * word ("John", "Mr. Smith") is the person whose name contains it; when several
+ * names do, it is the one of them mentioned last before it. A single-word name
+ * heard first becomes the full name that later contains it.
+ */
+function createRegistry(people = []) {
+  const entries = people.map(person => ({
+    pseudonym: person.pseudonym,
+    name: person.name,
+    tokens: String(person.name).toLowerCase().split(/\s+/),
+    mentions: 0,
+    positions: []
+  }));
+
+  const sameName = (a, b) => a.length === b.length && a.every((token, i) => token === b[i]);
+
+  const nearest = (candidates, index) => {
+    const before = position => Math.max(-1, ...position.filter(p => p < index));
+    return candidates.reduce((best, entry) => (before(entry.positions) > before(best.positions) ? entry : best));
+  };
+
+  const find = (tokens, index) => {
+    const exact = entries.find(entry => sameName(entry.tokens, tokens));
+    if (exact) return exact;
+
+    if (tokens.length === 1) {
+      const candidates = entries.filter(entry => entry.tokens.includes(tokens[0]));
+      return candidates.length > 0 ? nearest(candidates, index) : null;
+    }
+
+    const partial = entries.filter(entry => entry.tokens.length === 1 && tokens.includes(entry.tokens[0]));
+    return partial.length === 1 ? partial[0] : null;
+  };
+
+  const mention = (entry, index) => {
+    entry.mentions++;
+    entry.positions.push(index);
+    return entry;
+  };
+
+  return {
+    entries,
+    resolve(tokens, displayName, index) {
+      let entry = find(tokens, index);
+      if (!entry) {
+        entry = { pseudonym: `${LABEL}_${entries.length + 1}`, name: displayName, tokens: [...tokens], mentions: 0, positions: [] };
+        entries.push(entry);
+      } else if (tokens.length > entry.tokens.length) {
+        // Keep the fullest form of the name that was heard
+        entry.tokens = [...tokens];
+        entry.name = displayName;
+      }
+      return mention(entry, index);
+    },
+    lookup(token, index) {
+      const candidates = entries.filter(entry => entry.tokens.includes(token));
+      return candidates.length > 0 ? mention(nearest(candidates, index), index) : null;
+    }
+  };
+}
+
+/**
+ * Find people's names in a word list and assign pseudonyms
+ * @param {Array<Object>} words - Transcript words ({ word, punctuated_word, start, end })
+ * @param {Object} options - { people } to reuse pseudonyms from an earlier pass
+ * @returns {Object} - { matches, people } where matches are
+ *   ({ type, label, pseudonym, replacement, startIndex, endIndex, start, end }) and
+ *   people are ({ pseudonym, name, mentions })
+ */
+function findNames(words, options = {}) {
+  const registry = createRegistry(options.people);
+  if (!Array.isArray(words) || words.length === 0) {
+    return { matches: [], people: [] };
+  }
+
+  const { firstNames, lastNames } = loadNameLists();
+  const cleaned = words.map(w => cleanWord(w.word));
+  const claimed = new Array(words.length).fill(false);
+  const spans = [];
+
+  const isListed = i => firstNames.has(cleaned[i]) || lastNames.has(cleaned[i]);
+  const isNameWord = (i, allowCapitalized) => {
+    const word = cleaned[i];
+    if (!word || word.length < 2 || STOP_WORDS.has(word) || claimed[i]) return false;
+    return isListed(i) || (allowCapitalized && isCapitalized(words[i]));
+  };
+
+  const addSpan = (startIndex, endIndex) => {
+    const tokens = cleaned.slice(startIndex, endIndex + 1);
+    const displayName = words.slice(startIndex, endIndex + 1)
+      .map(w => String(w.punctuated_word || w.word).replace(/[^A-Za-z'-]/g, ''))
+      .join(' ');
+    const entry = registry.resolve(tokens, displayName, startIndex);
+    for (let i = startIndex; i <= endIndex; i++) claimed[i] = true;
+    spans.push({ startIndex, endIndex, entry });
+  };
+
+  // Names introduced by a cue
+  for (let i = 0; i < words.length; i++) {
+    const cue = CUES.find(c => c.words.every((part, offset) => cleaned[i + offset] === part));
+    if (!cue) continue;
+
+    const first = i + cue.words.length;
+    if (first >= words.length) continue;
+
+    // A weak cue needs a listed name to start ("this is Karen", not "this is Tuesday")
+    const startsName = cue.strong ? isNameWord(first, true) : isNameWord(first, false);
+    if (!startsName) continue;
+
+    // Extend through following name words, stopping at the end of a sentence or clause
+    let last = first;
+    while (last + 1 < words.length && last + 1 - first < MAX_NAME_WORDS &&
+           !/[.,;:!?]$/.test(words[last].punctuated_word || words[last].word) && isNameWord(last + 1, true)) {
+      last++;
+    }
+
+    addSpan(first, last);
+    i = last;
+  }
+
+  // Listed first name followed by a listed last name, anywhere in the call
+  for (let i = 0; i + 1 < words.length; i++) {
+    if (claimed[i] || claimed[i + 1]) continue;
+    if (!firstNames.has(cleaned[i]) || !lastNames.has(cleaned[i + 1])) continue;
+    if (AMBIGUOUS_NAMES.has(cleaned[i]) && !isCapitalized(words[i])) continue;
+
+    addSpan(i, i + 1);
+    i++;
+  }
+
+  // Later mentions of someone already named ("thanks, John")
+  for (let i = 0; i < words.length; i++) {
+    const word = cleaned[i];
+    if (claimed[i] || !word || word.length < 2 || STOP_WORDS.has(word)) continue;
+    if (AMBIGUOUS_NAMES.has(word) && !isCapitalized(words[i])) continue;
+
+    const entry = registry.lookup(word, i);
+    if (entry) {
+      claimed[i] = true;
+      spans.push({ startIndex: i, endIndex: i, entry });
+    }
+  }
+
+  const matches = spans
+    .sort((a, b) => a.startIndex - b.startIndex)
+    .map(span => ({
+      type: 'personName',
+      label: LABEL,
+      pseudonym: span.entry.pseudonym,
+      replacement: `[${span.entry.pseudonym}]`,
+      startIndex: span.startIndex,
+      endIndex: span.endIndex,
+      start: parseFloat(words[span.startIndex].start),
+      end: parseFloat(words[span.endIndex].end)
+    }));
+
+  const people = registry.entries.map(entry => ({
+    pseudonym: entry.pseudonym,
+    name: entry.name,
+    mentions: entry.mentions
+  }));
+
+  return { matches, people };
+}
+
+/**
+ * Replace names in transcript text with their pseudonyms ("[PERSON_1]")
+ * @param {string} text - Transcript text
+ * @param {Array<Object>} people - People found in the word-level pass, so pseudonyms match
+ * @returns {string} - Pseudonymized text
+ */
+function pseudonymizeText(text, people = []) {
+  return textMatches.redactTextByWords(text, words => findNames(words, { people }).matches);
+}
+
+module.exports = {
+  LABEL,
+  loadNameLists,
+  findNames,
+  pseudonymizeText
+};
@@ -0,0 +1,385 @@
+/**
+ * Spoken Number Normalizer for Call Info Remover
+ *
+ * Deepgram frequently transcribes spoken digits as words ("four one one one",
+ * "forty one eleven", "double five", "oh seven"). This module collapses runs of
+ * spoken number words into a single digit token so the sensitive-information
+ * patterns can match them, while keeping the timing of the original words.
+ *
+ * English is the default. Spanish calls ("cuatro uno uno uno", "cuarenta y
+ * uno once", "dos mil veinticuatro") are normalized with the Spanish number
+ * words when options.language is 'es'.
+ */
+
+const UNITS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4,
+  five: 5, six: 6, seven: 7, eight: 8, nine: 9
+};
+
+const TEENS = {
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14,
+  fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+
+const TENS = {
+  twenty: 20, thirty: 30, forty: 40, fourty: 40, fifty: 50,
+  sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+const REPEATS = { double: 2, triple: 3 };
+
+const SCALES = { hundred: 100, thousand: 1000 };
+
+// Spanish number words, written without accents ("dieciséis" is matched as "dieciseis")
+const SPANISH = {
+  units: {
+    cero: 0, uno: 1, dos: 2, tres: 3, cuatro: 4,
+    cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9
+  },
+  // "un" and "una" are also articles, so they only count next to other number words
+  weakUnits: { un: 1, una: 1 },
+  // Single words from ten to twenty-nine
+  teens: {
+    diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15,
+    dieciseis: 16, diecisiete: 17, dieciocho: 18, diecinueve: 19,
+    veintiuno: 21, veintiun: 21, veintiuna: 21, veintidos: 22, veintitres: 23, veinticuatro: 24,
+    veinticinco: 25, veintiseis: 26, veintisiete: 27, veintiocho: 28, veintinueve: 29
+  },
+  tens: {
+    veinte: 20, treinta: 30, cuarenta: 40, cincuenta: 50,
+    sesenta: 60, setenta: 70, ochenta: 80, noventa: 90
+  },
+  hundreds: {
+    cien: 100, ciento: 100,
+    doscientos: 200, doscientas: 200, trescientos: 300, trescientas: 300,
+    cuatrocientos: 400, cuatrocientas: 400, quinientos: 500, quinientas: 500,
+    seiscientos: 600, seiscientas: 600, setecientos: 700, setecientas: 700,
+    ochocientos: 800, ochocientas: 800, novecientos: 900, novecientas: 900
+  }
+};
+
+/**
+ * Number words per language.
+ * joiners link tens and units ("treinta y cuatro"); hundredJoiners link a
+ * hundred or thousand to the rest of the number ("five hundred and twenty");
+ * hundreds are single-word hundreds ("quinientos"); a bare thousand word means
+ * one thousand ("mil").
+ */
+const LANGUAGES = {
+  en: {
+    units: UNITS,
+    // "oh" and "o" are only read as zero when they sit next to other number words
+    weakUnits: { oh: 0, o: 0 },
+    teens: TEENS,
+    tens: TENS,
+    joiners: [],
+    hundredJoiners: ['and'],
+    repeats: REPEATS,
+    hundreds: {},
+    hundredWord: 'hundred',
+    thousandWord: 'thousand',
+    bareThousand: false
+  },
+  es: {
+    ...SPANISH,
+    joiners: ['y'],
+    hundredJoiners: [],
+    repeats: {},
+    hundredWord: null,
+    thousandWord: 'mil',
+    bareThousand: true
+  }
+};
+
+function languageWords(language) {
+  return LANGUAGES[language] || LANGUAGES.en;
+}
+
+// Own keys only, so words such as "constructor" are not read as numbers
+function has(table, token) {
+  return Object.prototype.hasOwnProperty.call(table, token);
+}
+
+/**
+ * Lowercase a word and strip surrounding punctuation
+ * @param {string} word - Raw word from the transcript
+ * @returns {string} - Cleaned word
+ */
+function cleanWord(word) {
+  return String(word || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/^[^a-z0-9]+|[^a-z0-9-]+$/g, '');
+}
+
+/**
+ * Split a cleaned word into number tokens ("forty-one" becomes ["forty", "one"])
+ * @param {string} word - Cleaned word
+ * @returns {Array<string>} - Tokens
+ */
+function splitTokens(word) {
+  return word.split('-').filter(Boolean);
+}
+
+function isStrictNumberToken(token, lang) {
+  return has(lang.units, token) || has(lang.teens, token) || has(lang.tens, token) || has(lang.hundreds, token) ||
+    token === lang.hundredWord || token === lang.thousandWord;
+}
+
+function isStrictNumberWord(word, lang) {
+  const tokens = splitTokens(cleanWord(word));
+  return tokens.length > 0 && tokens.every(token => isStrictNumberToken(token, lang));
+}
+
+/**
+ * Parse a value below one hundred starting at position p
+ * @returns {Object|null} - { value, digits, next } or null if no number starts at p
+ */
+function parseBelowHundred(tokens, p, lang) {
+  const token = tokens[p];
+
+  if (has(lang.teens, token)) {
+    return { value: lang.teens[token], digits: String(lang.teens[token]), next: p + 1 };
+  }
+
+  if (has(lang.tens, token)) {
+    // "forty one", or "cuarenta y uno" in languages that join tens and units
+    const joined = lang.joiners.includes(tokens[p + 1]);
+    const following = tokens[joined ? p + 2 : p + 1];
+    const unit = has(lang.units, following) ? lang.units[following]
+      : joined && has(lang.weakUnits, following) ? lang.weakUnits[following] : undefined;
+    if (unit !== undefined && unit !== 0) {
+      const value = lang.tens[token] + unit;
+      return { value, digits: String(value), next: p + (joined ? 3 : 2) };
+    }
+    return { value: lang.tens[token], digits: String(lang.tens[token]), next: p + 1 };
+  }
+
+  if (has(lang.units, token)) {
+    return { value: lang.units[token], digits: String(lang.units[token]), next: p + 1 };
+  }
+
+  if (has(lang.weakUnits, token)) {
+    return { value: lang.weakUnits[token], digits: String(lang.weakUnits[token]), next: p + 1 };
+  }
+
+  return null;
+}
+
+/**
+ * Parse the rest of a number after a hundred or thousand word, with or without
+ * a joiner ("five hundred and twenty")
+ * @returns {Object|null} - { value, next } or null if no non-zero value follows
+ */
+function parseJoined(tokens, p, lang, parse) {
+  const joined = lang.hundredJoiners.includes(tokens[p]);
+  const rest = parse(tokens, joined ? p + 1 : p, lang);
+  return rest && rest.value > 0 ? rest : null;
+}
+
+/**
+ * Parse a value below one thousand ("five hundred twenty", "quinientos veinte" -> 520) starting at p
+ */
+function parseBelowThousand(tokens, p, lang) {
+  if (has(lang.hundreds, tokens[p])) {
+    let value = lang.hundreds[tokens[p]];
+    let next = p + 1;
+    const tail = parseBelowHundred(tokens, next, lang);
+    if (tail && tail.value > 0) {
+      value += tail.value;
+      next = tail.next;
+    }
+    return { value, digits: String(value), next };
+  }
+
+  const head = parseBelowHundred(tokens, p, lang);
+  if (!head) return null;
+
+  if (lang.hundredWord && tokens[head.next] === lang.hundredWord && head.value > 0) {
+    let value = head.value * 100;
+    let next = head.next + 1;
+    const tail = parseJoined(tokens, next, lang, parseBelowHundred);
+    if (tail) {
+      value += tail.value;
+      next = tail.next;
+    }
+    return { value, digits: String(value), next };
+  }
+
+  return head;
+}
+
+/**
+ * Convert a run of number tokens into a digit string.
+ * Digit-by-digit readings, grouped readings ("twenty twenty"), repeats
+ * ("double five") and scaled numbers ("two thousand five") are all supported.
+ * @param {Array<string>} tokens - Number tokens
+ * @param {string} language - Language of the number words ('en' or 'es', default 'en')
+ * @returns {string} - Digit string
+ */
+function tokensToDigits(tokens, language = 'en') {
+  const lang = languageWords(language);
+  let digits = '';
+  let p = 0;
+
+  while (p < tokens.length) {
+    const token = tokens[p];
+
+    // "double five" -> "55", "triple oh" -> "000"
+    if (has(lang.repeats, token)) {
+      const unit = parseBelowHundred(tokens, p + 1, lang);
+      if (unit && unit.value < 10 && unit.digits.length === 1) {
+        digits += unit.digits.repeat(lang.repeats[token]);
+        p = unit.next;
+        continue;
+      }
+      p++;
+      continue;
+    }
+
+    // "mil novecientos" -> "1900"
+    if (lang.bareThousand && token === lang.thousandWord) {
+      let value = 1000;
+      let next = p + 1;
+      const rest = parseBelowThousand(tokens, next, lang);
+      if (rest && rest.value > 0) {
+        value += rest.value;
+        next = rest.next;
+      }
+      digits += String(value);
+      p = next;
+      continue;
+    }
+
+    const group = parseBelowThousand(tokens, p, lang);
+    if (!group) {
+      p++;
+      continue;
+    }
+
+    // "two thousand twenty four", "dos mil veinticuatro" -> "2024"
+    if (tokens[group.next] === lang.thousandWord && group.value > 0) {
+      let value = group.value * 1000;
+      let next = group.next + 1;
+      const rest = parseJoined(tokens, next, lang, parseBelowThousand);
+      if (rest) {
+        value += rest.value;
+        next = rest.next;
+      }
+      digits += String(value);
+      p = next;
+      continue;
+    }
+
+    digits += group.digits;
+    p = group.next;
+  }
+
+  return digits;
+}
+
+/**
+ * Decide which words belong to a spoken number run.
+ * Strict number words always qualify; weak units ("oh"/"o", "un"/"una") and
+ * "double"/"triple" only qualify when they are adjacent to a qualifying number
+ * word, joiners ("y") only between a tens word and a unit, and hundred joiners
+ * ("and") only between a hundred or thousand word and another number word.
+ * @param {Array<Object>} words - Transcript words
+ * @param {Object} lang - Number words for the call's language
+ * @returns {Array<boolean>} - Flag per word
+ */
+function markNumberWords(words, lang) {
+  const cleaned = words.map(w => cleanWord(w.word));
+  const flags = words.map(w => isStrictNumberWord(w.word, lang));
+  const isUnit = word => has(lang.units, word) || has(lang.weakUnits, word);
+  const lastToken = word => splitTokens(word).pop();
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (let i = 0; i < cleaned.length; i++) {
+      if (flags[i]) continue;
+
+      const word = cleaned[i];
+      const prevIsNumber = i > 0 && flags[i - 1];
+      const nextIsNumber = i < cleaned.length - 1 && flags[i + 1];
+      const nextIsWeak = i < cleaned.length - 1 && has(lang.weakUnits, cleaned[i + 1]);
+
+      if (has(lang.weakUnits, word) && (prevIsNumber || nextIsNumber)) {
+        flags[i] = true;
+        changed = true;
+      } else if (has(lang.repeats, word) && (nextIsNumber || nextIsWeak)) {
+        flags[i] = true;
+        changed = true;
+      } else if (lang.joiners.includes(word) && i > 0 && has(lang.tens, cleaned[i - 1]) &&
+        i < cleaned.length - 1 && isUnit(cleaned[i + 1])) {
+        flags[i] = true;
+        changed = true;
+      } else if (lang.hundredJoiners.includes(word) && prevIsNumber && nextIsNumber &&
+        [lang.hundredWord, lang.thousandWord].includes(lastToken(cleaned[i - 1]))) {
+        flags[i] = true;
+        changed = true;
+      }
+    }
+  }
+
+  return flags;
+}
+
+/**
+ * Normalize spoken numbers in a word list.
+ * Each run of spoken number words is replaced by one token holding the digits,
+ * spanning the start of the first word to the end of the last word. Every
+ * returned token records the indices of the original words it came from in
+ * `sourceIndices`, so detections can be mapped back onto the transcript.
+ * @param {Array<Object>} words - Deepgram words ({ word, start, end, ... })
+ * @param {Object} options - { language: 'en' or 'es' (default 'en') }
+ * @returns {Array<Object>} - Normalized words
+ */
+function normalizeWords(words, options = {}) {
+  if (!Array.isArray(words) || words.length === 0) {
+    return [];
+  }
+
+  const lang = languageWords(options.language);
+  const flags = markNumberWords(words, lang);
+  const normalized = [];
+  let i = 0;
+
+  while (i < words.length) {
+    if (!flags[i]) {
+      normalized.push({ ...words[i], sourceIndices: [i] });
+      i++;
+      continue;
+    }
+
+    let j = i;
+    while (j + 1 < words.length && flags[j + 1]) j++;
+
+    const runWords = words.slice(i, j + 1);
+    const tokens = runWords.reduce((all, w) => all.concat(splitTokens(cleanWord(w.word))), []);
+    const digits = tokensToDigits(tokens, options.language);
+
+    if (digits) {
+      const confidences = runWords.map(w => w.confidence).filter(c => typeof c === 'number');
+      normalized.push({
+        ...words[i],
+        word: digits,
+        punctuated_word: digits,
+        start: words[i].start,
+        end: words[j].end,
+        confidence: confidences.length > 0 ? Math.min(...confidences) : words[i].confidence,
+        sourceIndices: Array.from({ length: j - i + 1 }, (_, idx) => i + idx),
+        normalized: true
+      });
+    } else {
+      runWords.forEach((w, idx) => normalized.push({ ...w, sourceIndices: [i + idx] }));
+    }
+
+    i = j + 1;
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  normalizeWords,
+  tokensToDigits
+};
@@ -0,0 +1,189 @@
+/**
+ * PCI Payment Segments for Call Info Remover
+ *
+ * Beeping individual digits still leaks partial card data when the
+ * transcription misses a few words. In segment mode the whole card-taking
+ * portion of the call is redacted as one block: from a payment-start cue
+ * ("can I get the card number") to a payment-end cue ("that's been
+ * processed"), or a number of seconds after the last digit, whichever comes
+ * first, and never longer than a maximum length. A start cue that is not
+ * followed by digits does not open a segment. Cues are listed in English and
+ * Spanish; accents are ignored when they are compared.
+ */
+
+const LABEL = 'PAYMENT SEGMENT';
+const REPLACEMENT = '[PAYMENT SEGMENT REDACTED]';
+
+const DEFAULT_SEGMENT_OPTIONS = {
+  enabled: false,
+  startCues: [
+    'card number', 'credit card', 'debit card', 'card details', 'card information',
+    'payment information', 'payment details', 'take a payment', 'make a payment', 'take payment',
+    'número de tarjeta', 'tarjeta de crédito', 'tarjeta de débito', 'datos de la tarjeta', 'hacer un pago',
+    'hacer el pago', 'realizar el pago'
+  ],
+  endCues: [
+    'been processed', 'payment went through', 'payment is complete', 'payment was successful',
+    'payment has been', 'was approved', 'been approved', 'confirmation number',
+    'sido procesado', 'pago fue procesado', 'pago se procesó', 'fue aprobado', 'pago está completo',
+    'número de confirmación'
+  ],
+  // Seconds to wait for the first digit after a start cue (customers look for their card)
+  waitSeconds: 30,
+  // Seconds after the last digit that close a segment when no end cue is heard
+  trailingSeconds: 10,
+  // Longest block that is ever redacted
+  maxSeconds: 180,
+  // Whether the start and end cues themselves are redacted
+  includeCues: true,
+  // Segments in which no digit is spoken are dropped
+  requireDigits: true
+};
+
+function cleanWord(word) {
+  return String(word || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9']/g, '');
+}
+
+function toNumber(value, fallback, min) {
+  const number = parseFloat(value);
+  if (Number.isNaN(number) || number < min) return fallback;
+  return number;
+}
+
+// Split phrases into cleaned words, dropping empty ones
+function splitPhrases(phrases) {
+  return phrases
+    .map(phrase => String(phrase).trim().toLowerCase().split(/\s+/).map(cleanWord).filter(Boolean))
+    .filter(phrase => phrase.length > 0);
+}
+
+function toPhrases(value, fallback) {
+  const phrases = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : null;
+  const cleaned = splitPhrases(phrases || []);
+  return cleaned.length > 0 ? cleaned : splitPhrases(fallback);
+}
+
+/**
+ * Build the effective segment options
+ * @param {Object} options - { enabled, startCues, endCues, waitSeconds, trailingSeconds, maxSeconds,
+ *   includeCues, requireDigits } where cues are arrays or comma-separated strings
+ * @returns {Object} - Options with cues split into words
+ */
+function resolveSegmentOptions(options = {}) {
+  return {
+    enabled: options.enabled === true,
+    startCues: toPhrases(options.startCues, DEFAULT_SEGMENT_OPTIONS.startCues),
+    endCues: toPhrases(options.endCues, DEFAULT_SEGMENT_OPTIONS.endCues),
+    waitSeconds: toNumber(options.waitSeconds, DEFAULT_SEGMENT_OPTIONS.waitSeconds, 0),
+    trailingSeconds: toNumber(options.trailingSeconds, DEFAULT_SEGMENT_OPTIONS.trailingSeconds, 0),
+    maxSeconds: toNumber(options.maxSeconds, DEFAULT_SEGMENT_OPTIONS.maxSeconds, 1),
+    includeCues: options.includeCues !== false,
+    requireDigits: options.requireDigits !== false
+  };
+}
+
+// Length of the cue phrase starting at index i, or 0
+function cueAt(cleaned, i, cues) {
+  const cue = cues.find(phrase => phrase.every((part, offset) => cleaned[i + offset] === part));
+  return cue ? cue.length : 0;
+}
+
+/**
+ * Find payment segments in timed words
+ * @param {Array<Object>} words - Number-normalized transcript words ({ word, start, end })
+ * @param {Object} options - Segment options (see resolveSegmentOptions)
+ * @returns {Array<Object>} - Segments ({ type, label, replacement, segment, startIndex, endIndex,
+ *   start, end, closedBy }) where closedBy is 'cue', 'timeout', 'maxLength' or 'end'
+ */
+function findSegments(words, options = {}) {
+  const config = resolveSegmentOptions(options);
+  if (!Array.isArray(words) || words.length === 0) return [];
+
+  const cleaned = words.map(w => cleanWord(w.word));
+  const hasDigit = i => /\d/.test(cleaned[i]);
+  const segments = [];
+
+  for (let i = 0; i < words.length; i++) {
+    const startCueLength = cueAt(cleaned, i, config.startCues);
+    if (!startCueLength) continue;
+
+    const cueEnd = i + startCueLength - 1;
+    // Without cues the block starts on the word after the start cue, as the audio does
+    const startIndex = config.includeCues ? i : cueEnd + 1;
+    const start = parseFloat(config.includeCues ? words[i].start : words[cueEnd].end);
+    const limit = start + config.maxSeconds;
+    let lastDigitEnd = null;
+    let endIndex = cueEnd;
+    let end = null;
+    let closedBy = 'end';
+
+    for (let j = cueEnd + 1; j < words.length; j++) {
+      const wordStart = parseFloat(words[j].start);
+
+      if (wordStart >= limit) {
+        end = limit;
+        closedBy = 'maxLength';
+        break;
+      }
+      if (lastDigitEnd !== null && wordStart > lastDigitEnd + config.trailingSeconds) {
+        end = lastDigitEnd + config.trailingSeconds;
+        closedBy = 'timeout';
+        break;
+      }
+      if (lastDigitEnd === null && wordStart > parseFloat(words[cueEnd].end) + config.waitSeconds) {
+        end = parseFloat(words[j - 1].end);
+        closedBy = 'timeout';
+        break;
+      }
+
+      const endCueLength = cueAt(cleaned, j, config.endCues);
+      if (endCueLength) {
+        const cueLast = Math.min(words.length - 1, j + endCueLength - 1);
+        endIndex = config.includeCues ? cueLast : Math.max(cueEnd, j - 1);
+        end = parseFloat(config.includeCues ? words[cueLast].end : words[j].start);
+        closedBy = 'cue';
+        break;
+      }
+
+      if (hasDigit(j)) lastDigitEnd = parseFloat(words[j].end);
+      endIndex = j;
+    }
+
+    if (end === null) {
+      end = lastDigitEnd !== null
+        ? Math.min(lastDigitEnd + config.trailingSeconds, parseFloat(words[endIndex].end), limit)
+        : parseFloat(words[endIndex].end);
+    }
+
+    if (config.requireDigits && lastDigitEnd === null) continue;
+
+    // The block ends on the last word that starts inside it
+    while (endIndex > startIndex && parseFloat(words[endIndex].start) >= end) endIndex--;
+    if (endIndex < startIndex) continue;
+
+    segments.push({
+      type: 'paymentSegment',
+      label: LABEL,
+      replacement: REPLACEMENT,
+      segment: true,
+      startIndex,
+      endIndex,
+      start,
+      end: Math.min(end, limit),
+      closedBy
+    });
+
+    // A new start cue inside the block does not open another segment
+    while (i + 1 < words.length && parseFloat(words[i + 1].start) < end) i++;
+  }
+
+  return segments;
+}
+
+module.exports = {
+  LABEL,
+  REPLACEMENT,
+  DEFAULT_SEGMENT_OPTIONS,
+  resolveSegmentOptions,
+  findSegments
+};
@@ -0,0 +1,103 @@
+/**
+ * Transcription Provider Second Opinion for Call Info Remover
+ *
+ * Deepgram can redact card numbers, SSNs and numbers itself. When a job asks
+ * for it (see transcription/deepgram-options.js), the time ranges Deepgram
+ * redacted arrive with the transcript as channel redactions and are merged
+ * with the local detections:
+ *
+ *   - a range over a local detection confirms it; a detection that was only
+ *     flagged for review or ignored for low confidence is redacted
+ *   - a range over an allowlisted value is dropped, so the allowlist still wins
+ *   - a range with no local detection is added as a detection of its own
+ *     (creditCard for 'pci', ssn for 'ssn', a NUMBER otherwise)
+ */
+
+const digitPatterns = require('./digit-patterns');
+
+const TYPE = 'providerRedaction';
+
+const LABEL = 'NUMBER';
+
+// Deepgram redaction features that correspond to a local detection type
+const FEATURE_TYPES = {
+  pci: 'creditCard',
+  ssn: 'ssn'
+};
+
+/**
+ * Turn provider redactions into matches on the words they cover
+ * @param {Array<Object>} words - Number-normalized transcript words ({ start, end })
+ * @param {Array<Object>} redactions - { start, end, feature } time ranges
+ * @returns {Array<Object>} - Matches ({ type?, label?, startIndex, endIndex, feature, secondOpinion })
+ */
+function findMatches(words, redactions) {
+  if (!Array.isArray(words) || !Array.isArray(redactions)) return [];
+
+  return redactions.map(redaction => {
+    const covered = words
+      .map((word, index) => ({ word, index }))
+      .filter(({ word }) => parseFloat(word.start) < redaction.end && parseFloat(word.end) > redaction.start);
+    if (covered.length === 0) return null;
+
+    const type = FEATURE_TYPES[redaction.feature];
+    return {
+      ...(type ? { type, label: digitPatterns.LABELS[type] } : {}),
+      startIndex: covered[0].index,
+      endIndex: covered[covered.length - 1].index,
+      feature: redaction.feature,
+      secondOpinion: true
+    };
+  }).filter(Boolean);
+}
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Merge second-opinion matches into the local results
+ * @param {Object} result - findMatches result ({ matches, flagged, suppressed, ignored })
+ * @returns {Object} - The same result, merged in place
+ */
+function mergeOpinions(result) {
+  const lists = ['matches', 'flagged', 'suppressed', 'ignored'];
+  const opinions = [];
+
+  lists.forEach(list => {
+    result[list] = result[list].filter(match => {
+      if (!match.secondOpinion) return true;
+      opinions.push({ match, list });
+      return false;
+    });
+  });
+
+  opinions.forEach(({ match: opinion, list }) => {
+    const confirmed = result.matches.filter(match => overlaps(match, opinion));
+    const promoted = [...result.flagged, ...result.ignored].filter(match => overlaps(match, opinion));
+    const allowlisted = result.suppressed.some(match => overlaps(match, opinion));
+
+    confirmed.forEach(match => {
+      match.confirmed = true;
+    });
+    promoted.forEach(match => {
+      result.flagged = result.flagged.filter(other => other !== match);
+      result.ignored = result.ignored.filter(other => other !== match);
+      const { reason, ...redacted } = match;
+      result.matches.push({ ...redacted, confirmed: true });
+    });
+
+    if (confirmed.length === 0 && promoted.length === 0 && !allowlisted) {
+      result[list].push(opinion);
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  TYPE,
+  LABEL,
+  findMatches,
+  mergeOpinions
+};
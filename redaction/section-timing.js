@@ -0,0 +1,93 @@
+/**
+ * Audio Section Timing for Call Info Remover
+ *
+ * Detections mark the words that held a sensitive value. Before the audio is
+ * redacted, each detection is padded by a fixed time before and after (per
+ * detection type), stretched to a minimum length, and sections separated by
+ * short gaps are merged, so the beep covers the same margin whatever the
+ * speech rate.
+ *
+ * Custom rules and payment segments set their own boundaries (matches with
+ * padded: true) and are not padded again.
+ */
+
+// Longest padding, minimum length or merge gap accepted from options
+const MAX_TIMING_MS = 10000;
+
+const DEFAULT_TIMING = {
+  padding: {
+    default: { beforeMs: 250, afterMs: 250 },
+    ssn: { beforeMs: 500, afterMs: 500 },
+    creditCard: { beforeMs: 500, afterMs: 500 },
+    phoneNumber: { beforeMs: 500, afterMs: 500 },
+    bankAccount: { beforeMs: 500, afterMs: 500 },
+    routingNumber: { beforeMs: 500, afterMs: 500 }
+  },
+  minSectionMs: 500,
+  mergeGapMs: 1000
+};
+
+const roundMs = seconds => Math.round(seconds * 1000) / 1000;
+
+function toMs(value, fallback) {
+  const number = parseInt(value, 10);
+  if (Number.isNaN(number) || number < 0) return fallback;
+  return Math.min(number, MAX_TIMING_MS);
+}
+
+/**
+ * Build the effective timing settings.
+ * A type's own padding wins, then the padding given as `default`, then the
+ * built-in padding for the type, then the built-in default.
+ * @param {Object} options - { padding: { default: { beforeMs, afterMs }, ssn: {...} }, minSectionMs, mergeGapMs }
+ * @returns {Object} - { padding, minSectionMs, mergeGapMs } with every listed type resolved
+ */
+function resolveTiming(options = {}) {
+  const custom = (options && typeof options.padding === 'object' && options.padding) || {};
+  const types = new Set([...Object.keys(DEFAULT_TIMING.padding), ...Object.keys(custom)]);
+  const padding = {};
+
+  types.forEach(type => {
+    const fallback = type === 'default'
+      ? DEFAULT_TIMING.padding.default
+      : custom.default || DEFAULT_TIMING.padding[type] || DEFAULT_TIMING.padding.default;
+    const own = custom[type] || {};
+    padding[type] = {
+      beforeMs: toMs(own.beforeMs, toMs(fallback.beforeMs, DEFAULT_TIMING.padding.default.beforeMs)),
+      afterMs: toMs(own.afterMs, toMs(fallback.afterMs, DEFAULT_TIMING.padding.default.afterMs))
+    };
+  });
+
+  return {
+    padding,
+    minSectionMs: toMs(options.minSectionMs, DEFAULT_TIMING.minSectionMs),
+    mergeGapMs: toMs(options.mergeGapMs, DEFAULT_TIMING.mergeGapMs)
+  };
+}
+
+/**
+ * Get the audio range to redact for a detection
+ * @param {Object} match - Detection ({ type, start, end, padded? })
+ * @param {Object} timing - Resolved timing (see resolveTiming)
+ * @returns {Object} - { start, end } in seconds
+ */
+function sectionRange(match, timing) {
+  const padding = match.padded ? { beforeMs: 0, afterMs: 0 } : timing.padding[match.type] || timing.padding.default;
+  let start = Math.max(0, match.start - padding.beforeMs / 1000);
+  let end = match.end + padding.afterMs / 1000;
+
+  // Short sections grow evenly on both sides
+  const shortfall = timing.minSectionMs / 1000 - (end - start);
+  if (shortfall > 0) {
+    start = Math.max(0, start - shortfall / 2);
+    end = start + timing.minSectionMs / 1000;
+  }
+
+  return { start: roundMs(start), end: roundMs(end) };
+}
+
+module.exports = {
+  DEFAULT_TIMING,
+  resolveTiming,
+  sectionRange
+};
@@ -0,0 +1,138 @@
+/**
+ * Speaker-Aware Redaction for Call Info Remover
+ *
+ * Deepgram diarization labels every word with a speaker number. These helpers
+ * work out which speaker is the agent and decide which detections to redact:
+ *
+ *   both        - redact values spoken by anyone (default)
+ *   customer    - redact only values spoken by the customer
+ *   readbacks   - redact the customer's values, plus agent read-backs of values
+ *                 the customer already said ("so that's 4111...")
+ *
+ * Transcripts without speaker labels are always treated as 'both'.
+ */
+
+const SPEAKER_POLICIES = ['both', 'customer', 'readbacks'];
+
+// Shortest value (letters and digits) that counts as a read-back
+const MIN_READBACK_LENGTH = 4;
+
+function hasSpeakers(words) {
+  return Array.isArray(words) && words.some(w => typeof w.speaker === 'number');
+}
+
+/**
+ * Work out which diarized speaker is the agent
+ * @param {Array<Object>} words - Transcript words ({ speaker })
+ * @param {number|string} agentSpeaker - Speaker number, or 'auto' for whoever speaks first
+ * @returns {number|null} - Agent speaker number, or null without speaker labels
+ */
+function resolveAgentSpeaker(words, agentSpeaker = 'auto') {
+  if (!hasSpeakers(words)) return null;
+
+  const configured = parseInt(agentSpeaker, 10);
+  if (!Number.isNaN(configured)) return configured;
+
+  // Agents open the call ("Thank you for calling...")
+  return words.find(w => typeof w.speaker === 'number').speaker;
+}
+
+/**
+ * Get the speaker of a word range: the speaker of most of its words
+ * @param {Array<Object>} words - Transcript words
+ * @param {number} startIndex - First word
+ * @param {number} endIndex - Last word
+ * @returns {number|null} - Speaker number, or null if the words have none
+ */
+function speakerOf(words, startIndex, endIndex) {
+  const counts = new Map();
+  words.slice(startIndex, endIndex + 1).forEach(w => {
+    if (typeof w.speaker === 'number') counts.set(w.speaker, (counts.get(w.speaker) || 0) + 1);
+  });
+
+  let speaker = null;
+  counts.forEach((count, candidate) => {
+    if (speaker === null || count > counts.get(speaker)) speaker = candidate;
+  });
+  return speaker;
+}
+
+function matchValue(words, match) {
+  return words
+    .slice(match.startIndex, match.endIndex + 1)
+    .map(w => String(w.word || '').toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .join('');
+}
+
+/**
+ * Split matches by the speaker policy
+ * @param {Array<Object>} matches - Registry matches ({ startIndex, endIndex, start })
+ * @param {Array<Object>} words - Number-normalized transcript words ({ word, speaker })
+ * @param {Object} options - { policy, agentSpeaker, customerValues } where customerValues
+ *   are the customer's values from another channel, as returned by an earlier run
+ * @returns {Object} - { kept, skipped, customerValues } with speaker and role ('agent' or
+ *   'customer') added to every match, and readback: true on kept agent read-backs
+ */
+function applySpeakerPolicy(matches, words, options = {}) {
+  const policy = SPEAKER_POLICIES.includes(options.policy) ? options.policy : 'both';
+  const agent = resolveAgentSpeaker(words, options.agentSpeaker);
+  const customerValues = (options.customerValues || []).slice();
+  const result = { kept: [], skipped: [], customerValues };
+
+  if (agent === null) {
+    result.kept = matches.slice();
+    return result;
+  }
+
+  [...matches].sort((a, b) => a.start - b.start).forEach(match => {
+    // Payment segments cover both sides of the conversation
+    if (match.segment) {
+      result.kept.push(match);
+      return;
+    }
+
+    const speaker = speakerOf(words, match.startIndex, match.endIndex);
+    const role = speaker === null || speaker !== agent ? 'customer' : 'agent';
+    const value = matchValue(words, match);
+    const labeled = { ...match, speaker, role };
+
+    if (role === 'customer') {
+      if (value.length >= MIN_READBACK_LENGTH) customerValues.push({ value, start: match.start });
+      result.kept.push(labeled);
+      return;
+    }
+
+    const readback = value.length >= MIN_READBACK_LENGTH &&
+      customerValues.some(said => said.start < match.start && (said.value.includes(value) || value.includes(said.value)));
+
+    if (policy === 'both' || (policy === 'readbacks' && readback)) {
+      result.kept.push(readback ? { ...labeled, readback: true } : labeled);
+    } else {
+      result.skipped.push(labeled);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Get the transcript label for a speaker
+ * @param {number} speaker - Speaker number
+ * @param {number|null} agent - Agent speaker number
+ * @param {number} speakerCount - Number of distinct speakers in the call
+ * @returns {string} - 'Agent', 'Customer' or 'Speaker N'
+ */
+function speakerLabel(speaker, agent, speakerCount) {
+  if (speaker === agent) return 'Agent';
+  if (speakerCount <= 2) return 'Customer';
+  return `Speaker ${speaker}`;
+}
+
+module.exports = {
+  SPEAKER_POLICIES,
+  hasSpeakers,
+  resolveAgentSpeaker,
+  speakerOf,
+  applySpeakerPolicy,
+  speakerLabel
+};
@@ -0,0 +1,196 @@
+/**
+ * Spelled-Out Sequence Detection for Call Info Remover
+ *
+ * Account numbers, MBIs, license plates and email handles are often spelled
+ * letter by letter, with the NATO phonetic alphabet ("victor", "seven", "zulu")
+ * or with "X as in Y" phrasing ("A as in apple"). This module collapses those
+ * runs into candidate tokens with a combined time span, so ID patterns can be
+ * run against what was actually spelled. joinSpelledWords does the same for a
+ * whole word list, so any detector can match spelled policy numbers and IDs.
+ */
+
+const NATO_ALPHABET = {
+  alpha: 'a', alfa: 'a', bravo: 'b', charlie: 'c', delta: 'd', echo: 'e',
+  foxtrot: 'f', golf: 'g', hotel: 'h', india: 'i', juliet: 'j', juliett: 'j',
+  kilo: 'k', lima: 'l', mike: 'm', november: 'n', oscar: 'o', papa: 'p',
+  quebec: 'q', romeo: 'r', sierra: 's', tango: 't', uniform: 'u', victor: 'v',
+  whiskey: 'w', xray: 'x', yankee: 'y', zulu: 'z'
+};
+
+// Letter names that are unambiguous when spelling something out loud
+const LETTER_NAMES = {
+  bee: 'b', cee: 'c', dee: 'd', gee: 'g', jay: 'j', kay: 'k',
+  pee: 'p', tee: 't', vee: 'v', zee: 'z', ess: 's', eff: 'f', aitch: 'h'
+};
+
+// "A as in apple", "B like boy", "C for cat"
+const EXAMPLE_CONNECTORS = [['as', 'in'], ['like'], ['for']];
+
+function cleanWord(word) {
+  return String(word || '').toLowerCase().replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, '');
+}
+
+/**
+ * Resolve a cleaned word to a single letter if it names one
+ * @returns {string|null} - Letter, or null
+ */
+function letterFor(cleaned) {
+  if (/^[a-z]$/.test(cleaned)) return cleaned;
+  return LETTER_NAMES[cleaned] || null;
+}
+
+/**
+ * Read one spelled unit starting at word i
+ * @param {Array<string>} cleaned - Cleaned words
+ * @param {number} i - Start index
+ * @returns {Object|null} - { value, length, phonetic } where length is the number of words consumed
+ */
+function readUnit(cleaned, i) {
+  const word = cleaned[i];
+  if (!word) return null;
+
+  const letter = letterFor(word);
+  if (letter) {
+    // "A as in apple": the example word must start with the spelled letter
+    for (const connector of EXAMPLE_CONNECTORS) {
+      const connectorMatches = connector.every((part, offset) => cleaned[i + 1 + offset] === part);
+      const example = cleaned[i + 1 + connector.length];
+      if (connectorMatches && example && example[0] === letter) {
+        return { value: letter, length: connector.length + 2, phonetic: false };
+      }
+    }
+    return { value: letter, length: 1, phonetic: false };
+  }
+
+  const nato = NATO_ALPHABET[word.replace(/-/g, '')];
+  if (nato) {
+    return { value: nato, length: 1, phonetic: true };
+  }
+
+  // Digit tokens and formatted IDs ("1eg4-te5-mk73") pass through as-is
+  if (/\d/.test(word) && /^[a-z0-9-]+$/.test(word)) {
+    return { value: word.replace(/-/g, ''), length: 1, phonetic: false };
+  }
+
+  return null;
+}
+
+/**
+ * Find spelled-out sequences in a word list.
+ * A sequence is a run of spelled units (letters, letter names, NATO words,
+ * "X as in Y" phrases and digit tokens). Runs of two or more units are kept,
+ * as are single tokens that contain a digit; a lone NATO word or letter is
+ * ordinary speech. Each unit keeps its own word range so callers can try
+ * sub-runs of a longer sequence.
+ * @param {Array<Object>} words - Number-normalized transcript words ({ word, start, end })
+ * @returns {Array<Object>} - Sequences ({ value, units, startIndex, endIndex, start, end })
+ */
+function findSpelledSequences(words) {
+  if (!Array.isArray(words) || words.length === 0) return [];
+
+  const cleaned = words.map(w => cleanWord(w.word));
+  const sequences = [];
+  let i = 0;
+
+  while (i < words.length) {
+    const units = [];
+    let j = i;
+    let unit = readUnit(cleaned, j);
+
+    while (unit) {
+      units.push({ value: unit.value, startIndex: j, endIndex: j + unit.length - 1, phonetic: unit.phonetic });
+      j += unit.length;
+      unit = readUnit(cleaned, j);
+    }
+
+    if (units.length === 0) {
+      i++;
+      continue;
+    }
+
+    const keep = units.length >= 2 || /\d/.test(units[0].value);
+    if (keep) {
+      const startIndex = units[0].startIndex;
+      const endIndex = units[units.length - 1].endIndex;
+      sequences.push({
+        value: units.map(u => u.value).join(''),
+        units,
+        startIndex,
+        endIndex,
+        start: parseFloat(words[startIndex].start),
+        end: parseFloat(words[endIndex].end),
+        phonetic: units.some(u => u.phonetic) || units.some(u => u.endIndex > u.startIndex)
+      });
+    }
+
+    i = j;
+  }
+
+  return sequences;
+}
+
+/**
+ * Replace each spelled-out sequence that contains a digit with one token
+ * holding what was spelled ("policy A as in apple 4 7 Z" -> "policy a47z").
+ * Sequences without a digit are left as words, since runs of single letters
+ * also occur in ordinary speech.
+ * @param {Array<Object>} words - Number-normalized transcript words ({ word, start, end, confidence })
+ * @returns {Array<Object>} - Words, each with spelledFrom: [startIndex, endIndex] of the
+ *   input words it covers; joined tokens also have spelled: true
+ */
+function joinSpelledWords(words) {
+  if (!Array.isArray(words) || words.length === 0) return [];
+
+  const joined = [];
+  let next = 0;
+
+  findSpelledSequences(words)
+    .filter(sequence => sequence.units.length >= 2 && /\d/.test(sequence.value))
+    .forEach(sequence => {
+      for (let i = next; i < sequence.startIndex; i++) joined.push({ ...words[i], spelledFrom: [i, i] });
+
+      const runWords = words.slice(sequence.startIndex, sequence.endIndex + 1);
+      const confidences = runWords.map(w => w.confidence).filter(c => typeof c === 'number');
+      joined.push({
+        ...words[sequence.startIndex],
+        word: sequence.value,
+        punctuated_word: sequence.value,
+        start: words[sequence.startIndex].start,
+        end: words[sequence.endIndex].end,
+        confidence: confidences.length > 0 ? Math.min(...confidences) : words[sequence.startIndex].confidence,
+        spelledFrom: [sequence.startIndex, sequence.endIndex],
+        spelled: true
+      });
+      next = sequence.endIndex + 1;
+    });
+
+  for (let i = next; i < words.length; i++) joined.push({ ...words[i], spelledFrom: [i, i] });
+
+  return joined;
+}
+
+/**
+ * Run a matcher over joined words and map its matches back to the original words
+ * @param {Array<Object>} joinedWords - Result of joinSpelledWords
+ * @param {Function} find - (words) => matches with startIndex and endIndex
+ * @returns {Array<Object>} - Matches by index into the original words, with spelledPass: true
+ */
+function findJoinedMatches(joinedWords, find) {
+  if (!joinedWords.some(word => word.spelled)) return [];
+
+  return (find(joinedWords) || [])
+    .filter(match => match.startIndex >= 0 && match.endIndex < joinedWords.length && match.startIndex <= match.endIndex)
+    .map(match => ({
+      ...match,
+      startIndex: joinedWords[match.startIndex].spelledFrom[0],
+      endIndex: joinedWords[match.endIndex].spelledFrom[1],
+      spelledPass: true
+    }));
+}
+
+module.exports = {
+  NATO_ALPHABET,
+  findSpelledSequences,
+  joinSpelledWords,
+  findJoinedMatches
+};
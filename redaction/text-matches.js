@@ -0,0 +1,345 @@
+/**
+ * Text Match Helpers for Call Info Remover
+ *
+ * Several detectors are easiest to express as regular expressions over text.
+ * These helpers join a word list into text, map character matches back onto
+ * word indices and timings, and replace matches in a transcript with labels,
+ * so the same rules drive both the audio word scan and the transcript text.
+ */
+
+const numberNormalizer = require('./number-normalizer');
+
+/**
+ * Join words into text and remember where each word starts
+ * @param {Array<Object>} words - Transcript words ({ word, punctuated_word })
+ * @returns {Object} - { text, offsets }
+ */
+function buildWordText(words) {
+  const offsets = [];
+  let text = '';
+
+  words.forEach((w, i) => {
+    if (i > 0) text += ' ';
+    offsets.push(text.length);
+    text += w.punctuated_word || w.word;
+  });
+
+  return { text, offsets };
+}
+
+/**
+ * Run a text detector over a word list and map its matches to word indices
+ * @param {Array<Object>} words - Transcript words ({ word, start, end })
+ * @param {Function} findMatches - text => [{ type, label, index, length }]
+ * @returns {Array<Object>} - Matches with startIndex, endIndex, start and end added
+ */
+function findWordMatches(words, findMatches) {
+  if (!Array.isArray(words) || words.length === 0) return [];
+
+  const { text, offsets } = buildWordText(words);
+
+  const wordAt = charIndex => {
+    let index = 0;
+    while (index + 1 < offsets.length && offsets[index + 1] <= charIndex) index++;
+    return index;
+  };
+
+  return findMatches(text).map(match => {
+    const startIndex = wordAt(match.index);
+    const endIndex = wordAt(match.index + match.length - 1);
+    return {
+      ...match,
+      startIndex,
+      endIndex,
+      start: parseFloat(words[startIndex].start),
+      end: parseFloat(words[endIndex].end)
+    };
+  });
+}
+
+/**
+ * Replace matches in text with "[REDACTED <label>]", or with the match's own
+ * replacement text when it has one (pseudonyms such as "[PERSON_1]")
+ * @param {string} text - Original text
+ * @param {Array<Object>} matches - Non-overlapping matches ({ label, index, length, replacement? })
+ * @returns {string} - Redacted text
+ */
+function replaceMatches(text, matches) {
+  const sorted = [...matches].sort((a, b) => a.index - b.index);
+  let redacted = text;
+
+  // Replace from the end so earlier offsets stay valid
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const match = sorted[i];
+    const replacement = match.replacement || `[REDACTED ${match.label}]`;
+    redacted = redacted.substring(0, match.index) + replacement + redacted.substring(match.index + match.length);
+  }
+
+  return redacted;
+}
+
+/**
+ * Redact a transcript string with a word-level detector.
+ * The text is split into pseudo-words whose start/end are character offsets and
+ * number-normalized, so the word-level rules (including spoken numbers and
+ * spelled-out values) apply unchanged to the flat transcript.
+ * @param {string} text - Transcript text
+ * @param {Function} findWordMatchesFn - words => [{ label, startIndex, endIndex, replacement? }]
+ * @param {Object} options - { language } used to read spoken numbers (default 'en')
+ * @returns {string} - Redacted text
+ */
+function redactTextByWords(text, findWordMatchesFn, options = {}) {
+  if (!text) return text;
+
+  const tokens = [];
+  const tokenRegex = /\S+/g;
+  let match;
+  while ((match = tokenRegex.exec(text)) !== null) {
+    tokens.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+  }
+
+  const words = numberNormalizer.normalizeWords(tokens, { language: options.language });
+  const matches = findWordMatchesFn(words).map(m => {
+    const index = words[m.startIndex].start;
+    let end = words[m.endIndex].end;
+
+    // Keep trailing punctuation attached to the last token
+    while (end > index && /[.,;:!?]/.test(text[end - 1])) end--;
+
+    return { label: m.label, replacement: m.replacement, index, length: end - index };
+  });
+
+  return replaceMatches(text, removeOverlaps(matches));
+}
+
+// Merge overlapping word spans, keeping each distinct replacement unless one of them is
+// exclusive (a payment segment shows only its own replacement). With splitSpeakers, a
+// span that runs across a speaker change is split into one span per speaker turn, except
+// exclusive spans, which stay a single block in the turn where they start.
+function mergeWordSpans(words, spans, splitSpeakers) {
+  const merged = [];
+  [...spans]
+    .sort((a, b) => a.startIndex - b.startIndex || b.endIndex - a.endIndex)
+    .forEach(span => {
+      const replacement = span.replacement || `[REDACTED ${span.label}]`;
+      const previous = merged[merged.length - 1];
+
+      if (previous && span.startIndex <= previous.endIndex) {
+        previous.endIndex = Math.max(previous.endIndex, span.endIndex);
+        if (span.exclusive) {
+          previous.replacements = [replacement];
+          previous.exclusive = true;
+        } else if (!previous.exclusive && !previous.replacements.includes(replacement)) {
+          previous.replacements.push(replacement);
+        }
+      } else {
+        merged.push({ startIndex: span.startIndex, endIndex: span.endIndex, replacements: [replacement], exclusive: !!span.exclusive });
+      }
+    });
+
+  if (splitSpeakers) {
+    for (let m = 0; m < merged.length; m++) {
+      const span = merged[m];
+      if (span.exclusive) continue;
+      for (let i = span.startIndex + 1; i <= span.endIndex; i++) {
+        if (words[i].speaker !== words[i - 1].speaker) {
+          merged.splice(m + 1, 0, { ...span, startIndex: i });
+          span.endIndex = i - 1;
+          break;
+        }
+      }
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Redact a word list by word index and join it into transcript text.
+ * Overlapping spans are merged, keeping each distinct replacement unless one of
+ * them is exclusive (a payment segment shows only its own replacement), and
+ * trailing punctuation of the last masked word stays in the text.
+ * With options.speakerLabel, each speaker turn becomes a line ("Agent: ...").
+ * @param {Array<Object>} words - Transcript words ({ word, punctuated_word, speaker? })
+ * @param {Array<Object>} spans - Word ranges ({ startIndex, endIndex, label, replacement?, exclusive? })
+ * @param {Object} options - { speakerLabel: speaker => label }
+ * @returns {string} - Redacted text
+ */
+function redactWords(words, spans, options = {}) {
+  if (!Array.isArray(words) || words.length === 0) return '';
+
+  const merged = mergeWordSpans(words, spans, Boolean(options.speakerLabel));
+
+  const parts = [];
+  const pushWord = i => parts.push({ text: words[i].punctuated_word || words[i].word, speaker: words[i].speaker });
+  let next = 0;
+
+  merged.forEach(span => {
+    for (let i = next; i < span.startIndex; i++) pushWord(i);
+    const last = words[span.endIndex].punctuated_word || words[span.endIndex].word;
+    const trailing = (String(last).match(/[.,;:!?]+$/) || [''])[0];
+    parts.push({ text: span.replacements.join(' ') + trailing, speaker: words[span.startIndex].speaker });
+    next = span.endIndex + 1;
+  });
+
+  for (let i = next; i < words.length; i++) pushWord(i);
+
+  if (!options.speakerLabel) {
+    return parts.map(part => part.text).join(' ');
+  }
+
+  const turns = [];
+  parts.forEach(part => {
+    const turn = turns[turns.length - 1];
+    if (turn && turn.speaker === part.speaker) {
+      turn.texts.push(part.text);
+    } else {
+      turns.push({ speaker: part.speaker, texts: [part.text] });
+    }
+  });
+
+  return turns.map(turn => `${options.speakerLabel(turn.speaker)}: ${turn.texts.join(' ')}`).join('\n');
+}
+
+/**
+ * Redact a word list by word index, keeping the words and their timings.
+ * Spans are merged as in redactWords and split at speaker changes, and each
+ * span becomes one redacted word covering its time range.
+ * @param {Array<Object>} words - Transcript words ({ word, punctuated_word, start, end, confidence?, speaker?, channel? })
+ * @param {Array<Object>} spans - Word ranges ({ startIndex, endIndex, label, replacement?, exclusive? })
+ * @returns {Array<Object>} - Words ({ word, punctuated_word, start, end, confidence, speaker?, channel?, redacted? })
+ */
+function redactWordList(words, spans) {
+  if (!Array.isArray(words) || words.length === 0) return [];
+
+  const merged = mergeWordSpans(words, spans, true);
+  const result = [];
+  const describe = (first, last, fields) => {
+    const described = {
+      word: fields.word,
+      punctuated_word: fields.punctuated_word,
+      start: parseFloat(first.start),
+      end: parseFloat(last.end),
+      confidence: fields.confidence
+    };
+    if (typeof first.speaker === 'number') described.speaker = first.speaker;
+    if (first.channel !== undefined) described.channel = first.channel;
+    return described;
+  };
+  // Words redacted in an earlier pass (a stored transcript being reprocessed) stay redacted
+  const pushWord = i => result.push({
+    ...describe(words[i], words[i], {
+      word: words[i].word,
+      punctuated_word: words[i].punctuated_word || words[i].word,
+      confidence: typeof words[i].confidence === 'number' ? words[i].confidence : null
+    }),
+    ...(words[i].redacted ? { redacted: true } : {})
+  });
+  let next = 0;
+
+  merged.forEach(span => {
+    for (let i = next; i < span.startIndex; i++) pushWord(i);
+    const last = words[span.endIndex].punctuated_word || words[span.endIndex].word;
+    const trailing = (String(last).match(/[.,;:!?]+$/) || [''])[0];
+    const text = span.replacements.join(' ');
+    result.push({
+      ...describe(words[span.startIndex], words[span.endIndex], { word: text, punctuated_word: text + trailing, confidence: null }),
+      redacted: true
+    });
+    next = span.endIndex + 1;
+  });
+
+  for (let i = next; i < words.length; i++) pushWord(i);
+
+  return result;
+}
+
+/**
+ * Split a stored word transcript, which holds the words of every channel, into
+ * one word list per channel for detection
+ * @param {Array<Object>} words - Stored words ({ channel?, ... })
+ * @returns {Array<Object>} - Channels ({ transcript, words }); words without a channel go to channel 0
+ */
+function wordTranscriptChannels(words) {
+  const channels = [];
+  words.forEach(word => {
+    const channel = typeof word.channel === 'number' ? word.channel : 0;
+    while (channels.length <= channel) channels.push({ transcript: '', words: [] });
+    channels[channel].words.push(word);
+  });
+  return channels;
+}
+
+/**
+ * Check whether a match covers a word redacted by an earlier version, so
+ * reprocessing a stored transcript never redacts around its placeholders again
+ * @param {Object} match - Match by word index ({ startIndex, endIndex })
+ * @param {Array<Object>} words - Words the match indexes ({ redacted? })
+ * @returns {boolean}
+ */
+function touchesRedactedWord(match, words) {
+  return words.slice(match.startIndex, match.endIndex + 1).some(word => word.redacted);
+}
+
+/**
+ * Collect every match of a global regex, reporting the span of a capture group
+ * (or of the whole match when group is 0)
+ * @param {RegExp} regex - Global regular expression
+ * @param {string} text - Text to search
+ * @param {number} group - Capture group to report, or 0 for the whole match
+ * @param {Object} fields - Extra fields for every match ({ type, label })
+ * @param {Function} accept - Optional filter receiving the regex match
+ * @returns {Array<Object>} - Matches ({ ...fields, index, length })
+ */
+function collectRegexMatches(regex, text, group, fields, accept) {
+  const matches = [];
+  regex.lastIndex = 0;
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      regex.lastIndex++;
+      continue;
+    }
+    if (accept && !accept(match)) continue;
+
+    const value = group ? match[group] : match[0];
+    const offset = group ? match.index + match[0].lastIndexOf(value) : match.index;
+    matches.push({ ...fields, index: offset, length: value.length });
+  }
+
+  regex.lastIndex = 0;
+  return matches;
+}
+
+/**
+ * Sort matches and drop those that overlap an earlier, longer match
+ * @param {Array<Object>} matches - Matches ({ index, length })
+ * @returns {Array<Object>} - Non-overlapping matches in text order
+ */
+function removeOverlaps(matches) {
+  const sorted = [...matches].sort((a, b) => a.index - b.index || b.length - a.length);
+  const kept = [];
+
+  sorted.forEach(match => {
+    const previous = kept[kept.length - 1];
+    if (!previous || match.index >= previous.index + previous.length) {
+      kept.push(match);
+    }
+  });
+
+  return kept;
+}
+
+module.exports = {
+  buildWordText,
+  findWordMatches,
+  replaceMatches,
+  redactTextByWords,
+  redactWords,
+  redactWordList,
+  wordTranscriptChannels,
+  touchesRedactedWord,
+  collectRegexMatches,
+  removeOverlaps
+};
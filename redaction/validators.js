@@ -0,0 +1,180 @@
+/**
+ * Checksum Validators for Call Info Remover
+ *
+ * The digit patterns used for sensitive information detection match any run of
+ * digits, so order numbers, timestamps and policy IDs look like card or bank
+ * numbers. These validators check whether a matched value can actually be what
+ * the pattern claims (Luhn for cards, ABA checksum for routing numbers, and card
+ * issuer prefix/length rules).
+ */
+
+// Actions available for matches that fail validation
+const ACTIONS = ['redact', 'flag', 'ignore'];
+
+// Default action per type when a match fails validation. Redacting keeps the
+// system fail-safe; operators can relax this per upload.
+const DEFAULT_UNVALIDATED_ACTIONS = {
+  creditCard: 'redact',
+  routingNumber: 'redact'
+};
+
+/**
+ * Strip everything except digits
+ * @param {string} value - Matched text
+ * @returns {string} - Digits only
+ */
+function digitsOnly(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+/**
+ * Luhn (mod 10) checksum used by payment cards
+ * @param {string} digits - Digit string
+ * @returns {boolean} - True if the checksum is valid
+ */
+function luhnCheck(digits) {
+  if (!/^\d+$/.test(digits) || digits.length < 2) {
+    return false;
+  }
+
+  let sum = 0;
+  let double = false;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = parseInt(digits[i], 10);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * ABA routing number checksum: 3(d1+d4+d7) + 7(d2+d5+d8) + (d3+d6+d9) mod 10 = 0
+ * @param {string} digits - Digit string
+ * @returns {boolean} - True if the checksum is valid
+ */
+function abaRoutingCheck(digits) {
+  if (!/^\d{9}$/.test(digits) || /^0+$/.test(digits)) {
+    return false;
+  }
+
+  const d = digits.split('').map(Number);
+  const sum = 3 * (d[0] + d[3] + d[6]) + 7 * (d[1] + d[4] + d[7]) + (d[2] + d[5] + d[8]);
+
+  return sum % 10 === 0;
+}
+
+/**
+ * Identify the card issuer from prefix and length rules
+ * @param {string} digits - Digit string
+ * @returns {string|null} - 'visa', 'mastercard', 'amex', 'discover' or null
+ */
+function cardIssuer(digits) {
+  const length = digits.length;
+  const prefix2 = parseInt(digits.substring(0, 2), 10);
+  const prefix3 = parseInt(digits.substring(0, 3), 10);
+  const prefix4 = parseInt(digits.substring(0, 4), 10);
+  const prefix6 = parseInt(digits.substring(0, 6), 10);
+
+  if (digits[0] === '4' && [13, 16, 19].includes(length)) {
+    return 'visa';
+  }
+
+  if (((prefix2 >= 51 && prefix2 <= 55) || (prefix4 >= 2221 && prefix4 <= 2720)) && length === 16) {
+    return 'mastercard';
+  }
+
+  if ((prefix2 === 34 || prefix2 === 37) && length === 15) {
+    return 'amex';
+  }
+
+  if ((prefix4 === 6011 || prefix2 === 65 || (prefix3 >= 644 && prefix3 <= 649) ||
+      (prefix6 >= 622126 && prefix6 <= 622925)) && length >= 16 && length <= 19) {
+    return 'discover';
+  }
+
+  return null;
+}
+
+/**
+ * Validate a matched value for a detection type.
+ * `validated` is true or false for types that have a validation rule, and null
+ * for types that have none (SSNs, phone numbers and bank account numbers, which
+ * have no checksum, are taken at face value).
+ * @param {string} type - Pattern type (e.g. 'creditCard')
+ * @param {string} value - Matched text
+ * @returns {Object} - { validated, issuer?, reason }
+ */
+function validateMatch(type, value) {
+  const digits = digitsOnly(value);
+
+  switch (type) {
+    case 'creditCard': {
+      const issuer = cardIssuer(digits);
+      if (!issuer) {
+        return { validated: false, issuer: null, reason: 'unknown issuer prefix or length' };
+      }
+      if (!luhnCheck(digits)) {
+        return { validated: false, issuer, reason: 'failed Luhn checksum' };
+      }
+      return { validated: true, issuer, reason: 'passed Luhn checksum' };
+    }
+    case 'routingNumber':
+      return abaRoutingCheck(digits)
+        ? { validated: true, reason: 'passed ABA checksum' }
+        : { validated: false, reason: 'failed ABA checksum' };
+    case 'bankAccount':
+      return { validated: null, reason: 'no checksum available' };
+    default:
+      return { validated: null, reason: 'no validation rule' };
+  }
+}
+
+/**
+ * Merge per-upload overrides into the default unvalidated actions, dropping
+ * anything that is not a known action
+ * @param {Object} overrides - Map of type to action
+ * @returns {Object} - Effective map of type to action
+ */
+function resolveUnvalidatedActions(overrides = {}) {
+  const actions = { ...DEFAULT_UNVALIDATED_ACTIONS };
+
+  Object.entries(overrides || {}).forEach(([type, action]) => {
+    if (ACTIONS.includes(action)) {
+      actions[type] = action;
+    }
+  });
+
+  return actions;
+}
+
+/**
+ * Decide what to do with a validated match
+ * @param {string} type - Pattern type
+ * @param {Object} validation - Result of validateMatch
+ * @param {Object} unvalidatedActions - Effective map of type to action
+ * @returns {string} - 'redact', 'flag' or 'ignore'
+ */
+function actionForValidation(type, validation, unvalidatedActions) {
+  if (validation.validated !== false) {
+    return 'redact';
+  }
+  return unvalidatedActions[type] || 'redact';
+}
+
+module.exports = {
+  ACTIONS,
+  DEFAULT_UNVALIDATED_ACTIONS,
+  digitsOnly,
+  luhnCheck,
+  abaRoutingCheck,
+  cardIssuer,
+  validateMatch,
+  resolveUnvalidatedActions,
+  actionForValidation
+};
@@ -0,0 +1,127 @@
+/**
+ * Tokenization Vault for Call Info Remover
+ *
+ * With the 'vault' masking style a detected value is replaced in the
+ * transcript by an opaque token ("[BANKACCOUNT vt_Qm9x...]") and the value is
+ * encrypted with the server key and stored in the vault_entries table, so an
+ * authorized role can recover it later through GET /api/vault/:token. Every
+ * recovery attempt is audited, and entries expire after VAULT_RETENTION_DAYS.
+ *
+ * Configuration (environment):
+ *   VAULT_KEY             - server key used to encrypt values; the vault is off without it
+ *   VAULT_ACCESS_KEYS     - comma-separated role:key pairs ("billing:...,compliance:...");
+ *                           a request presenting a key acts as its role
+ *   VAULT_RETENTION_DAYS  - days an entry is kept (default 30)
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+const TOKEN_PREFIX = 'vt_';
+
+const TOKEN_PATTERN = /^vt_[A-Za-z0-9_-]{22}$/;
+
+function isConfigured() {
+  return Boolean(process.env.VAULT_KEY);
+}
+
+// AES-256 key derived from VAULT_KEY
+function serverKey() {
+  if (!isConfigured()) throw new Error('VAULT_KEY is not set');
+  return crypto.createHash('sha256').update(process.env.VAULT_KEY).digest();
+}
+
+function retentionDays() {
+  const days = parseInt(process.env.VAULT_RETENTION_DAYS, 10);
+  return Number.isNaN(days) || days < 1 ? DEFAULT_RETENTION_DAYS : days;
+}
+
+function createToken() {
+  return TOKEN_PREFIX + crypto.randomBytes(16).toString('base64url');
+}
+
+function isToken(value) {
+  return TOKEN_PATTERN.test(String(value || ''));
+}
+
+/**
+ * Encrypt a value for storage. The token is bound to the ciphertext, so an
+ * encrypted value cannot be moved to another token.
+ * @param {string} value - Value to encrypt
+ * @param {string} token - Token the value is stored under
+ * @returns {string} - base64 of IV, auth tag and ciphertext
+ */
+function encrypt(value, token) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', serverKey(), iv);
+  cipher.setAAD(Buffer.from(token));
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64');
+}
+
+/**
+ * Decrypt a stored value
+ * @param {string} encrypted - Value from encrypt()
+ * @param {string} token - Token the value is stored under
+ * @returns {string} - Original value
+ * @throws {Error} - If the key is wrong or the value was tampered with
+ */
+function decrypt(encrypted, token) {
+  const raw = Buffer.from(encrypted, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', serverKey(), raw.subarray(0, 12));
+  decipher.setAAD(Buffer.from(token));
+  decipher.setAuthTag(raw.subarray(12, 28));
+  return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Start collecting values for one job. The same value of the same type gets
+ * the same token within the job.
+ * @returns {Object} - { tokenFor(type, value), entries() } where entries are { token, type, value }
+ */
+function createSession() {
+  const tokens = new Map();
+
+  return {
+    tokenFor(type, value) {
+      const key = `${type}:${value}`;
+      if (!tokens.has(key)) tokens.set(key, { token: createToken(), type, value });
+      return tokens.get(key).token;
+    },
+    entries() {
+      return Array.from(tokens.values());
+    }
+  };
+}
+
+/**
+ * Work out the role of a vault request from its Authorization header
+ * @param {string} header - "Bearer <key>"
+ * @returns {string|null} - Role the key was issued to, or null if it is not a vault key
+ */
+function authorize(header) {
+  const match = /^Bearer\s+(.+)$/i.exec(String(header || '').trim());
+  if (!match) return null;
+
+  const presented = Buffer.from(match[1].trim());
+  const grant = String(process.env.VAULT_ACCESS_KEYS || '')
+    .split(',')
+    .map(pair => pair.trim())
+    .filter(pair => pair.includes(':'))
+    .map(pair => ({ role: pair.substring(0, pair.indexOf(':')).trim(), key: Buffer.from(pair.substring(pair.indexOf(':') + 1).trim()) }))
+    .find(({ role, key }) => role && key.length === presented.length && crypto.timingSafeEqual(key, presented));
+
+  return grant ? grant.role : null;
+}
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  isConfigured,
+  retentionDays,
+  isToken,
+  encrypt,
+  decrypt,
+  createSession,
+  authorize
+};
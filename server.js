@@ -18,6 +18,48 @@ const audioProcessor = require('./audio-processor-fix');
 // Import database module
 const db = require('./db');
 
+// Import spoken number normalization for sensitive info matching
+const numberNormalizer = require('./redaction/number-normalizer');
+
+// Import call language selection and detection (English, Spanish)
+const languages = require('./redaction/languages');
+
+// Import checksum validators for card and routing number detections
+const validators = require('./redaction/validators');
+
+// Import word-index based transcript redaction
+const textMatches = require('./redaction/text-matches');
+
+// Import PCI payment segment detection (blank the whole card-taking portion)
+const paymentSegments = require('./redaction/payment-segments');
+
+// Import per-type transcript masking styles (last four, BIN plus last four, hash token)
+const maskingStyles = require('./redaction/masking-styles');
+
+// Import the tokenization vault (encrypted values recoverable by authorized roles)
+const vault = require('./redaction/vault');
+
+// Import per-type audio padding, minimum section length and gap merging
+const sectionTiming = require('./redaction/section-timing');
+
+// Import speaker-aware redaction policies (customer only, agent read-backs)
+const speakerPolicy = require('./redaction/speaker-policy');
+
+// Import keyword-triggered redaction windows ("my social is...")
+const contextWindows = require('./redaction/context-windows');
+
+// Import the detector registry (built-in detectors plus plugins from plugins/detectors)
+const detectorRegistry = require('./redaction/detector-registry');
+
+// Import admin-managed detection rule validation and testing
+const customRules = require('./redaction/custom-rules');
+
+// Import the allowlist of known-safe values (our own phone lines, public IDs)
+const allowlist = require('./redaction/allowlist');
+
+// Import Medicare, Medicaid and carrier member ID detection (formats from config/member-id-formats.json)
+const insuranceIdDetectors = require('./redaction/insurance-id-detectors');
+
 // Create a structured logging system
 const logs = [];
 const LOG_LEVELS = {
@@ -113,6 +155,19 @@ directories.forEach(dir => {
   }
 });
 
+// Load custom detectors from the plugin directory
+const detectorPlugins = detectorRegistry.loadPlugins();
+if (detectorPlugins.loaded.length > 0) {
+  addLog(LOG_LEVELS.INFO, 'system', `Loaded custom detectors: ${detectorPlugins.loaded.join(', ')}`, {
+    count: detectorPlugins.loaded.length
+  });
+}
+detectorPlugins.errors.forEach(pluginError => {
+  addLog(LOG_LEVELS.ERROR, 'system', `Error loading detector plugin ${pluginError.file}`, {
+    error: pluginError.error
+  });
+});
+
 // Configure multer for file uploads (using memory storage instead of disk)
 const storage = multer.memoryStorage();
 
@@ -129,8 +184,10 @@ const upload = multer({
   }
 });
 
-// Import axios for direct HTTP requests
-const axios = require('axios');
+// Import transcription providers (Deepgram, local whisper.cpp, or stored fixtures for offline runs)
+const transcription = require('./transcription');
+// Import per-organization and per-upload Deepgram request options
+const deepgramOptions = require('./transcription/deepgram-options');
 
 // Initialize Deepgram API key from environment variables or stored key
 let apiKey = process.env.DEEPGRAM_API_KEY || 'YOUR_DEEPGRAM_API_KEY';
@@ -151,98 +208,26 @@ addLog(LOG_LEVELS.INFO, 'system', 'Initializing Deepgram API client', {
   apiKeyProvided: apiKey !== 'YOUR_DEEPGRAM_API_KEY' 
 });
 
-// Function to transcribe audio using Deepgram API directly with axios
-async function transcribeAudio(audioBuffer, mimetype) {
-  addLog(LOG_LEVELS.INFO, 'transcription', `Transcribing audio file`, { mimetype });
+// Options used to check which providers are set up
+function providerCheckOptions() {
+  return { apiKey: apiKey !== 'YOUR_DEEPGRAM_API_KEY' ? apiKey : null };
+}
+
+// Function to transcribe audio with the upload's provider (TRANSCRIPTION_PROVIDER, Deepgram by default).
+// Every provider returns the same normalized channels and words (see transcription/index.js).
+async function transcribeAudio(audioBuffer, mimetype, options = {}) {
+  const provider = transcription.getProvider(options.provider);
+  addLog(LOG_LEVELS.INFO, 'transcription', `Transcribing audio file with ${provider.name}`, { mimetype });
   
   try {
-    // Maximum number of API connection attempts
-    const maxRetries = 2;
-    let attempt = 1;
-    
-    // Deepgram API endpoint with query parameters - exactly as it worked in Postman
-    const apiUrl = 'https://api.deepgram.com/v1/listen?punctuate=true&diarize=true&utterances=true&model=nova-3&smart_format=true&words=true';
-    
-    while (attempt <= maxRetries) {
-      addLog(LOG_LEVELS.INFO, 'api', `Connecting to Deepgram API for transcription (Attempt ${attempt}/${maxRetries})...`, {
-        url: apiUrl,
-        fileSize: audioBuffer.length,
-        mimetype: mimetype
-      });
-      
-      try {
-        const startTime = Date.now();
-        
-        // Make the API request using axios with the file data
-        // This matches exactly the format that worked in Postman
-        const response = await axios({
-          method: 'post',
-          url: apiUrl,
-          data: audioBuffer,
-          headers: {
-            'Authorization': `Token ${apiKey}`,
-            'Content-Type': mimetype
-          },
-          responseType: 'json',
-          maxBodyLength: Infinity,
-          maxContentLength: Infinity
-        });
-        
-        const endTime = Date.now();
-        
-        // Log success and return results
-        addLog(LOG_LEVELS.SUCCESS, 'api', 'Received transcription response from Deepgram', {
-          responseTime: `${(endTime - startTime) / 1000} seconds`,
-          statusCode: response.status,
-          transcriptLength: response.data.results.channels[0].alternatives[0].transcript.length,
-          wordCount: response.data.results.channels[0].alternatives[0].words.length
-        });
-        
-        return response.data.results;
-      } catch (error) {
-        // Log the detailed error for debugging
-        addLog(LOG_LEVELS.ERROR, 'api', `Error from Deepgram API (Attempt ${attempt}/${maxRetries})`, {
-          error: error.message,
-          stack: error.stack,
-          statusCode: error.response?.status || 'N/A',
-          response: error.response?.data || 'N/A',
-          request: {
-            url: apiUrl,
-            method: 'POST',
-            headers: {
-              'Authorization': 'Token [REDACTED]',
-              'Content-Type': mimetype
-            },
-            dataType: typeof audioBuffer,
-            dataSize: audioBuffer.length
-          }
-        });
-        
-        // Log the full error object for debugging
-        console.error('Full error object:', JSON.stringify(error, Object.getOwnPropertyNames(error)));
-        
-        if (attempt < maxRetries) {
-          // Wait for 2 seconds before retrying
-          addLog(LOG_LEVELS.WARNING, 'api', `Retrying connection in 2 seconds... (Attempt ${attempt}/${maxRetries})`);
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          attempt++;
-        } else {
-          // All retry attempts failed
-          addLog(LOG_LEVELS.ERROR, 'api', 'All connection attempts to Deepgram API failed', {
-            error: error.message,
-            attempts: maxRetries
-          });
-          
-          // Throw the error to be handled by the caller
-          throw new Error(`Failed to connect to Deepgram API after ${maxRetries} attempts: ${error.message}`);
-        }
-      }
-    }
-    
-    // This should never be reached, but just in case
-    throw new Error('Failed to transcribe audio: Maximum retry attempts exceeded');
+    return await transcription.transcribe(audioBuffer, mimetype, {
+      ...options,
+      provider: provider.name,
+      apiKey,
+      log: addLog
+    });
   } catch (error) {
-    // Handle file reading errors or other non-API errors
+    // Handle provider, file reading and other errors
     addLog(LOG_LEVELS.ERROR, 'transcription', 'Error processing audio buffer', {
       error: error.message,
       stack: error.stack
@@ -251,148 +236,270 @@ async function transcribeAudio(audioBuffer, mimetype) {
   }
 }
 
-// Setup regex patterns for sensitive information
-const patterns = {
-  ssn: /\b\d{3}[-\s]?\d{2}[-\s]?\d{4}\b/g,
-  creditCard: /\b\d{4}[-\s]?\d{4}[-\s]?\d{4}[-\s]?\d{4}\b/g,
-  phoneNumber: /\b\d{3}[-\s]?\d{3}[-\s]?\d{4}\b/g,
-  bankAccount: /\b\d{8,17}\b/g,
-  routingNumber: /\b\d{9}\b/g
-};
+// Build detector registry options from the job options
+function detectorOptions(options = {}) {
+  const nameOptions = options.names || {};
+  const actions = { ...(options.actions || {}) };
+  const disabled = [];
+  
+  if (nameOptions.enabled === false) {
+    disabled.push('personName');
+  }
+  if (nameOptions.beep) {
+    actions.personName = 'beep';
+  }
+  
+  return {
+    actions,
+    disabled,
+    unvalidatedActions: options.unvalidatedActions,
+    contextWindows: options.contextWindows,
+    customRules: options.customRules,
+    memberIdFormats: options.memberIdFormats,
+    allowlist: options.allowlist,
+    thresholds: options.thresholds,
+    people: options.people,
+    paymentSegments: options.paymentSegments,
+    language: options.language,
+    masking: options.masking,
+    vault: options.vault
+  };
+}
+
+// Options that shaped a job's output, kept with the job result and the stored recording
+// so a run can be reproduced. Rules and allowlist entries are loaded per job and recorded by ID.
+function jobSettings(options = {}) {
+  const { customRules, allowlist: allowlistEntries, memberIdFormats, people, vault: vaultSession, ...settings } = options;
+  return {
+    ...settings,
+    customRuleIds: (customRules || []).map(rule => rule.id),
+    allowlistEntryIds: (allowlistEntries || []).map(entry => entry.id)
+  };
+}
+
+// The allowlist is re-read for every job. A file that cannot be read is logged and the
+// job runs without allowlist entries.
+function loadAllowlistEntries() {
+  const { entries, error } = allowlist.loadAllowlist();
+  if (error) {
+    addLog(LOG_LEVELS.ERROR, 'redaction', 'Error loading allowlist', { error });
+  }
+  return entries;
+}
 
-// Function to redact sensitive information in text
-function redactSensitiveInfo(text) {
-  let redactedText = text;
+// Carrier member ID formats are re-read for every job. A file that cannot be read is
+// logged and no carrier formats are used.
+function loadMemberIdFormats() {
+  const { formats, error } = insuranceIdDetectors.loadMemberIdFormats();
+  if (error) {
+    addLog(LOG_LEVELS.ERROR, 'redaction', 'Error loading member ID formats', { error });
+  }
+  return formats;
+}
+
+// Function to redact sensitive information in text that has no word timings.
+// Transcripts with words are redacted from their detections by createRedactedTranscript.
+// Pass options.people (from findSensitiveInfoWithTimestamps) to replace names with
+// the same pseudonyms ("[PERSON_1]") that were assigned during audio analysis,
+// or null to leave names in the text.
+function redactSensitiveInfo(text, options = {}) {
+  const runOptions = detectorOptions(options);
   
-  Object.entries(patterns).forEach(([type, pattern]) => {
-    redactedText = redactedText.replace(pattern, `[REDACTED ${type.toUpperCase()}]`);
-  });
+  if (options.people === null) {
+    runOptions.disabled.push('personName');
+  } else {
+    runOptions.people = options.people;
+  }
   
-  return redactedText;
+  return detectorRegistry.redactText(text, runOptions);
 }
 
 // Function to find sensitive information with timestamps
-function findSensitiveInfoWithTimestamps(transcript) {
+// Returns sections to redact, sections flagged for review (not redacted),
+// allowlisted sections that were suppressed (not redacted), transcript-only (mask)
+// matches by transcript word index, and every individual detection with its
+// confidence score and outcome, for storage with the recording
+function findSensitiveInfoWithTimestamps(transcript, options = {}) {
   addLog(LOG_LEVELS.INFO, 'redaction', 'Analyzing transcript for sensitive information');
   const sensitiveSections = [];
+  const maskedMatches = [];
+  const flaggedSections = [];
+  const suppressedSections = [];
+  const detections = [];
+  let people = [];
+  let customerValues = [];
+  const timing = sectionTiming.resolveTiming(options.timing);
   
   // Process each word with its timing information
   if (transcript && transcript.words) {
-    const words = transcript.words;
-    addLog(LOG_LEVELS.INFO, 'redaction', `Analyzing ${words.length} words in the transcript`);
-    
-    let currentMatch = null;
-    let sensitivePatternFound = null;
-    
-    // First, scan the entire transcript for sensitive information
-    addLog(LOG_LEVELS.INFO, 'redaction', 'Scanning entire transcript for sensitive patterns');
-    const fullText = words.map(w => w.word).join(' ');
-    let sensitivePatterns = [];
-    
-    Object.entries(patterns).forEach(([type, pattern]) => {
-      const matches = fullText.match(pattern);
-      if (matches) {
-        addLog(LOG_LEVELS.INFO, 'redaction', `Found ${matches.length} instances of ${type} in the transcript`, {
-          patternType: type,
-          count: matches.length,
-          examples: matches.slice(0, 3).map(m => m.replace(/\d/g, '*')) // Mask the actual sensitive data in logs
-        });
-        
-        matches.forEach(match => {
-          sensitivePatterns.push({
-            type,
-            pattern: match
-          });
+    // Collapse spoken numbers ("four one one one") into digit tokens that keep their original timing
+    const words = numberNormalizer.normalizeWords(transcript.words, { language: options.language });
+    const normalizedRuns = words.filter(w => w.normalized).length;
+    addLog(LOG_LEVELS.INFO, 'redaction', `Analyzing ${words.length} words in the transcript`, {
+      originalCount: transcript.words.length,
+      normalizedRunCount: normalizedRuns
+    });
+    
+    // Run every registered detector (built-in and plugins) over the words, with the
+    // ranges Deepgram redacted itself (when requested) as a second opinion
+    const result = detectorRegistry.findMatches(words, { ...detectorOptions(options), redactions: transcript.redactions });
+    people = result.extras.people || [];
+    
+    // Diarized speakers decide whose values are redacted
+    const speakerOptions = options.speakers || {};
+    const speakerMatches = speakerPolicy.applySpeakerPolicy(result.matches, words, speakerOptions);
+    const speakerFlagged = speakerPolicy.applySpeakerPolicy(result.flagged, words, speakerOptions);
+    result.matches = speakerMatches.kept;
+    result.flagged = speakerFlagged.kept;
+    customerValues = speakerMatches.customerValues;
+    const skipped = [...speakerMatches.skipped, ...speakerFlagged.skipped]
+      .map(match => ({ ...match, reason: 'spoken by the agent' }));
+    
+    const addDetections = (matches, status) => matches.forEach(match => {
+      detections.push({
+        type: match.type,
+        start: match.start,
+        end: match.end,
+        action: match.action,
+        status,
+        confidence: match.confidence,
+        validated: match.validated === undefined ? null : match.validated,
+        reason: match.reason || (match.secondOpinion ? 'found by Deepgram redaction' : match.confirmed ? 'confirmed by Deepgram redaction' : null),
+        speaker: match.speaker === undefined ? null : match.speaker,
+        channel: options.channel === undefined ? null : options.channel,
+        maskingStyle: match.maskingStyle || null
+      });
+    });
+    addDetections(result.matches, 'redacted');
+    addDetections(result.flagged, 'flagged');
+    addDetections(result.suppressed, 'suppressed');
+    addDetections(result.ignored, 'ignored');
+    addDetections(skipped, 'skipped');
+    detections.sort((a, b) => a.start - b.start);
+    
+    // Allowlisted values are left in place and logged so auditors can see the decision
+    result.suppressed.forEach(match => {
+      suppressedSections.push({
+        start: match.start,
+        end: match.end,
+        type: match.type,
+        confidence: match.confidence,
+        allowlistEntryId: match.allowlistEntry.id,
+        note: match.allowlistEntry.note
+      });
+      addLog(LOG_LEVELS.INFO, 'redaction', `Suppressed allowlisted ${match.type}: ${formatTimestamp(match.start)} - ${formatTimestamp(match.end)}${match.allowlistEntry.note ? ` (${match.allowlistEntry.note})` : ''}`, {
+        type: match.type,
+        status: 'suppressed'
+      });
+    });
+    
+    // Unvalidated and low-confidence matches can be flagged for review instead of redacted
+    result.flagged.forEach(match => {
+      const previousFlag = flaggedSections[flaggedSections.length - 1];
+      
+      if (previousFlag && previousFlag.type === match.type && match.start <= previousFlag.end) {
+        previousFlag.end = Math.max(previousFlag.end, match.end);
+        previousFlag.confidence = Math.min(previousFlag.confidence, match.confidence);
+      } else {
+        flaggedSections.push({
+          start: match.start,
+          end: match.end,
+          type: match.type,
+          confidence: match.confidence,
+          validated: match.validated,
+          reason: match.reason
         });
       }
+      addLog(LOG_LEVELS.INFO, 'redaction', `${match.type} flagged for review: ${formatTimestamp(match.start)} - ${formatTimestamp(match.end)}`, {
+        type: match.type,
+        status: match.reason
+      });
     });
     
-    addLog(LOG_LEVELS.INFO, 'redaction', `Found ${sensitivePatterns.length} total sensitive patterns in the transcript`);
+    skipped.forEach(match => {
+      addLog(LOG_LEVELS.INFO, 'redaction', `Skipped ${match.type} spoken by the agent (speaker ${match.speaker}): ${formatTimestamp(match.start)} - ${formatTimestamp(match.end)}`, {
+        type: match.type,
+        status: 'skipped'
+      });
+    });
     
-    // Now scan each word and nearby words for these patterns
-    for (let i = 0; i < words.length; i++) {
-      const word = words[i];
-      const text = word.word;
-      
-      // Check if this word contains sensitive information
-      let isSensitive = false;
-      let matchType = '';
-      
-      // Check single word
-      Object.entries(patterns).forEach(([type, pattern]) => {
-        if (pattern.test(text)) {
-          isSensitive = true;
-          matchType = type;
-          addLog(LOG_LEVELS.INFO, 'redaction', `Found sensitive information (${type}) at word "${text.replace(/\d/g, '*')}"`, {
-            startTime: formatTimestamp(parseFloat(word.start)),
-            endTime: formatTimestamp(parseFloat(word.end)),
-            wordIndex: i
-          });
-        }
+    // Matches below the flag threshold are left alone but still logged
+    result.ignored.forEach(match => {
+      addLog(LOG_LEVELS.INFO, 'redaction', `Ignored low-confidence ${match.type}: ${formatTimestamp(match.start)} - ${formatTimestamp(match.end)}`, {
+        type: match.type,
+        status: match.reason
       });
-      
-      // Check combinations of words (up to 6 words)
-      if (!isSensitive) {
-        for (let windowSize = 2; windowSize <= 6 && i + windowSize <= words.length; windowSize++) {
-          const wordGroup = words.slice(i, i + windowSize);
-          const combinedText = wordGroup.map(w => w.word).join(' ');
-          
-          Object.entries(patterns).forEach(([type, pattern]) => {
-            if (pattern.test(combinedText)) {
-              isSensitive = true;
-              matchType = type;
-              addLog(LOG_LEVELS.INFO, 'redaction', `Found sensitive information (${type}) in phrase "${combinedText.replace(/\d/g, '*')}"`, {
-                startTime: formatTimestamp(parseFloat(wordGroup[0].start)),
-                endTime: formatTimestamp(parseFloat(wordGroup[wordGroup.length - 1].end)),
-                wordIndices: Array.from({ length: windowSize }, (_, idx) => i + idx)
-              });
-            }
-          });
-          
-          if (isSensitive) break;
-        }
+    });
+    
+    result.matches.forEach(match => {
+      // Masked types are only replaced in the transcript, by the indices of the
+      // transcript words that were collapsed into the matched words
+      if (match.action === 'mask') {
+        const lastSources = words[match.endIndex].sourceIndices;
+        maskedMatches.push({
+          type: match.type,
+          label: match.label,
+          replacement: match.replacement,
+          startIndex: words[match.startIndex].sourceIndices[0],
+          endIndex: lastSources[lastSources.length - 1],
+          channel: options.channel
+        });
+        return;
       }
       
-      if (isSensitive) {
-        // Look ahead and behind for context (up to 3 words)
-        const contextStart = Math.max(0, i - 3);
-        const contextEnd = Math.min(words.length, i + 4);
-        
-        if (!currentMatch) {
-          // Start a new sensitive section
-          currentMatch = {
-            start: parseFloat(words[contextStart].start),
-            end: parseFloat(word.end),
-            type: matchType
-          };
-        } else {
-          // Extend the current sensitive section
-          currentMatch.end = parseFloat(word.end);
-        }
-      } else if (currentMatch) {
-        // End the current sensitive section and add a buffer
-        currentMatch.end = parseFloat(words[Math.min(i + 2, words.length - 1)].end);
-        sensitiveSections.push(currentMatch);
-        addLog(LOG_LEVELS.INFO, 'redaction', `Added sensitive section: ${formatTimestamp(currentMatch.start)} - ${formatTimestamp(currentMatch.end)}`, {
-          type: currentMatch.type,
-          startSeconds: currentMatch.start,
-          endSeconds: currentMatch.end,
-          durationSeconds: (currentMatch.end - currentMatch.start).toFixed(2)
-        });
-        currentMatch = null;
+      // Pad the detection by its type's pre-roll and post-roll
+      const range = sectionTiming.sectionRange(match, timing);
+      const section = {
+        start: range.start,
+        end: range.end,
+        type: match.type,
+        label: match.pseudonym || match.label,
+        replacement: match.replacement || `[REDACTED ${match.label}]`,
+        action: match.action,
+        confidence: match.confidence,
+        validated: match.validated === undefined ? null : match.validated
+      };
+      if (match.speaker !== undefined && match.speaker !== null) {
+        section.speaker = match.speaker;
+        section.role = match.role;
       }
-    }
-    
-    // Add the last section if there is one
-    if (currentMatch) {
-      sensitiveSections.push(currentMatch);
-      addLog(LOG_LEVELS.INFO, 'redaction', `Added final sensitive section: ${formatTimestamp(currentMatch.start)} - ${formatTimestamp(currentMatch.end)}`, {
-        type: currentMatch.type,
-        startSeconds: currentMatch.start,
-        endSeconds: currentMatch.end,
-        durationSeconds: (currentMatch.end - currentMatch.start).toFixed(2)
+      if (match.readback) {
+        section.readback = true;
+      }
+      if (match.segment) {
+        section.segment = true;
+        section.closedBy = match.closedBy;
+      }
+      if (options.channel !== undefined) {
+        section.channel = options.channel;
+      }
+      if (match.issuer) {
+        section.issuer = match.issuer;
+      }
+      if (match.trigger) {
+        section.trigger = match.trigger;
+      }
+      sensitiveSections.push(section);
+      
+      const source = match.trigger ? ` (window opened by "${match.trigger}")`
+        : match.secondOpinion ? ' (Deepgram redaction)'
+          : match.confirmed ? ' (confirmed by Deepgram redaction)' : '';
+      addLog(LOG_LEVELS.INFO, 'redaction', `Found sensitive information (${match.type}, confidence ${match.confidence})${source}: ${formatTimestamp(section.start)} - ${formatTimestamp(section.end)}`, {
+        type: match.type,
+        status: match.validated === null || match.validated === undefined ? 'not validated' : match.validated ? 'valid' : 'invalid'
       });
-    }
+    });
+    
+    const maskedCount = result.matches.length - sensitiveSections.length;
+    addLog(LOG_LEVELS.INFO, 'redaction', `Detectors found ${result.matches.length} matches (${maskedCount} masked in the transcript only)`, {
+      count: result.matches.length,
+      flaggedCount: result.flagged.length,
+      suppressedCount: result.suppressed.length,
+      ignoredCount: result.ignored.length,
+      skippedCount: skipped.length,
+      peopleCount: people.length
+    });
+    sensitiveSections.sort((a, b) => a.start - b.start);
     
     // Merge overlapping sections
     if (sensitiveSections.length > 1) {
@@ -403,9 +510,22 @@ function findSensitiveInfoWithTimestamps(transcript) {
         const current = sensitiveSections[i];
         const previous = mergedSections[mergedSections.length - 1];
         
-        // If current section overlaps with previous, merge them
-        if (current.start <= previous.end + 1) {
+        // If current section overlaps with previous, or the gap between them is short, merge them
+        if (current.start <= previous.end + timing.mergeGapMs / 1000) {
           previous.end = Math.max(previous.end, current.end);
+          // A merged section is beeped if any part of it was going to be
+          if (current.action === 'beep') {
+            previous.action = 'beep';
+          }
+          previous.confidence = Math.max(previous.confidence, current.confidence);
+          // The transcript shows the labels of everything the merged beep covers,
+          // except that a payment segment is always shown as one block
+          if (previous.segment || current.segment) {
+            previous.segment = true;
+            previous.replacement = paymentSegments.REPLACEMENT;
+          } else if (!previous.replacement.includes(current.replacement)) {
+            previous.replacement += ` ${current.replacement}`;
+          }
           addLog(LOG_LEVELS.INFO, 'redaction', `Merged overlapping sections: ${formatTimestamp(previous.start)} - ${formatTimestamp(previous.end)}`, {
             type: previous.type,
             durationSeconds: (previous.end - previous.start).toFixed(2)
@@ -416,13 +536,187 @@ function findSensitiveInfoWithTimestamps(transcript) {
       }
       
       addLog(LOG_LEVELS.INFO, 'redaction', `Reduced from ${sensitiveSections.length} to ${mergedSections.length} sections after merging`);
-      return mergedSections;
+      return { sensitiveSections: mergedSections, flaggedSections, suppressedSections, maskedMatches, detections, people, customerValues };
     }
   } else {
     addLog(LOG_LEVELS.WARNING, 'redaction', 'No words found in transcript or invalid transcript format');
   }
   
-  return sensitiveSections;
+  return { sensitiveSections, flaggedSections, suppressedSections, maskedMatches, detections, people, customerValues };
+}
+
+// Dual-channel recordings: each channel is analyzed on its own and its sections are
+// tagged with the channel so they are beeped only there. The channel words are then
+// merged by time, with the channel as the speaker, for the redacted transcript.
+function findSensitiveInfoByChannel(channels, options = {}) {
+  const agentChannel = parseInt(options.agentChannel, 10) || 0;
+  const speakers = { ...(options.speakers || {}), agentSpeaker: agentChannel };
+  const combined = {
+    sensitiveSections: [],
+    flaggedSections: [],
+    suppressedSections: [],
+    maskedMatches: [],
+    detections: [],
+    people: [],
+    words: []
+  };
+  let customerValues = [];
+  const segmentOptions = options.paymentSegments || {};
+  
+  // Customer channels go first so agent read-backs can be recognized
+  const order = channels.map((channel, index) => index)
+    .sort((a, b) => (a === agentChannel) - (b === agentChannel));
+  
+  order.forEach(channel => {
+    const alternative = channels[channel];
+    const words = (alternative.words || []).map((word, index) => ({ ...word, speaker: channel, channel, channelIndex: index }));
+    addLog(LOG_LEVELS.INFO, 'redaction', `Analyzing channel ${channel} (${channel === agentChannel ? 'agent' : 'customer'})`);
+    
+    const result = findSensitiveInfoWithTimestamps({ ...alternative, words }, {
+      ...options,
+      channel,
+      speakers: { ...speakers, customerValues },
+      people: combined.people,
+      // Payment segments span both channels and are found on the merged words below
+      paymentSegments: { ...segmentOptions, enabled: false }
+    });
+    customerValues = result.customerValues;
+    combined.people = result.people;
+    
+    ['sensitiveSections', 'flaggedSections', 'suppressedSections', 'maskedMatches', 'detections'].forEach(key => {
+      combined[key].push(...result[key]);
+    });
+    combined.words.push(...words);
+  });
+  
+  ['sensitiveSections', 'flaggedSections', 'suppressedSections', 'detections', 'words'].forEach(key => {
+    combined[key].sort((a, b) => a.start - b.start);
+  });
+  
+  // The agent asks for the card on one channel and the customer reads it on the other,
+  // so payment segments are found on both channels together and blank both channels
+  if (segmentOptions.enabled) {
+    const action = detectorRegistry.ACTIONS.includes((options.actions || {}).paymentSegment) ? options.actions.paymentSegment : 'beep';
+    const words = numberNormalizer.normalizeWords(combined.words, { language: options.language });
+    // Segments over words an earlier version redacted are not new
+    const segments = paymentSegments.findSegments(words, segmentOptions)
+      .filter(segment => !textMatches.touchesRedactedWord(segment, words));
+    segments.forEach(segment => {
+      combined.sensitiveSections.push({
+        start: segment.start,
+        end: segment.end,
+        type: segment.type,
+        label: segment.label,
+        replacement: segment.replacement,
+        action,
+        confidence: 1,
+        validated: null,
+        segment: true,
+        closedBy: segment.closedBy
+      });
+      combined.detections.push({
+        type: segment.type,
+        start: segment.start,
+        end: segment.end,
+        action,
+        status: 'redacted',
+        confidence: 1,
+        validated: null,
+        reason: `closed by ${segment.closedBy}`,
+        speaker: null,
+        channel: null
+      });
+      addLog(LOG_LEVELS.INFO, 'redaction', `Found payment segment on both channels: ${formatTimestamp(segment.start)} - ${formatTimestamp(segment.end)}`, {
+        type: segment.type,
+        status: segment.closedBy
+      });
+    });
+    combined.sensitiveSections.sort((a, b) => a.start - b.start);
+    combined.detections.sort((a, b) => a.start - b.start);
+  }
+  
+  return combined;
+}
+
+// Word ranges to mask in the transcript: every transcript word overlapping a beeped or
+// muted section is masked with that section's labels, and transcript-only (mask) matches
+// are masked by word index
+function transcriptSpans(words, sensitiveSections, maskedMatches, options = {}) {
+  const spans = [];
+  
+  sensitiveSections.forEach(section => {
+    let startIndex = -1;
+    let endIndex = -1;
+    words.forEach((word, index) => {
+      if (section.channel !== undefined && word.channel !== section.channel) return;
+      if (parseFloat(word.start) < section.end && parseFloat(word.end) > section.start) {
+        if (startIndex === -1) startIndex = index;
+        endIndex = index;
+      }
+    });
+    
+    if (startIndex !== -1) {
+      spans.push({ startIndex, endIndex, label: section.label, replacement: section.replacement, exclusive: section.segment });
+    }
+  });
+  
+  // Matches from a single channel carry word indices within that channel
+  const indexOf = (channel, channelIndex) => words.findIndex(word => word.channel === channel && word.channelIndex === channelIndex);
+  
+  maskedMatches
+    .filter(match => options.pseudonymizeNames !== false || match.type !== 'personName')
+    .forEach(match => spans.push(match.channel === undefined ? match : {
+      ...match,
+      startIndex: indexOf(match.channel, match.startIndex),
+      endIndex: indexOf(match.channel, match.endIndex)
+    }));
+  
+  return spans;
+}
+
+// Label of each diarized speaker ("Agent", "Customer", "Speaker 3"), or null without speakers
+function transcriptSpeakerLabels(words, options = {}) {
+  if (!speakerPolicy.hasSpeakers(words)) {
+    return null;
+  }
+  
+  const agent = speakerPolicy.resolveAgentSpeaker(words, (options.speakers || {}).agentSpeaker);
+  const speakerCount = new Set(words.map(word => word.speaker)).size;
+  const speakers = Array.from(new Set(words.map(word => word.speaker))).filter(speaker => typeof speaker === 'number');
+  return speakers.sort((a, b) => a - b).reduce((labels, speaker) => {
+    labels[speaker] = speakerPolicy.speakerLabel(speaker, agent, speakerCount);
+    return labels;
+  }, {});
+}
+
+// Build the redacted transcript from the same detections that drove the audio redaction.
+// Diarized transcripts are written as speaker turns ("Agent: ...", "Customer: ...").
+function createRedactedTranscript(words, sensitiveSections, maskedMatches, options = {}) {
+  const spans = transcriptSpans(words, sensitiveSections, maskedMatches, options);
+  
+  if (!speakerPolicy.hasSpeakers(words)) {
+    return textMatches.redactWords(words, spans);
+  }
+  
+  const agent = speakerPolicy.resolveAgentSpeaker(words, (options.speakers || {}).agentSpeaker);
+  const speakerCount = new Set(words.map(word => word.speaker)).size;
+  return textMatches.redactWords(words, spans, {
+    speakerLabel: speaker => speakerPolicy.speakerLabel(speaker, agent, speakerCount)
+  });
+}
+
+// Build the redacted word-level transcript document: the transcript words with their
+// timings, speakers and confidences, each masked span as one redacted word over its
+// time range, so players and re-redaction can use the words without transcribing again
+function createRedactedWordTranscript(words, sensitiveSections, maskedMatches, options = {}) {
+  return {
+    version: 1,
+    provider: options.provider || null,
+    language: options.language || null,
+    multichannel: Boolean(options.multichannel),
+    speakers: transcriptSpeakerLabels(words, options),
+    words: textMatches.redactWordList(words, transcriptSpans(words, sensitiveSections, maskedMatches, options))
+  };
 }
 
 /**
@@ -539,6 +833,34 @@ function getContentTypeFromFormat(format) {
   }
 }
 
+// Helper function to parse a JSON-encoded multipart form field
+function parseJsonField(value, fallback = {}) {
+  if (!value) {
+    return fallback;
+  }
+  if (typeof value === 'object') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    addLog(LOG_LEVELS.WARNING, 'system', 'Ignoring malformed JSON option', { error: error.message });
+    return fallback;
+  }
+}
+
+// Helper function to parse the optional ?version= of a download
+function parseVersion(value) {
+  if (value === undefined) {
+    return null;
+  }
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid version: ${value}`);
+  }
+  return version;
+}
+
 // API endpoint to update Deepgram API key
 app.post('/api/settings/deepgram-key', express.json(), (req, res) => {
   try {
@@ -567,6 +889,254 @@ app.post('/api/settings/deepgram-key', express.json(), (req, res) => {
   }
 });
 
+// List transcription providers, with processing time estimates when the audio length is given
+app.get('/api/transcription/providers', (req, res) => {
+  const durationSeconds = parseFloat(req.query.durationSeconds);
+  
+  res.json({
+    defaultProvider: transcription.getProvider().name,
+    providers: transcription.describeProviders(durationSeconds, providerCheckOptions())
+  });
+});
+
+// Format a detection rule row for API responses
+function formatRule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    kind: row.kind,
+    pattern: row.pattern,
+    type: row.type,
+    label: row.label,
+    action: row.action,
+    paddingBeforeMs: row.padding_before_ms,
+    paddingAfterMs: row.padding_after_ms,
+    followWords: row.follow_words,
+    enabled: row.enabled,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// List custom detection rules
+app.get('/api/rules', async (req, res) => {
+  try {
+    const rules = await db.getDetectionRules();
+    res.json(rules.map(formatRule));
+  } catch (error) {
+    addLog(LOG_LEVELS.ERROR, 'api', 'Error retrieving detection rules', {
+      error: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({ error: 'Error retrieving detection rules' });
+  }
+});
+
+// Try a rule against sample text without saving it
+app.post('/api/rules/test', express.json(), (req, res) => {
+  try {
+    const { text, ...rule } = req.body || {};
+    res.json(customRules.testRule(rule, text));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Create a custom detection rule
+app.post('/api/rules', express.json(), async (req, res) => {
+  let rule;
+  try {
+    rule = customRules.normalizeRule(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    const created = await db.createDetectionRule(rule);
+    addLog(LOG_LEVELS.SUCCESS, 'system', `Detection rule created: ${created.name}`, {
+      type: created.type
+    });
+    res.status(201).json(formatRule(created));
+  } catch (error) {
+    addLog(LOG_LEVELS.ERROR, 'api', 'Error creating detection rule', {
+      error: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({ error: 'Error creating detection rule' });
+  }
+});
+
+// Update a custom detection rule; fields not sent keep their current values
+app.put('/api/rules/:id', express.json(), async (req, res) => {
+  try {
+    const existing = await db.getDetectionRuleById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    
+    let rule;
+    try {
+      rule = customRules.normalizeRule({ ...formatRule(existing), ...req.body });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    const updated = await db.updateDetectionRule(req.params.id, rule);
+    addLog(LOG_LEVELS.SUCCESS, 'system', `Detection rule updated: ${updated.name}`, {
+      type: updated.type,
+      status: updated.enabled ? 'enabled' : 'disabled'
+    });
+    res.json(formatRule(updated));
+  } catch (error) {
+    addLog(LOG_LEVELS.ERROR, 'api', 'Error updating detection rule', {
+      error: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({ error: 'Error updating detection rule' });
+  }
+});
+
+// Delete a custom detection rule
+app.delete('/api/rules/:id', async (req, res) => {
+  try {
+    const deleted = await db.deleteDetectionRule(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    addLog(LOG_LEVELS.SUCCESS, 'system', `Detection rule ${req.params.id} deleted`);
+    res.json({ success: true });
+  } catch (error) {
+    addLog(LOG_LEVELS.ERROR, 'api', 'Error deleting detection rule', {
+      error: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({ error: 'Error deleting detection rule' });
+  }
+});
+
+// List allowlisted values
+app.get('/api/allowlist', (req, res) => {
+  const { entries, error } = allowlist.loadAllowlist();
+  if (error) {
+    addLog(LOG_LEVELS.ERROR, 'api', 'Error reading allowlist', { error });
+    return res.status(500).json({ error: 'Error reading allowlist' });
+  }
+  res.json(entries);
+});
+
+// Add a value or pattern to the allowlist
+app.post('/api/allowlist', express.json(), (req, res) => {
+  try {
+    allowlist.normalizeEntry(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    const entry = allowlist.addEntry(req.body);
+    addLog(LOG_LEVELS.SUCCESS, 'system', `Allowlist ${entry.kind} added${entry.note ? `: ${entry.note}` : ''}`, {
+      type: entry.types.join(', ') || 'all'
+    });
+    res.status(201).json(entry);
+  } catch (error) {
+    addLog(LOG_LEVELS.ERROR, 'api', 'Error updating allowlist', {
+      error: error.message
+    });
+    res.status(500).json({ error: 'Error updating allowlist' });
+  }
+});
+
+// Remove an allowlist entry
+app.delete('/api/allowlist/:id', (req, res) => {
+  try {
+    if (!allowlist.removeEntry(req.params.id)) {
+      return res.status(404).json({ error: 'Allowlist entry not found' });
+    }
+    addLog(LOG_LEVELS.SUCCESS, 'system', `Allowlist entry ${req.params.id} removed`);
+    res.json({ success: true });
+  } catch (error) {
+    addLog(LOG_LEVELS.ERROR, 'api', 'Error updating allowlist', {
+      error: error.message
+    });
+    res.status(500).json({ error: 'Error updating allowlist' });
+  }
+});
+
+// Recover a value from the vault. Callers present a VAULT_ACCESS_KEYS key as a Bearer
+// token and give a reason; every attempt is written to vault_access_log before anything
+// is returned, so a value is never revealed without an audit record.
+app.get('/api/vault/:token', async (req, res) => {
+  const token = req.params.token;
+  const role = vault.authorize(req.get('Authorization'));
+  const reason = String(req.query.reason || '').trim();
+  const audit = (outcome, recordingId) => db.logVaultAccess({ token, recordingId, role, outcome, reason, ipAddress: req.ip });
+  
+  res.set('Cache-Control', 'no-store');
+  addLog(LOG_LEVELS.INFO, 'api', `=== API REQUEST: VAULT LOOKUP (ROLE: ${role || 'none'}) ===`);
+  
+  if (!vault.isConfigured()) {
+    return res.status(503).json({ error: 'Vault is not configured' });
+  }
+  
+  try {
+    if (!role) {
+      await audit('denied');
+      addLog(LOG_LEVELS.WARNING, 'vault', 'Vault lookup denied: missing or unknown access key', {
+        status: 'denied'
+      });
+      return res.status(401).json({ error: 'A vault access key is required' });
+    }
+    
+    if (!reason) {
+      await audit('rejected');
+      return res.status(400).json({ error: 'A reason is required to read the vault' });
+    }
+    
+    const entry = vault.isToken(token) ? await db.getVaultEntry(token) : null;
+    if (!entry) {
+      await audit('not_found');
+      addLog(LOG_LEVELS.WARNING, 'vault', `Vault token not found or expired (role: ${role})`, {
+        status: 'not_found'
+      });
+      return res.status(404).json({ error: 'Vault token not found or expired' });
+    }
+    
+    const value = vault.decrypt(entry.encrypted_value, token);
+    await audit('revealed', entry.recording_id);
+    addLog(LOG_LEVELS.WARNING, 'vault', `Vault value for recording ${entry.recording_id} revealed to ${role}`, {
+      type: entry.type,
+      status: 'revealed'
+    });
+    
+    res.json({
+      token,
+      type: entry.type,
+      value,
+      recordingId: entry.recording_id,
+      expiresAt: entry.expires_at
+    });
+  } catch (error) {
+    addLog(LOG_LEVELS.ERROR, 'vault', 'Error reading the vault', {
+      error: error.message
+    });
+    res.status(500).json({ error: 'Error reading the vault' });
+  }
+});
+
+// Delete vault entries past their retention period
+async function purgeExpiredVaultEntries() {
+  try {
+    const count = await db.deleteExpiredVaultEntries();
+    if (count > 0) {
+      addLog(LOG_LEVELS.INFO, 'vault', `Deleted ${count} expired vault entries`, { count });
+    }
+  } catch (error) {
+    addLog(LOG_LEVELS.ERROR, 'vault', 'Error deleting expired vault entries', {
+      error: error.message
+    });
+  }
+}
+
 // In-memory job queue for processing
 if (!global.processingJobs) {
   global.processingJobs = new Map();
@@ -584,9 +1154,18 @@ async function processAudioInBackground(jobId, audioBuffer, mimetype, originalFi
     addLog(LOG_LEVELS.INFO, 'system', '=== TRANSCRIPTION PROCESS STARTED ===');
     let transcriptionResult;
     try {
-      // Use Deepgram API for transcription
-      transcriptionResult = await transcribeAudio(audioBuffer, mimetype);
-      addLog(LOG_LEVELS.SUCCESS, 'transcription', 'Transcription completed successfully');
+      // Transcribe with the provider chosen for the upload
+      // Providers check their results, so a malformed response fails the job here
+      transcriptionResult = await transcribeAudio(audioBuffer, mimetype, {
+        multichannel: options.multichannel,
+        language: options.language,
+        fileName: originalFileName,
+        provider: options.provider,
+        deepgram: options.deepgram
+      });
+      // The provider used is kept with the job settings
+      options.provider = transcriptionResult.provider;
+      addLog(LOG_LEVELS.SUCCESS, 'transcription', `Transcription completed successfully (${transcriptionResult.provider})`);
       jobInfo.stage = 'analyzing';
     } catch (transcriptionError) {
       addLog(LOG_LEVELS.ERROR, 'transcription', 'Error during transcription', {
@@ -598,44 +1177,122 @@ async function processAudioInBackground(jobId, audioBuffer, mimetype, originalFi
       return;
     }
     
-    if (!transcriptionResult || !transcriptionResult.channels || 
-        !transcriptionResult.channels[0] || !transcriptionResult.channels[0].alternatives || 
-        !transcriptionResult.channels[0].alternatives[0]) {
-      addLog(LOG_LEVELS.ERROR, 'transcription', 'Invalid transcription result structure', {
-        result: JSON.stringify(transcriptionResult)
-      });
-      jobInfo.status = 'failed';
-      jobInfo.error = 'Invalid transcription result';
-      return;
-    }
-    
-    const transcript = transcriptionResult.channels[0].alternatives[0].transcript || '';
+    const multichannel = options.multichannel && transcriptionResult.channels.length > 1;
+    const transcript = transcriptionResult.channels
+      .slice(0, multichannel ? transcriptionResult.channels.length : 1)
+      .map(channel => channel.transcript)
+      .join('\n');
     addLog(LOG_LEVELS.INFO, 'transcription', 'Transcript extracted from result', {
       length: transcript.length,
       excerpt: transcript.substring(0, 100) + (transcript.length > 100 ? '...' : '')
     });
     
+    // With language detection the call is analyzed in the language the provider heard.
+    // The detected language is kept with the job settings.
+    if (options.language === 'auto') {
+      const detected = transcriptionResult.channels.find(channel => channel.detectedLanguage);
+      options.detectedLanguage = detected ? detected.detectedLanguage : null;
+    }
+    options.language = languages.resolveLanguage(options.language, options.detectedLanguage);
+    addLog(LOG_LEVELS.INFO, 'transcription', `Analyzing the call as ${options.language === 'es' ? 'Spanish' : 'English'}`, {
+      type: options.language,
+      status: options.detectedLanguage === undefined ? 'selected' : 'detected'
+    });
+    
     // Find sensitive sections with timestamps
     addLog(LOG_LEVELS.INFO, 'system', '=== SENSITIVE INFORMATION DETECTION STARTED ===');
-    const sensitiveSections = findSensitiveInfoWithTimestamps(transcriptionResult.channels[0].alternatives[0]);
-    addLog(LOG_LEVELS.INFO, 'redaction', `Found ${sensitiveSections.length} sensitive sections in the audio`);
+    
+    // Admin-managed rules are read for every job so rule changes apply without a restart
+    try {
+      options.customRules = await db.getDetectionRules({ enabledOnly: true });
+      addLog(LOG_LEVELS.INFO, 'redaction', `Loaded ${options.customRules.length} custom detection rules`, {
+        count: options.customRules.length
+      });
+    } catch (rulesError) {
+      addLog(LOG_LEVELS.ERROR, 'redaction', 'Error loading custom detection rules', {
+        error: rulesError.message
+      });
+      jobInfo.status = 'failed';
+      jobInfo.error = `Could not load detection rules: ${rulesError.message}`;
+      return;
+    }
+    
+    // The allowlist and member ID formats are also re-read for every job
+    options.allowlist = loadAllowlistEntries();
+    options.memberIdFormats = loadMemberIdFormats();
+    
+    // Values masked with the 'vault' style are collected here and encrypted when the recording is stored
+    options.vault = vault.isConfigured() ? vault.createSession() : null;
+    if (!options.vault && Object.values(options.masking || {}).includes('vault')) {
+      addLog(LOG_LEVELS.WARNING, 'redaction', 'VAULT_KEY is not set; values for the vault masking style are fully redacted instead');
+    }
+    
+    const analysis = multichannel
+      ? findSensitiveInfoByChannel(transcriptionResult.channels, options)
+      : findSensitiveInfoWithTimestamps(transcriptionResult.channels[0], options);
+    const { sensitiveSections, flaggedSections, suppressedSections, maskedMatches, detections, people } = analysis;
+    const transcriptWords = multichannel ? analysis.words : transcriptionResult.channels[0].words;
+    addLog(LOG_LEVELS.INFO, 'redaction', `Found ${sensitiveSections.length} sensitive sections in the audio`, {
+      flaggedCount: flaggedSections.length,
+      suppressedCount: suppressedSections.length
+    });
     jobInfo.stage = 'redacting';
     
     // Create redacted transcript
     addLog(LOG_LEVELS.INFO, 'redaction', 'Creating redacted transcript...');
-    const redactedTranscript = redactSensitiveInfo(transcript);
+    const pseudonymizeNames = !options.names || options.names.pseudonymize !== false;
+    const transcriptOptions = {
+      pseudonymizeNames,
+      speakers: multichannel ? { ...options.speakers, agentSpeaker: parseInt(options.agentChannel, 10) || 0 } : options.speakers
+    };
+    const redactedTranscript = transcriptWords.length > 0
+      ? createRedactedTranscript(transcriptWords, sensitiveSections, maskedMatches, transcriptOptions)
+      : redactSensitiveInfo(transcript, { ...options, people: pseudonymizeNames ? people : null });
     addLog(LOG_LEVELS.SUCCESS, 'redaction', 'Redacted transcript created', {
       originalLength: transcript.length,
       redactedLength: redactedTranscript.length
     });
     
+    // The redacted words keep their timings, speakers and confidences for players, reviewers
+    // and re-redaction
+    const wordTranscript = createRedactedWordTranscript(transcriptWords, sensitiveSections, maskedMatches, {
+      ...transcriptOptions,
+      provider: options.provider,
+      language: options.language,
+      multichannel
+    });
+    
+    // The masking style used for every redacted value is kept with the stored transcript
+    const transcriptMetadata = {
+      maskingStyles: options.masking || maskingStyles.resolveStyles(),
+      masked: detections
+        .filter(detection => detection.status === 'redacted' && detection.maskingStyle)
+        .map(detection => ({
+          type: detection.type,
+          start: detection.start,
+          end: detection.end,
+          style: detection.maskingStyle
+        }))
+    };
+    
+    // Only values whose token made it into the transcript are kept; flagged, ignored
+    // and allowlisted values were never redacted
+    const vaultEntries = (options.vault ? options.vault.entries() : [])
+      .filter(entry => redactedTranscript.includes(entry.token))
+      .map(entry => ({ token: entry.token, type: entry.type, encryptedValue: vault.encrypt(entry.value, entry.token) }));
+    if (vaultEntries.length > 0) {
+      addLog(LOG_LEVELS.INFO, 'redaction', `Storing ${vaultEntries.length} values in the vault`, {
+        count: vaultEntries.length
+      });
+    }
+    
     // Create audio with beeps
     addLog(LOG_LEVELS.INFO, 'system', '=== AUDIO REDACTION PROCESS STARTED ===');
     addLog(LOG_LEVELS.INFO, 'audio', `Processing audio with ${sensitiveSections.length} sensitive sections`);
     
     try {
       addLog(LOG_LEVELS.INFO, 'audio', `Applying ${options.redactionMethod === 'beep' ? 'beep sounds' : 'muting'} to sensitive sections...`);
-      const redactedAudio = await createRedactedAudio(audioBuffer, mimetype, sensitiveSections, options);
+      const redactedAudio = await createRedactedAudio(audioBuffer, mimetype, sensitiveSections, { ...options, multichannel });
       jobInfo.stage = 'storing';
       
       // Store in database
@@ -643,7 +1300,14 @@ async function processAudioInBackground(jobId, audioBuffer, mimetype, originalFi
       
       const recording = {
         originalFileName,
-        sensitiveInfoCount: sensitiveSections.length
+        sensitiveInfoCount: sensitiveSections.length,
+        names: people,
+        detections,
+        transcriptMetadata,
+        wordTranscript,
+        vaultEntries,
+        vaultRetentionDays: vault.retentionDays(),
+        settings: jobSettings(options)
       };
       
       const storedRecording = await db.storeRecording(
@@ -668,7 +1332,25 @@ async function processAudioInBackground(jobId, audioBuffer, mimetype, originalFi
         id: storedRecording.id,
         originalFileName: originalFileName,
         uploadDate: storedRecording.upload_date,
-        sensitiveInfoCount: sensitiveSections.length
+        sensitiveInfoCount: sensitiveSections.length,
+        flaggedCount: flaggedSections.length,
+        ignoredCount: detections.filter(detection => detection.status === 'ignored').length,
+        peopleCount: people.length,
+        language: options.language,
+        settings: recording.settings,
+        detections: sensitiveSections.map(section => ({
+          type: section.type,
+          start: section.start,
+          end: section.end,
+          confidence: section.confidence,
+          validated: section.validated,
+          speaker: section.speaker,
+          role: section.role,
+          channel: section.channel
+        })),
+        transcriptMetadata,
+        flagged: flaggedSections,
+        suppressed: suppressedSections
       };
       
     } catch (audioError) {
@@ -694,6 +1376,200 @@ async function processAudioInBackground(jobId, audioBuffer, mimetype, originalFi
   }
 }
 
+// Recordings being reprocessed, so two runs cannot build on the same version
+const reprocessingRecordings = new Set();
+
+// Rerun detection on a recording's latest word-level transcript with the current rules
+// and allowlist, and store the result as a new version of its redacted audio and
+// transcript. The latest redacted audio is redacted again, so earlier beeps stay and
+// no unredacted audio is needed. Nothing is stored when nothing new is found.
+// Returns { id, reprocessed, version, sensitiveInfoCount, flaggedCount }.
+async function reprocessRecording(recordingId, jobInfo = {}) {
+  if (reprocessingRecordings.has(String(recordingId))) {
+    throw new Error(`Recording ${recordingId} is already being reprocessed`);
+  }
+  reprocessingRecordings.add(String(recordingId));
+  
+  try {
+    jobInfo.stage = 'loading';
+    const recording = await db.getRecordingById(recordingId);
+    if (!recording) {
+      throw new Error(`Recording not found: ${recordingId}`);
+    }
+    const wordTranscript = await db.getWordTranscript(recording.id);
+    if (!wordTranscript || !Array.isArray(wordTranscript.words)) {
+      throw new Error(`Recording ${recording.id} has no word transcript to reprocess`);
+    }
+    const audio = await db.getRedactedAudio(recording.id);
+    if (!audio) {
+      throw new Error(`Recording ${recording.id} has no redacted audio`);
+    }
+    
+    addLog(LOG_LEVELS.INFO, 'system', `=== REPROCESSING RECORDING ${recording.id} (version ${audio.version}) ===`);
+    
+    // The recording is analyzed with the options it was uploaded with, and the rules,
+    // allowlist and vault as they are now
+    const { customRuleIds, allowlistEntryIds, ...settings } = recording.processing_options || {};
+    const options = {
+      redactionMethod: 'beep',
+      beepVolume: 0.0001,
+      ...settings,
+      language: languages.resolveLanguage(settings.language || wordTranscript.language || languages.DEFAULT_LANGUAGE)
+    };
+    options.customRules = await db.getDetectionRules({ enabledOnly: true });
+    options.allowlist = loadAllowlistEntries();
+    options.memberIdFormats = loadMemberIdFormats();
+    options.vault = vault.isConfigured() ? vault.createSession() : null;
+    // Names already stored keep their pseudonyms
+    const storedPeople = await db.getRecordingNames(recording.id);
+    options.people = storedPeople;
+    
+    jobInfo.stage = 'analyzing';
+    const multichannel = Boolean(wordTranscript.multichannel);
+    const storedWords = wordTranscript.words;
+    const analysis = multichannel
+      ? findSensitiveInfoByChannel(textMatches.wordTranscriptChannels(storedWords), options)
+      : findSensitiveInfoWithTimestamps({ words: storedWords }, options);
+    // Detectors skip the words earlier versions redacted, so everything found is new
+    const transcriptWords = multichannel ? analysis.words : storedWords;
+    const { sensitiveSections, maskedMatches, detections } = analysis;
+    const flaggedCount = detections.filter(detection => detection.status === 'flagged').length;
+    
+    const pseudonymizeNames = !options.names || options.names.pseudonymize !== false;
+    const transcriptOptions = {
+      pseudonymizeNames,
+      speakers: multichannel ? { ...options.speakers, agentSpeaker: parseInt(options.agentChannel, 10) || 0 } : options.speakers
+    };
+    const newWordTranscript = createRedactedWordTranscript(transcriptWords, sensitiveSections, maskedMatches, {
+      ...transcriptOptions,
+      provider: wordTranscript.provider,
+      language: wordTranscript.language,
+      multichannel
+    });
+    
+    if (sensitiveSections.length === 0 && JSON.stringify(newWordTranscript.words) === JSON.stringify(storedWords)) {
+      addLog(LOG_LEVELS.INFO, 'redaction', `Nothing new found in recording ${recording.id}; no new version stored`, {
+        flaggedCount
+      });
+      return { id: recording.id, reprocessed: false, version: audio.version, sensitiveInfoCount: 0, flaggedCount };
+    }
+    
+    jobInfo.stage = 'redacting';
+    const redactedTranscript = createRedactedTranscript(transcriptWords, sensitiveSections, maskedMatches, transcriptOptions);
+    
+    // The masked values of earlier versions are kept in the new transcript metadata
+    const previousMetadata = await db.getTranscriptMetadata(recording.id) || {};
+    const transcriptMetadata = {
+      maskingStyles: options.masking || maskingStyles.resolveStyles(),
+      masked: (previousMetadata.masked || []).concat(detections
+        .filter(detection => detection.status === 'redacted' && detection.maskingStyle)
+        .map(detection => ({
+          type: detection.type,
+          start: detection.start,
+          end: detection.end,
+          style: detection.maskingStyle
+        })))
+    };
+    
+    const vaultEntries = (options.vault ? options.vault.entries() : [])
+      .filter(entry => redactedTranscript.includes(entry.token))
+      .map(entry => ({ token: entry.token, type: entry.type, encryptedValue: vault.encrypt(entry.value, entry.token) }));
+    
+    // Gain was applied when the recording was uploaded, so the audio is redacted at its
+    // current volume. Without new audio sections the latest audio is kept as it is.
+    let redactedAudio = { buffer: Buffer.from(audio.data, 'base64'), contentType: audio.content_type };
+    if (sensitiveSections.length > 0) {
+      addLog(LOG_LEVELS.INFO, 'audio', `Processing audio with ${sensitiveSections.length} new sensitive sections`);
+      redactedAudio = await createRedactedAudio(redactedAudio.buffer, audio.content_type, sensitiveSections, {
+        ...options,
+        multichannel,
+        audioVolume: 1
+      });
+    }
+    
+    jobInfo.stage = 'storing';
+    const storedPseudonyms = new Set(storedPeople.map(person => person.pseudonym));
+    const version = await db.storeRecordingVersion(recording.id, {
+      sensitiveInfoCount: sensitiveSections.length,
+      names: analysis.people.filter(person => !storedPseudonyms.has(person.pseudonym)),
+      detections,
+      transcriptMetadata,
+      wordTranscript: newWordTranscript,
+      vaultEntries,
+      vaultRetentionDays: vault.retentionDays(),
+      settings: jobSettings(options)
+    }, redactedAudio.buffer, redactedAudio.contentType, redactedTranscript);
+    if (version === null) {
+      throw new Error(`Recording not found: ${recording.id}`);
+    }
+    
+    addLog(LOG_LEVELS.SUCCESS, 'system', `Recording ${recording.id} reprocessed as version ${version}`, {
+      sensitiveInfoCount: sensitiveSections.length,
+      flaggedCount
+    });
+    
+    return { id: recording.id, reprocessed: true, version, sensitiveInfoCount: sensitiveSections.length, flaggedCount };
+  } finally {
+    reprocessingRecordings.delete(String(recordingId));
+  }
+}
+
+// Reprocess recordings one at a time in the background, recording the outcome of each
+async function reprocessInBackground(jobId, recordingIds) {
+  const jobInfo = global.processingJobs.get(jobId);
+  addLog(LOG_LEVELS.INFO, 'system', `=== REPROCESSING JOB ${jobId} STARTED ===`, {
+    count: recordingIds.length
+  });
+  
+  for (const recordingId of recordingIds) {
+    try {
+      jobInfo.progress.results.push(await reprocessRecording(recordingId, jobInfo));
+    } catch (error) {
+      addLog(LOG_LEVELS.ERROR, 'system', `Error reprocessing recording ${recordingId}`, {
+        error: error.message,
+        stack: error.stack
+      });
+      jobInfo.progress.results.push({ id: recordingId, reprocessed: false, error: error.message });
+    }
+    jobInfo.progress.done++;
+  }
+  
+  const results = jobInfo.progress.results;
+  const failedCount = results.filter(result => result.error).length;
+  jobInfo.status = recordingIds.length > 0 && failedCount === recordingIds.length ? 'failed' : 'completed';
+  jobInfo.stage = '';
+  jobInfo.result = {
+    reprocessedCount: results.filter(result => result.reprocessed).length,
+    unchangedCount: results.filter(result => !result.reprocessed && !result.error).length,
+    failedCount,
+    recordings: results
+  };
+  if (jobInfo.status === 'failed') {
+    jobInfo.error = recordingIds.length === 1 ? results[0].error : 'Every recording failed to reprocess';
+  }
+  addLog(LOG_LEVELS.SUCCESS, 'system', `=== REPROCESSING JOB ${jobId} FINISHED ===`, {
+    reprocessedCount: jobInfo.result.reprocessedCount,
+    failedCount
+  });
+}
+
+// Start a reprocessing job and return its status
+function startReprocessJob(recordingIds, originalFileName = null) {
+  const jobId = Date.now().toString() + '-' + Math.random().toString(36).substring(2, 8);
+  global.processingJobs.set(jobId, {
+    id: jobId,
+    status: 'processing',
+    stage: 'starting',
+    originalFileName,
+    progress: { total: recordingIds.length, done: 0, results: [] },
+    createdAt: new Date()
+  });
+  
+  reprocessInBackground(jobId, recordingIds);
+  
+  return { success: true, jobId, status: 'processing', total: recordingIds.length };
+}
+
 // Upload endpoint
 app.post('/api/upload', upload.single('audio'), async (req, res) => {
   try {
@@ -710,6 +1586,73 @@ app.post('/api/upload', upload.single('audio'), async (req, res) => {
     const redactionMethod = 'beep';
     const beepVolume = parseFloat(req.body.beepVolume) || 0.0001; // Default to 0.01%
     const audioVolume = parseFloat(req.body.audioVolume) || 1.25; // Default to 125%
+    // Per-type action for matches that fail checksum validation ('redact', 'flag' or 'ignore')
+    const unvalidatedActions = validators.resolveUnvalidatedActions(parseJsonField(req.body.unvalidatedActions));
+    // Keyword-triggered redaction windows ("my social is...") and how long they stay open
+    const contextWindowOptions = {
+      enabled: req.body.contextWindows !== 'false',
+      timeoutSeconds: parseFloat(req.body.contextTimeout) || contextWindows.DEFAULT_TIMEOUT_SECONDS
+    };
+    // Per-type action overrides ('beep', 'mute' or 'mask') for the detector registry
+    const actions = parseJsonField(req.body.actions);
+    // Whose speech is redacted ('both', 'customer' or 'readbacks') and which diarized speaker is the agent
+    const speakerOptions = {
+      policy: speakerPolicy.SPEAKER_POLICIES.includes(req.body.speakerPolicy) ? req.body.speakerPolicy : 'both',
+      agentSpeaker: req.body.agentSpeaker || 'auto'
+    };
+    // Dual-channel recordings: transcribe and beep each channel separately (agent on the left by default)
+    const multichannel = req.body.multichannel === 'true';
+    const agentChannel = parseInt(req.body.agentChannel, 10) === 1 ? 1 : 0;
+    // PCI payment segment mode: blank everything from a payment-start cue to a payment-end cue.
+    // paymentSegments may override the cues, timings and maximum length.
+    const paymentSegmentOptions = {
+      ...parseJsonField(req.body.paymentSegments),
+      enabled: req.body.paymentSegmentMode === 'true'
+    };
+    // Audio padding per type in milliseconds ({ "ssn": { "beforeMs": 500, "afterMs": 750 } }), the
+    // shortest section and the longest gap between sections that are merged. Resolved here so the
+    // exact values used are kept with the job.
+    const timing = sectionTiming.resolveTiming({
+      padding: parseJsonField(req.body.padding),
+      minSectionMs: req.body.minSectionMs,
+      mergeGapMs: req.body.mergeGapMs
+    });
+    // Per-type confidence thresholds ({ "ssn": { "redact": 0.6, "flag": 0.3 } }); "default" applies to every type
+    const thresholds = parseJsonField(req.body.thresholds);
+    // Transcript masking style per detection type ({ "creditCard": "last4", "default": "full" })
+    const masking = maskingStyles.resolveStyles(parseJsonField(req.body.maskingStyles));
+    // Deepgram model, language, key terms, numerals and redaction second opinion: the
+    // organization's settings with the upload's overrides ({ "keyterms": ["Humana"], "redact": ["pci"] })
+    const organization = req.body.organization || undefined;
+    let deepgramSettings;
+    try {
+      deepgramSettings = deepgramOptions.resolveOptions(parseJsonField(req.body.deepgramOptions), organization);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    // Call language: 'en', 'es' or 'auto' to let Deepgram detect it (the organization's Deepgram
+    // language, or English, by default). A different language replaces the organization's one.
+    const language = languages.normalizeLanguage(req.body.language || deepgramSettings.language || languages.DEFAULT_LANGUAGE);
+    if (deepgramSettings.language && languages.normalizeLanguage(deepgramSettings.language) !== language) {
+      deepgramSettings.language = null;
+    }
+    // Transcription provider for this upload ('deepgram', 'whisper', ...; TRANSCRIPTION_PROVIDER by default)
+    const transcriptionProvider = req.body.transcriptionProvider || undefined;
+    if (transcriptionProvider && !transcription.getProviderNames().includes(transcriptionProvider)) {
+      return res.status(400).json({ error: `Unknown transcription provider: ${transcriptionProvider}` });
+    }
+    const provider = transcription.getProvider(transcriptionProvider);
+    // Audio length reported by the browser, used for the processing time estimate
+    const durationSeconds = parseFloat(req.body.durationSeconds);
+    const estimatedSeconds = durationSeconds > 0 && typeof provider.estimateSeconds === 'function'
+      ? provider.estimateSeconds(durationSeconds)
+      : null;
+    // Person names: pseudonymized in the transcript by default, beeped in the audio on request
+    const nameOptions = {
+      enabled: req.body.detectNames !== 'false',
+      pseudonymize: req.body.pseudonymizeNames !== 'false',
+      beep: req.body.beepNames === 'true'
+    };
     
     addLog(LOG_LEVELS.INFO, 'system', 'Redaction options received', {
       redactionMethod,
@@ -735,6 +1678,8 @@ app.post('/api/upload', upload.single('audio'), async (req, res) => {
       status: 'processing',
       stage: 'starting',
       originalFileName,
+      provider: provider.name,
+      estimatedSeconds,
       createdAt: new Date()
     });
     
@@ -743,13 +1688,30 @@ app.post('/api/upload', upload.single('audio'), async (req, res) => {
       success: true,
       jobId: jobId,
       message: 'File uploaded successfully. Processing started.',
-      status: 'processing'
+      status: 'processing',
+      provider: provider.name,
+      estimatedSeconds
     });
     // Process in background
     const options = {
       redactionMethod,
       beepVolume,
-      audioVolume
+      audioVolume,
+      unvalidatedActions,
+      contextWindows: contextWindowOptions,
+      names: nameOptions,
+      actions,
+      thresholds,
+      speakers: speakerOptions,
+      multichannel,
+      agentChannel,
+      paymentSegments: paymentSegmentOptions,
+      timing,
+      language,
+      masking,
+      provider: provider.name,
+      organization,
+      deepgram: deepgramSettings
     };
     
     // Start processing in the background
@@ -779,7 +1741,12 @@ app.get('/api/status/:jobId', (req, res) => {
     status: jobInfo.status,
     stage: jobInfo.stage || '',
     originalFileName: jobInfo.originalFileName,
+    provider: jobInfo.provider,
+    estimatedSeconds: jobInfo.estimatedSeconds,
     createdAt: jobInfo.createdAt,
+    progress: jobInfo.progress
+      ? { total: jobInfo.progress.total, done: jobInfo.progress.done, recordings: jobInfo.progress.results }
+      : undefined,
     result: jobInfo.result,
     error: jobInfo.error
   });
@@ -820,11 +1787,33 @@ app.get('/api/calls/:id', async (req, res) => {
     
     if (recording) {
       addLog(LOG_LEVELS.INFO, 'api', `Found recording: ${recording.original_filename}`);
+      const detections = await db.getRecordingDetections(recording.id);
+      const transcriptMetadata = await db.getTranscriptMetadata(recording.id);
+      const versions = await db.getRecordingVersions(recording.id);
       res.json({
         id: recording.id,
         originalFileName: recording.original_filename,
         uploadDate: recording.upload_date,
-        sensitiveInfoCount: recording.sensitive_info_count
+        sensitiveInfoCount: recording.sensitive_info_count,
+        settings: recording.processing_options,
+        versions: versions.map(version => ({
+          version: version.version,
+          source: version.source,
+          sensitiveInfoCount: version.sensitive_info_count,
+          createdAt: version.created_at
+        })),
+        detections: detections.map(detection => ({
+          version: detection.version,
+          type: detection.type,
+          start: detection.start_time,
+          end: detection.end_time,
+          action: detection.action,
+          status: detection.status,
+          confidence: detection.confidence,
+          validated: detection.validated,
+          reason: detection.reason
+        })),
+        transcriptMetadata
       });
     } else {
       addLog(LOG_LEVELS.WARNING, 'api', `Recording not found with ID: ${req.params.id}`);
@@ -840,6 +1829,97 @@ app.get('/api/calls/:id', async (req, res) => {
   }
 });
 
+// Get the redacted word-level transcript of a recording
+app.get('/api/calls/:id/transcript.json', async (req, res) => {
+  addLog(LOG_LEVELS.INFO, 'api', `=== API REQUEST: GET WORD TRANSCRIPT (ID: ${req.params.id}) ===`);
+  
+  try {
+    const recording = await db.getRecordingById(req.params.id);
+    const wordTranscript = recording ? await db.getWordTranscript(recording.id) : null;
+    
+    if (wordTranscript) {
+      res.json({
+        id: recording.id,
+        originalFileName: recording.original_filename,
+        ...wordTranscript
+      });
+    } else {
+      addLog(LOG_LEVELS.WARNING, 'api', `Word transcript not found for ID: ${req.params.id}`);
+      res.status(404).json({ error: recording ? 'Word transcript not found' : 'Recording not found' });
+    }
+  } catch (error) {
+    addLog(LOG_LEVELS.ERROR, 'api', 'Error retrieving word transcript', {
+      error: error.message,
+      stack: error.stack
+    });
+    
+    res.status(500).json({ error: 'Error retrieving word transcript' });
+  }
+});
+
+// Reprocess recordings in bulk: { "ids": [1, 2] } or an upload date range { "from": "2026-01-01", "to": "2026-02-01" }
+app.post('/api/calls/reprocess', express.json(), async (req, res) => {
+  addLog(LOG_LEVELS.INFO, 'api', '=== API REQUEST: REPROCESS RECORDINGS ===');
+  
+  const body = req.body || {};
+  let recordingIds;
+  
+  try {
+    if (Array.isArray(body.ids)) {
+      recordingIds = Array.from(new Set(body.ids.map(id => parseInt(id, 10))));
+      if (recordingIds.length === 0 || recordingIds.some(id => !(id > 0))) {
+        return res.status(400).json({ error: 'ids must be a list of recording IDs' });
+      }
+    } else if (body.from || body.to) {
+      const invalid = ['from', 'to'].find(key => body[key] && isNaN(Date.parse(body[key])));
+      if (invalid) {
+        return res.status(400).json({ error: `Invalid date for ${invalid}: ${body[invalid]}` });
+      }
+      recordingIds = await db.getRecordingIdsByDate({ from: body.from, to: body.to });
+    } else {
+      return res.status(400).json({ error: 'Provide ids or a from/to date range' });
+    }
+    
+    addLog(LOG_LEVELS.INFO, 'api', `Reprocessing ${recordingIds.length} recordings`, {
+      count: recordingIds.length
+    });
+    res.json({ ...startReprocessJob(recordingIds), recordingIds });
+  } catch (error) {
+    addLog(LOG_LEVELS.ERROR, 'api', 'Error starting reprocessing', {
+      error: error.message,
+      stack: error.stack
+    });
+    
+    res.status(500).json({ error: 'Error starting reprocessing' });
+  }
+});
+
+// Reprocess one recording from its stored word-level transcript
+app.post('/api/calls/:id/reprocess', async (req, res) => {
+  addLog(LOG_LEVELS.INFO, 'api', `=== API REQUEST: REPROCESS RECORDING (ID: ${req.params.id}) ===`);
+  
+  try {
+    const recording = await db.getRecordingById(req.params.id);
+    
+    if (!recording) {
+      addLog(LOG_LEVELS.WARNING, 'api', `Recording not found with ID: ${req.params.id}`);
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    if (reprocessingRecordings.has(String(recording.id))) {
+      return res.status(409).json({ error: 'Recording is already being reprocessed' });
+    }
+    
+    res.json(startReprocessJob([recording.id], recording.original_filename));
+  } catch (error) {
+    addLog(LOG_LEVELS.ERROR, 'api', 'Error starting reprocessing', {
+      error: error.message,
+      stack: error.stack
+    });
+    
+    res.status(500).json({ error: 'Error starting reprocessing' });
+  }
+});
+
 // Download original audio
 app.get('/api/download/original/:id', async (req, res) => {
   addLog(LOG_LEVELS.INFO, 'api', `=== API REQUEST: DOWNLOAD ORIGINAL AUDIO (ID: ${req.params.id}) ===`);
@@ -871,18 +1951,26 @@ app.get('/api/download/original/:id', async (req, res) => {
 app.get('/api/download/redacted/:id', async (req, res) => {
   addLog(LOG_LEVELS.INFO, 'api', `=== API REQUEST: DOWNLOAD REDACTED AUDIO (ID: ${req.params.id}) ===`);
   
+  let version;
+  try {
+    version = parseVersion(req.query.version);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
   try {
     const recording = await db.getRecordingById(req.params.id);
+    const audio = recording ? await db.getRedactedAudio(recording.id, version) : null;
     
-    if (recording && recording.redacted_audio_data) {
-      addLog(LOG_LEVELS.INFO, 'api', `Sending redacted audio file: ${recording.original_filename}`);
+    if (audio) {
+      addLog(LOG_LEVELS.INFO, 'api', `Sending redacted audio file: ${recording.original_filename} (version ${audio.version})`);
       
-      res.set('Content-Type', recording.redacted_content_type || 'audio/mpeg');
+      res.set('Content-Type', audio.content_type || 'audio/mpeg');
       res.set('Content-Disposition', `attachment; filename="redacted_${recording.original_filename}"`);
-      res.send(recording.redacted_audio_data);
+      res.send(Buffer.from(audio.data, 'base64'));
     } else {
-      addLog(LOG_LEVELS.WARNING, 'api', `Redacted audio not found for ID: ${req.params.id}`);
-      res.status(404).json({ error: 'Redacted audio not found' });
+      addLog(LOG_LEVELS.WARNING, 'api', `Redacted audio not found for ID: ${req.params.id}`, { status: version ? `version ${version}` : 'latest' });
+      res.status(404).json({ error: version ? `Redacted audio version ${version} not found` : 'Redacted audio not found' });
     }
   } catch (error) {
     addLog(LOG_LEVELS.ERROR, 'api', 'Error retrieving redacted audio', {
@@ -898,20 +1986,28 @@ app.get('/api/download/redacted/:id', async (req, res) => {
 app.get('/api/download/transcript/:id', async (req, res) => {
   addLog(LOG_LEVELS.INFO, 'api', `=== API REQUEST: DOWNLOAD TRANSCRIPT (ID: ${req.params.id}) ===`);
   
+  let version;
+  try {
+    version = parseVersion(req.query.version);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
   try {
     const recording = await db.getRecordingById(req.params.id);
+    const transcript = recording ? await db.getRedactedTranscript(recording.id, version) : null;
     
-    if (recording && recording.redacted_transcript) {
+    if (transcript !== null) {
       addLog(LOG_LEVELS.INFO, 'api', `Sending transcript for: ${recording.original_filename}`);
       
       const fileName = `transcript_${path.basename(recording.original_filename, path.extname(recording.original_filename))}.txt`;
       
       res.set('Content-Type', 'text/plain');
       res.set('Content-Disposition', `attachment; filename="${fileName}"`);
-      res.send(recording.redacted_transcript);
+      res.send(transcript);
     } else {
-      addLog(LOG_LEVELS.WARNING, 'api', `Transcript not found for ID: ${req.params.id}`);
-      res.status(404).json({ error: 'Transcript not found' });
+      addLog(LOG_LEVELS.WARNING, 'api', `Transcript not found for ID: ${req.params.id}`, { status: version ? `version ${version}` : 'latest' });
+      res.status(404).json({ error: version ? `Transcript version ${version} not found` : 'Transcript not found' });
     }
   } catch (error) {
     addLog(LOG_LEVELS.ERROR, 'api', 'Error retrieving transcript', {
@@ -929,10 +2025,19 @@ app.get('/api/logs', (req, res) => {
 });
 
 // Start server
-app.listen(port, () => {
+const server = app.listen(port, () => {
   addLog(LOG_LEVELS.INFO, 'system', '=== AUDIO REDACTION SERVER STARTED ===');
   addLog(LOG_LEVELS.INFO, 'system', `Server running on port ${port}`);
   addLog(LOG_LEVELS.INFO, 'system', `Server time: ${new Date().toISOString()}`);
   addLog(LOG_LEVELS.INFO, 'system', 'API endpoints available');
+  
+  // Expired vault entries are deleted at startup and then every hour
+  if (vault.isConfigured()) {
+    purgeExpiredVaultEntries();
+    setInterval(purgeExpiredVaultEntries, 60 * 60 * 1000).unref();
+  }
   addLog(LOG_LEVELS.SUCCESS, 'system', '=== SERVER READY ===');
 });
+
+// The app and its listening server, for the route tests (PORT=0 picks a free port)
+module.exports = { app, server };
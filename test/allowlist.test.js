@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const allowlist = require('../redaction/allowlist');
+
+const withAllowlistFile = (contents, run) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'allowlist-'));
+  const file = path.join(dir, 'allowlist.json');
+  const saved = process.env.ALLOWLIST_PATH;
+  if (contents !== undefined) fs.writeFileSync(file, contents);
+  process.env.ALLOWLIST_PATH = file;
+
+  try {
+    run(file);
+  } finally {
+    if (saved === undefined) delete process.env.ALLOWLIST_PATH;
+    else process.env.ALLOWLIST_PATH = saved;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+test('value entries ignore case, punctuation and a leading 1 on phone numbers', () => {
+  const entries = [{ id: 'a', kind: 'value', value: '1-800-555-0100', types: [] }];
+
+  assert.equal(allowlist.findEntry('8005550100', 'phoneNumber', entries).id, 'a');
+  assert.equal(allowlist.findEntry('(800) 555-0100.', 'phoneNumber', entries).id, 'a');
+  assert.equal(allowlist.findEntry('8005550101', 'phoneNumber', entries), null);
+});
+
+test('pattern entries match the whole value and types limit an entry', () => {
+  const entries = [{ id: 'p', kind: 'pattern', value: '800555\\d{4}', types: ['phoneNumber'] }];
+
+  assert.equal(allowlist.findEntry('800 555 0199', 'phoneNumber', entries).id, 'p');
+  assert.equal(allowlist.findEntry('800 555 0199', 'bankAccount', entries), null);
+  assert.equal(allowlist.findEntry('1800 555 0199 9', 'phoneNumber', entries), null);
+});
+
+test('normalizeEntry rejects incomplete entries and patterns that do not compile', () => {
+  assert.throws(() => allowlist.normalizeEntry({ value: '' }), /value is required/);
+  assert.throws(() => allowlist.normalizeEntry({ kind: 'range', value: '1' }), /kind must be one of/);
+  assert.throws(() => allowlist.normalizeEntry({ kind: 'pattern', value: '(' }), SyntaxError);
+});
+
+test('entries are added to and removed from the stored allowlist', () => {
+  withAllowlistFile(undefined, () => {
+    assert.deepEqual(allowlist.loadAllowlist(), { entries: [], error: null });
+
+    const entry = allowlist.addEntry({ value: '1-800-555-0100', note: 'Main line' });
+    assert.deepEqual(allowlist.loadAllowlist().entries.map(e => e.id), [entry.id]);
+
+    assert.equal(allowlist.removeEntry('missing'), false);
+    assert.equal(allowlist.removeEntry(entry.id), true);
+    assert.deepEqual(allowlist.loadAllowlist().entries, []);
+  });
+});
+
+test('a file that cannot be read is reported to the caller and never overwritten', () => {
+  withAllowlistFile('{ not json', file => {
+    const { entries, error } = allowlist.loadAllowlist();
+    assert.deepEqual(entries, []);
+    assert.match(error, /JSON/);
+
+    assert.throws(() => allowlist.addEntry({ value: '8005550100' }), /could not be read/);
+    assert.throws(() => allowlist.removeEntry('a'), /could not be read/);
+    assert.equal(fs.readFileSync(file, 'utf8'), '{ not json');
+  });
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const audioProcessor = require('../audio-processor-fix');
+
+const config = { audioVolume: 1, beepVolume: 0.5, redactionMethod: 'beep' };
+
+// Filter chains ending in the given label
+const chainFor = (filter, label) => filter.split(';').find(chain => chain.endsWith(`[${label}]`));
+
+test('each section is muted and beeped only on its own channel', () => {
+  const filter = audioProcessor.buildChannelFilter([{ start: 1, end: 2, channel: 1 }], config);
+
+  assert.equal(chainFor(filter, 'out0'), '[ch0]anull[out0]');
+  assert.equal(chainFor(filter, 'main1'), "[ch1]volume=enable='between(t,1,2)':volume=0,anull[main1]");
+  assert.equal(chainFor(filter, 'beep1'), "aevalsrc='0.5*sin(1000*2*PI*t)*(between(t,1,2))':d=2:s=44100:c=mono[beep1]");
+  assert.ok(filter.endsWith('[out0][out1]join=inputs=2:channel_layout=stereo'));
+});
+
+test('beeps are mixed in without lowering the call level', () => {
+  const filter = audioProcessor.buildChannelFilter([{ start: 1, end: 2, channel: 0 }, { start: 3, end: 4, channel: 1 }], config);
+
+  assert.equal(chainFor(filter, 'out0'), '[main0][beep0]amix=inputs=2:duration=longest:normalize=0[out0]');
+  assert.equal(chainFor(filter, 'out1'), '[main1][beep1]amix=inputs=2:duration=longest:normalize=0[out1]');
+});
+
+test('a call without beeps is not mixed at all', () => {
+  const filter = audioProcessor.buildChannelFilter([], config);
+
+  assert.doesNotMatch(filter, /amix|aevalsrc/);
+  assert.equal(chainFor(filter, 'out1'), '[ch1]anull[out1]');
+});
+
+test('sections without a channel and muted sections are only muted, on both channels', () => {
+  const filter = audioProcessor.buildChannelFilter([{ start: 5, end: 6 }, { start: 7, end: 8, channel: 0, action: 'mute' }], config);
+
+  assert.match(chainFor(filter, 'main0'), /between\(t,5,6\).*between\(t,7,8\)/);
+  assert.equal(chainFor(filter, 'beep0'), "aevalsrc='0.5*sin(1000*2*PI*t)*(between(t,5,6))':d=6:s=44100:c=mono[beep0]");
+  assert.equal(chainFor(filter, 'main1'), "[ch1]volume=enable='between(t,5,6)':volume=0,anull[main1]");
+  assert.doesNotMatch(audioProcessor.buildChannelFilter([{ start: 5, end: 6 }], { ...config, redactionMethod: 'mute' }), /amix/);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const confidence = require('../redaction/confidence');
+const validators = require('../redaction/validators');
+const detectorRegistry = require('../redaction/detector-registry');
+
+const { toWords: wordsOf } = require('./helpers/words');
+
+const toWords = (text, confidence) => wordsOf(text, { confidence });
+
+const scoreOf = (words, startIndex, type, validation) =>
+  confidence.scoreMatch(words, { type, startIndex, endIndex: startIndex, ...validation });
+
+test('a passed checksum scores higher than none, which scores higher than a failed one', () => {
+  const words = toWords('it is 4111111111111111', 0.8);
+  const passed = scoreOf(words, 2, 'creditCard', { validated: true }).score;
+  const none = scoreOf(words, 2, 'creditCard', { validated: null }).score;
+  const failed = scoreOf(words, 2, 'creditCard', { validated: false }).score;
+  assert.deepEqual([passed, none, failed], [0.7, 0.58, 0.4]);
+});
+
+test('a keyword before the value adds the context signal', () => {
+  const result = scoreOf(toWords('my card number is 4111111111111111', 0.8), 4, 'creditCard', { validated: true });
+  assert.equal(result.context, true);
+  assert.equal(result.score, 0.9);
+});
+
+test('the lowest word confidence in the match wins', () => {
+  const words = toWords('one two three', 0.9);
+  words[1].confidence = 0.3;
+  assert.equal(confidence.scoreMatch(words, { type: 'ssn', startIndex: 0, endIndex: 2 }).words, 0.3);
+});
+
+test('bank accounts have no checksum and get the neutral score', () => {
+  const validation = validators.validateMatch('bankAccount', '123456789012');
+  assert.equal(validation.validated, null);
+
+  const result = scoreOf(toWords('the number 123456789012 ok', 0.75), 2, 'bankAccount', validation);
+  assert.equal(result.context, false);
+  assert.equal(result.score, 0.55);
+  assert.equal(confidence.decide(result.score, confidence.resolveThresholds('bankAccount')), 'redact');
+});
+
+test('a 12-digit bank account at word confidence 0.75 with no keyword is redacted', () => {
+  const { matches, flagged } = detectorRegistry.findMatches(toWords('the number 123456789012 ok', 0.75), {});
+  assert.deepEqual(matches.map(match => [match.type, match.confidence, match.validated]), [['bankAccount', 0.55, null]]);
+  assert.equal(flagged.length, 0);
+});
+
+test('a card that fails its checksum is redacted whatever its score unless unvalidatedActions says otherwise', () => {
+  const words = toWords('it is 4111 1111 1111 1112 ok', 0.7);
+
+  const redacted = detectorRegistry.findMatches(words, {});
+  assert.deepEqual(redacted.matches.map(match => [match.type, match.validated]), [['creditCard', false]]);
+  assert.ok(redacted.matches[0].confidence < confidence.DEFAULT_THRESHOLDS.redact);
+  assert.equal(redacted.flagged.length, 0);
+
+  const flagged = detectorRegistry.findMatches(words, { unvalidatedActions: { creditCard: 'flag' } });
+  assert.deepEqual(flagged.flagged.map(match => match.type), ['creditCard']);
+  assert.equal(flagged.matches.length, 0);
+
+  const ignored = detectorRegistry.findMatches(words, { unvalidatedActions: { creditCard: 'ignore' } });
+  assert.ok(!ignored.matches.concat(ignored.flagged).some(match => match.type === 'creditCard'));
+});
+
+test('thresholds resolve per type over the default and keep flag at or below redact', () => {
+  const thresholds = { default: { redact: 0.5 }, ssn: { redact: 0.3, flag: 0.6 } };
+  assert.deepEqual(confidence.resolveThresholds('creditCard', thresholds), { redact: 0.5, flag: 0.2 });
+  assert.deepEqual(confidence.resolveThresholds('ssn', thresholds), { redact: 0.3, flag: 0.3 });
+  assert.deepEqual(confidence.resolveThresholds('ssn', { ssn: { redact: 'x' } }), confidence.DEFAULT_THRESHOLDS);
+});
+
+test('decide maps scores onto redact, flag and ignore', () => {
+  const thresholds = { redact: 0.4, flag: 0.2 };
+  assert.equal(confidence.decide(0.4, thresholds), 'redact');
+  assert.equal(confidence.decide(0.39, thresholds), 'flag');
+  assert.equal(confidence.decide(0.1, thresholds), 'ignore');
+});
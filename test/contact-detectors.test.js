@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const contactDetectors = require('../redaction/contact-detectors');
+const { normalizedWords } = require('./helpers/words');
+
+const redact = text => contactDetectors.redactText(text);
+
+test('email addresses are found formatted or spoken', () => {
+  assert.equal(redact('email me at john.smith@gmail.com thanks'), 'email me at [REDACTED EMAIL ADDRESS] thanks');
+  assert.equal(redact('it is john dot smith at gmail dot com okay'), 'it is [REDACTED EMAIL ADDRESS] okay');
+  assert.equal(redact('I am at home'), 'I am at home');
+});
+
+test('street addresses need a house number', () => {
+  assert.equal(redact('I live at 123 Main Street Springfield'), 'I live at [REDACTED ADDRESS] Springfield');
+  assert.equal(redact('we met at the main street cafe'), 'we met at the main street cafe');
+});
+
+test('a spoken address runs through unit, city, state and ZIP code', () => {
+  assert.equal(redact('one twenty three Main Street apartment four, Springfield, Illinois, six two seven oh one'), '[REDACTED ADDRESS]');
+  assert.equal(redact('the zip code is 62704'), 'the zip code is [REDACTED ZIP CODE]');
+});
+
+test('matches map back to word indices', () => {
+  const matches = contactDetectors.findWordMatches(normalizedWords('I live at 123 Main Street Springfield'));
+  assert.deepEqual(matches.map(match => [match.type, match.startIndex, match.endIndex]), [['streetAddress', 3, 5]]);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const contextWindows = require('../redaction/context-windows');
+const { normalizedWords } = require('./helpers/words');
+
+const windowsIn = (text, options) => {
+  const words = normalizedWords(text);
+  return contextWindows.findContextWindows(words, options).map(window => ({
+    type: window.type,
+    value: words.slice(window.startIndex, window.endIndex + 1).map(w => w.word).join(' '),
+    complete: window.complete
+  }));
+};
+
+test('a digit window stays open until the expected digits are spoken', () => {
+  assert.deepEqual(windowsIn('my social is 123 45 6789 thanks'), [{ type: 'ssn', value: '123 45 6789', complete: true }]);
+  assert.deepEqual(windowsIn('card number is 4111 1111 1111 1111 great'), [{ type: 'creditCard', value: '4111 1111 1111 1111', complete: true }]);
+});
+
+test('a trigger without a value opens no window', () => {
+  assert.deepEqual(windowsIn('my social is'), []);
+  assert.deepEqual(windowsIn('my social is', { enabled: false }), []);
+});
+
+test('a window closes once its timeout has passed', () => {
+  assert.deepEqual(windowsIn('my social is and then we talked 123 45 6789', { timeoutSeconds: 3 }), []);
+});
+
+test('token windows skip filler words and hesitation phrases', () => {
+  assert.deepEqual(windowsIn('my password is um let me think bluebird'), [{ type: 'password', value: 'bluebird', complete: false }]);
+  assert.deepEqual(windowsIn('mi clave es a ver azul verde'), [{ type: 'password', value: 'azul verde', complete: true }]);
+});
+
+test('the next trigger phrase ends a window before its first word', () => {
+  assert.deepEqual(windowsIn('my password is blue date of birth is March 3 1990 thanks'), [
+    { type: 'password', value: 'blue', complete: false },
+    { type: 'dateOfBirth', value: 'march 3 1990', complete: true }
+  ]);
+});
+
+test('Spanish triggers open windows with Spanish number words', () => {
+  const words = normalizedWords('mi número de tarjeta es cuarenta y uno once uno uno uno uno uno uno uno uno uno uno uno uno gracias', {}, { language: 'es' });
+  const windows = contextWindows.findContextWindows(words);
+
+  assert.deepEqual(windows.map(window => [window.type, window.complete]), [['creditCard', true]]);
+  assert.equal(words.slice(windows[0].startIndex, windows[0].endIndex + 1).map(w => w.word).join(''), '4111111111111111');
+});
+
+test('a window stops at a value an earlier version redacted', () => {
+  const reprocessed = (text, redactedIndex) => {
+    const words = normalizedWords(text);
+    words[redactedIndex] = { ...words[redactedIndex], redacted: true };
+    return contextWindows.findContextWindows(words).map(window => words.slice(window.startIndex, window.endIndex + 1).map(w => w.word).join(' '));
+  };
+
+  assert.deepEqual(reprocessed('my password is [redacted_password] thanks so much', 3), []);
+  assert.deepEqual(reprocessed('my social is [redacted_ssn] and my zip is 90210', 3), []);
+  assert.deepEqual(reprocessed('card number is 4111 [redacted_card] 1111 1111 1111', 4), ['4111']);
+});
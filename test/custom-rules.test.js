@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const customRules = require('../redaction/custom-rules');
+const { normalizedWords } = require('./helpers/words');
+
+test('normalizeRule fills defaults and reads database columns', () => {
+  const rule = customRules.normalizeRule({ name: 'Claim', pattern: 'clm\\d{6}', padding_before_ms: 9000, follow_words: '3' });
+
+  assert.equal(rule.kind, 'regex');
+  assert.equal(rule.type, 'customRule');
+  assert.equal(rule.label, 'CLAIM');
+  assert.equal(rule.action, 'beep');
+  assert.equal(rule.paddingBeforeMs, 5000);
+  assert.equal(rule.followWords, 3);
+  assert.equal(rule.enabled, true);
+});
+
+test('normalizeRule rejects incomplete rules and patterns that do not compile', () => {
+  assert.throws(() => customRules.normalizeRule({ pattern: 'x' }), /name is required/);
+  assert.throws(() => customRules.normalizeRule({ name: 'x', pattern: 'x', action: 'shout' }), /action must be one of/);
+  assert.throws(() => customRules.normalizeRule({ name: 'x', pattern: '(' }), SyntaxError);
+});
+
+test('findRuleMatches pads timed matches and skips disabled and broken rules', () => {
+  const rules = [
+    { id: 3, name: 'Claim', pattern: 'clm\\d{6}', padding_before_ms: 500, padding_after_ms: 250 },
+    { id: 4, name: 'Off', pattern: 'clm', enabled: false },
+    { id: 5, name: 'Broken', pattern: '(' }
+  ];
+  const matches = customRules.findRuleMatches(normalizedWords('claim clm123456 ok'), rules, { timed: true });
+
+  assert.deepEqual(matches.map(match => [match.ruleId, match.startIndex, match.start, match.end]), [[3, 1, 0.5, 1.75]]);
+});
+
+test('testRule shows the matches and the redacted sample', () => {
+  assert.deepEqual(customRules.testRule({ name: 'Claim', pattern: 'CLM-?\\d{6}' }, 'the claim is CLM-123456.'), {
+    matches: ['CLM-123456'],
+    redactedText: 'the claim is [REDACTED CLAIM].'
+  });
+  assert.equal(
+    customRules.testRule({ name: 'Secret', kind: 'keyword', pattern: 'secret word, code phrase', followWords: 1 }, 'the code phrase bluebird today').redactedText,
+    'the [REDACTED SECRET] today'
+  );
+});
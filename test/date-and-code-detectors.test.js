@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dateAndCodeDetectors = require('../redaction/date-and-code-detectors');
+const { normalizedWords } = require('./helpers/words');
+
+const redact = text => dateAndCodeDetectors.redactText(text);
+
+test('security codes are taken from the words after a security code keyword', () => {
+  assert.equal(redact('the cvv is 123 ok'), 'the cvv is [REDACTED SECURITY CODE] ok');
+  assert.equal(redact('the security code on the back is 4321'), 'the security code on the back is [REDACTED SECURITY CODE]');
+  assert.equal(redact('I have 123 apples'), 'I have 123 apples');
+});
+
+test('expiration dates are found by shape or after an expiration keyword', () => {
+  assert.equal(redact('it expires 05/27'), 'it expires [REDACTED EXPIRATION DATE]');
+  assert.equal(redact('expiration oh five twenty seven'), 'expiration [REDACTED EXPIRATION DATE]');
+  assert.equal(redact('valid thru march 2029'), 'valid thru [REDACTED EXPIRATION DATE]');
+});
+
+test('dates count as dates of birth after a birth keyword or with an adult\'s birth year', () => {
+  assert.equal(redact('I was born on March 3rd 1985 ok'), 'I was born on [REDACTED DATE OF BIRTH] ok');
+  assert.equal(redact('my date of birth is 03/15/1990'), 'my date of birth is [REDACTED DATE OF BIRTH]');
+  assert.equal(redact('the meeting is on 03/15/2024'), 'the meeting is on 03/15/2024');
+  assert.equal(redact('call me on june 5th 2025'), 'call me on june 5th 2025');
+});
+
+test('spoken codes map back to their words', () => {
+  const matches = dateAndCodeDetectors.findWordMatches(normalizedWords('the cvv is one two three'));
+  assert.deepEqual(matches.map(match => [match.type, match.startIndex, match.endIndex]), [['securityCode', 3, 3]]);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const deepgramOptions = require('../transcription/deepgram-options');
+const deepgram = require('../transcription/deepgram');
+
+const withSettings = (settings, run) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deepgram-options-'));
+  const file = path.join(dir, 'deepgram-options.json');
+  fs.writeFileSync(file, JSON.stringify(settings));
+
+  try {
+    run(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+const settings = {
+  default: { model: 'nova-2', numerals: true },
+  organizations: {
+    'acme-health': { keyterms: ['Humana', 'Medicare Advantage'], redact: ['pci'] }
+  }
+};
+
+test('upload options win over the organization, which wins over the default', () => {
+  withSettings(settings, file => {
+    assert.deepEqual(deepgramOptions.resolveOptions({}, 'acme-health', file), {
+      model: 'nova-2', language: null, keyterms: ['Humana', 'Medicare Advantage'], numerals: true, redact: ['pci']
+    });
+    assert.deepEqual(deepgramOptions.resolveOptions({ model: 'nova-3', keyterms: 'Aetna, Aetna', redact: 'PCI,ssn', numerals: 'false' }, 'acme-health', file), {
+      model: 'nova-3', language: null, keyterms: ['Aetna'], numerals: false, redact: ['pci', 'ssn']
+    });
+    assert.deepEqual(deepgramOptions.resolveOptions({}, undefined, path.join(path.dirname(file), 'missing.json')), {
+      model: deepgramOptions.DEFAULT_MODEL, language: null, keyterms: [], numerals: false, redact: []
+    });
+  });
+});
+
+test('unknown organizations and invalid values are errors', () => {
+  withSettings(settings, file => {
+    assert.throws(() => deepgramOptions.resolveOptions({}, 'globex', file), /Unknown organization: globex/);
+    assert.throws(() => deepgramOptions.resolveOptions({ model: 'nova 3; drop' }, undefined, file), /Invalid Deepgram model/);
+    assert.throws(() => deepgramOptions.resolveOptions({ language: 'english!' }, undefined, file), /Invalid Deepgram language/);
+    assert.throws(() => deepgramOptions.resolveOptions({ redact: 'pci,names' }, undefined, file), /Unknown Deepgram redaction feature: names/);
+  });
+});
+
+test('the request sends key terms as keyterm for Nova-3 and keywords for older models', () => {
+  const params = url => new URL(url).searchParams;
+
+  const nova3 = params(deepgram.requestUrl({ language: 'es', deepgram: { model: 'nova-3', keyterms: ['Humana'], numerals: true } }, ['pci']));
+  assert.deepEqual(nova3.getAll('keyterm'), ['Humana']);
+  assert.equal(nova3.get('language'), 'es');
+  assert.equal(nova3.get('numerals'), 'true');
+  assert.deepEqual(nova3.getAll('redact'), ['pci']);
+
+  const nova2 = params(deepgram.requestUrl({ language: 'auto', deepgram: { model: 'nova-2', language: 'es-419', keyterms: ['Humana'] } }));
+  assert.deepEqual(nova2.getAll('keywords'), ['Humana']);
+  assert.equal(nova2.get('language'), 'es-419');
+  assert.equal(nova2.get('detect_language'), null);
+});
+
+test('words Deepgram redacted become ranges per feature', () => {
+  const words = ['my', '[SSN]', '[SSN]', 'and', '[PCI]'].map((word, index) => ({ word, start: index, end: index + 0.5, index }));
+
+  assert.deepEqual(deepgram.findRedactions(words, ['pci', 'ssn']), [
+    { start: 1, end: 2.5, feature: 'ssn' },
+    { start: 4, end: 4.5, feature: 'pci' }
+  ]);
+});
@@ -0,0 +1,40 @@
+/**
+ * Transcript word builders shared by the unit tests
+ */
+
+const numberNormalizer = require('../../redaction/number-normalizer');
+
+/**
+ * Build transcript words from space-separated text, one word a second.
+ * Like the transcription providers, `word` is lower case without trailing
+ * punctuation and `punctuated_word` is the word as written.
+ * @param {string} text - Transcript text ("My name is John Smith.")
+ * @param {Object} fields - Fields for every word ({ confidence, speaker, channel, ... })
+ * @returns {Array<Object>} - Words ({ word, punctuated_word, start, end, confidence })
+ */
+function toWords(text, fields = {}) {
+  return text.split(' ').map((punctuated, i) => ({
+    word: punctuated.toLowerCase().replace(/[.,;:!?]+$/, ''),
+    punctuated_word: punctuated,
+    start: i,
+    end: i + 0.5,
+    confidence: 0.9,
+    ...fields
+  }));
+}
+
+/**
+ * Build words as toWords does and normalize spoken numbers, as detection does
+ * @param {string} text - Transcript text
+ * @param {Object} fields - Fields for every word
+ * @param {Object} options - Normalizer options ({ language })
+ * @returns {Array<Object>} - Normalized words
+ */
+function normalizedWords(text, fields = {}, options = {}) {
+  return numberNormalizer.normalizeWords(toWords(text, fields), options);
+}
+
+module.exports = {
+  toWords,
+  normalizedWords
+};
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const insuranceIdDetectors = require('../redaction/insurance-id-detectors');
+const detectorRegistry = require('../redaction/detector-registry');
+const { normalizedWords } = require('./helpers/words');
+
+const { formats } = insuranceIdDetectors.loadMemberIdFormats(path.join(__dirname, '..', 'config', 'member-id-formats.json'));
+const redact = text => insuranceIdDetectors.redactText(text, { formats });
+
+test('isValidMbi applies the CMS character-position rules', () => {
+  assert.equal(insuranceIdDetectors.isValidMbi('1EG4-TE5-MK73'), true);
+  assert.equal(insuranceIdDetectors.isValidMbi('1EG4-TE5-MK7S'), false);
+  assert.equal(insuranceIdDetectors.isValidMbi('0EG4TE5MK73'), false);
+});
+
+test('MBIs are found as one token, spelled out or in the phonetic alphabet', () => {
+  assert.equal(redact('my medicare number is 1EG4-TE5-MK73 thanks'), 'my medicare number is [REDACTED MEDICARE ID] thanks');
+  assert.equal(redact('it is one e g four t e five m k seven three'), 'it is [REDACTED MEDICARE ID]');
+  assert.equal(redact('my medicare is one echo golf four tango echo five mike kilo seven three'), 'my medicare is [REDACTED MEDICARE ID]');
+});
+
+test('configured formats match only after one of their keywords', () => {
+  assert.equal(redact('my member id is ACM123456789 ok'), 'my member id is [REDACTED MEMBER ID] ok');
+  assert.equal(redact('the medicaid number is 12345678 ok'), 'the medicaid number is [REDACTED MEDICAID ID] ok');
+  assert.equal(redact('I have 12345678 apples'), 'I have 12345678 apples');
+});
+
+test('loadMemberIdFormats returns read errors instead of logging them', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'member-id-formats-'));
+  const broken = path.join(dir, 'formats.json');
+  fs.writeFileSync(broken, '{ not json');
+
+  try {
+    assert.deepEqual(insuranceIdDetectors.loadMemberIdFormats(path.join(dir, 'missing.json')), { formats: [], error: null });
+    const result = insuranceIdDetectors.loadMemberIdFormats(broken);
+    assert.deepEqual(result.formats, []);
+    assert.match(result.error, /JSON/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the registry uses the formats loaded for the job instead of reading the file', () => {
+  const saved = process.env.MEMBER_ID_FORMATS_PATH;
+  process.env.MEMBER_ID_FORMATS_PATH = path.join(os.tmpdir(), 'no-such-member-id-formats.json');
+
+  try {
+    const words = normalizedWords('my member id is ACM123456789 ok');
+    const withFormats = detectorRegistry.findMatches(words, { memberIdFormats: formats }).matches;
+    const withoutFormats = detectorRegistry.findMatches(words, {}).matches;
+
+    assert.ok(withFormats.some(match => match.type === 'memberId'));
+    assert.ok(!withoutFormats.some(match => match.type === 'memberId'));
+  } finally {
+    if (saved === undefined) delete process.env.MEMBER_ID_FORMATS_PATH;
+    else process.env.MEMBER_ID_FORMATS_PATH = saved;
+  }
+});
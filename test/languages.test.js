@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const languages = require('../redaction/languages');
+
+test('requested languages are reduced to a supported base language', () => {
+  assert.equal(languages.normalizeLanguage('es-US'), 'es');
+  assert.equal(languages.normalizeLanguage('ES'), 'es');
+  assert.equal(languages.normalizeLanguage('AUTO'), 'auto');
+  assert.equal(languages.normalizeLanguage('fr'), 'en');
+  assert.equal(languages.normalizeLanguage(undefined), 'en');
+});
+
+test('detected languages are only used when detection was requested', () => {
+  assert.equal(languages.resolveLanguage('auto', 'es-419'), 'es');
+  assert.equal(languages.resolveLanguage('auto', 'de'), 'en');
+  assert.equal(languages.resolveLanguage('auto', null), 'en');
+  assert.equal(languages.resolveLanguage('en', 'es'), 'en');
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const maskingStyles = require('../redaction/masking-styles');
+
+const card = { type: 'creditCard', label: 'CREDITCARD' };
+
+test('resolveStyles keeps known styles and always sets a default', () => {
+  assert.deepEqual(maskingStyles.resolveStyles({ creditCard: 'last4', ssn: 'shout' }), { default: 'full', creditCard: 'last4' });
+  assert.deepEqual(maskingStyles.resolveStyles(null), { default: 'full' });
+  assert.equal(maskingStyles.styleFor('ssn', { default: 'hash', creditCard: 'last4' }), 'hash');
+});
+
+test('full replacement leaves the label to the caller', () => {
+  assert.deepEqual(maskingStyles.maskValue('4111 1111 1111 1234', card, { default: 'full' }), { style: 'full', replacement: null });
+});
+
+test('last4 and first6last4 keep digits in the type\'s groups', () => {
+  const styles = maskingStyles.resolveStyles({ creditCard: 'last4', ssn: 'last4' });
+  assert.equal(maskingStyles.maskValue('4111 1111 1111 1234', card, styles).replacement, '****-****-****-1234');
+  assert.equal(maskingStyles.maskValue('123-45-6789', { type: 'ssn', label: 'SSN' }, styles).replacement, '***-**-6789');
+  assert.equal(maskingStyles.maskValue('4111111111111234', card, { creditCard: 'first6last4' }).replacement, '4111-11**-****-1234');
+});
+
+test('values too short to hide anything fall back to a shorter style', () => {
+  assert.equal(maskingStyles.maskValue('1234567890', card, { creditCard: 'first6last4' }).style, 'last4');
+  assert.deepEqual(maskingStyles.maskValue('1234', card, { creditCard: 'last4' }), { style: 'full', replacement: null });
+});
+
+test('hash tokens are keyed, stable and need a key', () => {
+  const styles = { creditCard: 'hash' };
+  const first = maskingStyles.maskValue('4111 1111 1111 1111', card, styles, { hashKey: 'k1' });
+  const again = maskingStyles.maskValue('4111-1111-1111-1111', card, styles, { hashKey: 'k1' });
+  const otherKey = maskingStyles.maskValue('4111 1111 1111 1111', card, styles, { hashKey: 'k2' });
+
+  assert.match(first.replacement, /^\[CREDITCARD [0-9a-f]{12}\]$/);
+  assert.equal(again.replacement, first.replacement);
+  assert.notEqual(otherKey.replacement, first.replacement);
+
+  const saved = process.env.MASKING_HASH_KEY;
+  delete process.env.MASKING_HASH_KEY;
+  assert.deepEqual(maskingStyles.maskValue('4111 1111 1111 1111', card, styles), { style: 'full', replacement: null });
+  if (saved !== undefined) process.env.MASKING_HASH_KEY = saved;
+});
+
+test('vault falls back to full replacement without a session', () => {
+  assert.deepEqual(maskingStyles.maskValue('123-45-6789', { type: 'ssn', label: 'SSN' }, { ssn: 'vault' }), { style: 'full', replacement: null });
+});
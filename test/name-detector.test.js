@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const nameDetector = require('../redaction/name-detector');
+
+const { toWords } = require('./helpers/words');
+
+const pseudonymsOf = text => {
+  const words = toWords(text);
+  return nameDetector.findNames(words).matches.map(match =>
+    `${words.slice(match.startIndex, match.endIndex + 1).map(w => w.word).join(' ')}=${match.pseudonym}`);
+};
+
+test('every mention of one person gets the same pseudonym', () => {
+  assert.deepEqual(pseudonymsOf('Hi my name is John Smith. Thanks John, and Mr. Smith too.'),
+    ['john smith=PERSON_1', 'john=PERSON_1', 'smith=PERSON_1']);
+});
+
+test('people who share a first name get different pseudonyms', () => {
+  const { people } = nameDetector.findNames(toWords('This is John Smith. My name is John Doe.'));
+  assert.deepEqual(people.map(person => `${person.pseudonym}:${person.name}`), ['PERSON_1:John Smith', 'PERSON_2:John Doe']);
+});
+
+test('a bare shared first name is the person mentioned last before it', () => {
+  assert.deepEqual(pseudonymsOf('This is John Smith. My name is John Doe. Okay John, thanks.'),
+    ['john smith=PERSON_1', 'john doe=PERSON_2', 'john=PERSON_2']);
+});
+
+test('a single-word name becomes the full name heard later', () => {
+  const { people } = nameDetector.findNames(toWords('Mr. Smith please. My name is John Smith.'));
+  assert.deepEqual(people.map(person => `${person.pseudonym}:${person.name}`), ['PERSON_1:John Smith']);
+});
+
+test('pseudonyms from an earlier pass are reused', () => {
+  const people = [{ pseudonym: 'PERSON_1', name: 'John Smith' }, { pseudonym: 'PERSON_2', name: 'John Doe' }];
+  const { matches } = nameDetector.findNames(toWords('My name is John Doe.'), { people });
+  assert.deepEqual(matches.map(match => match.pseudonym), ['PERSON_2']);
+});
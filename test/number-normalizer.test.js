@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const numberNormalizer = require('../redaction/number-normalizer');
+
+const { toWords } = require('./helpers/words');
+const normalize = (text, options) => numberNormalizer.normalizeWords(toWords(text), options).map(w => w.word).join(' ');
+
+test('digit-by-digit readings collapse into one token', () => {
+  assert.equal(normalize('my card is four one one one'), 'my card is 4111');
+});
+
+test('grouped readings, repeats and weak units', () => {
+  assert.equal(normalize('forty one eleven'), '4111');
+  assert.equal(normalize('double five oh seven'), '5507');
+  assert.equal(normalize('triple oh'), '000');
+});
+
+test('"oh" and "o" stay words away from other number words', () => {
+  assert.equal(normalize('oh I see'), 'oh i see');
+});
+
+test('scaled numbers', () => {
+  assert.equal(normalize('two thousand twenty four'), '2024');
+  assert.equal(normalize('five hundred twenty'), '520');
+});
+
+test('"and" inside a hundreds group joins the number', () => {
+  assert.equal(normalize('five hundred and twenty'), '520');
+  assert.equal(normalize('one hundred and one'), '101');
+  assert.equal(normalize('two thousand and five'), '2005');
+  assert.equal(normalize('nine hundred and ninety nine dollars'), '999 dollars');
+});
+
+test('"and" between separate numbers keeps them apart', () => {
+  assert.equal(normalize('four one one one and five five five five'), '4111 and 5555');
+  assert.equal(normalize('five hundred and then'), '500 and then');
+});
+
+test('prototype keys are not read as number words', () => {
+  ['constructor', 'toString', 'hasOwnProperty', '__proto__', 'valueOf'].forEach(word => {
+    assert.equal(normalize(`one ${word} two`), `1 ${word.toLowerCase()} 2`);
+  });
+  assert.equal(numberNormalizer.tokensToDigits(['constructor', 'tostring', 'one']), '1');
+});
+
+test('normalized tokens keep the timing and the lowest confidence of their words', () => {
+  const words = toWords('call four one one');
+  words[2].confidence = 0.4;
+  const [, number] = numberNormalizer.normalizeWords(words);
+  assert.deepEqual(
+    { word: number.word, start: number.start, end: number.end, confidence: number.confidence, sourceIndices: number.sourceIndices },
+    { word: '411', start: 1, end: 3.5, confidence: 0.4, sourceIndices: [1, 2, 3] }
+  );
+});
+
+test('Spanish number words', () => {
+  assert.equal(normalize('cuatro uno uno uno', { language: 'es' }), '4111');
+  assert.equal(normalize('cuarenta y uno once', { language: 'es' }), '4111');
+  assert.equal(normalize('dos mil veinticuatro', { language: 'es' }), '2024');
+  assert.equal(normalize('quinientos veinte', { language: 'es' }), '520');
+});
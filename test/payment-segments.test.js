@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const paymentSegments = require('../redaction/payment-segments');
+const textMatches = require('../redaction/text-matches');
+const { normalizedWords } = require('./helpers/words');
+
+const call = normalizedWords('okay can I get the card number please 4111 1111 1111 1111 thanks that has been processed have a nice day');
+
+const segmentsOf = (words, options) => paymentSegments.findSegments(words, { enabled: true, ...options });
+const redact = (words, options) => textMatches.redactWords(words, segmentsOf(words, options));
+
+test('a segment runs from the start cue through the end cue', () => {
+  const [segment] = segmentsOf(call);
+
+  assert.equal(segment.closedBy, 'cue');
+  assert.deepEqual([segment.start, segment.end], [5, 16.5]);
+  assert.equal(redact(call), 'okay can I get the [PAYMENT SEGMENT REDACTED] have a nice day');
+});
+
+test('without cues the transcript block covers the same words as the audio', () => {
+  const [segment] = segmentsOf(call, { includeCues: false });
+
+  assert.equal(call[segment.startIndex].word, 'please');
+  assert.ok(call[segment.startIndex].start >= segment.start);
+  assert.ok(call[segment.endIndex].start < segment.end);
+  assert.equal(redact(call, { includeCues: false }), 'okay can I get the card number [PAYMENT SEGMENT REDACTED] been processed have a nice day');
+});
+
+test('a segment closes some seconds after the last digit when no end cue is heard', () => {
+  const [segment] = segmentsOf(call, { trailingSeconds: 2 });
+
+  assert.equal(segment.closedBy, 'timeout');
+  assert.equal(segment.end, 13.5);
+  assert.equal(redact(call, { trailingSeconds: 2 }), 'okay can I get the [PAYMENT SEGMENT REDACTED] has been processed have a nice day');
+});
+
+test('a start cue without digits opens no segment', () => {
+  assert.deepEqual(segmentsOf(normalizedWords('the card number is on the back')), []);
+  assert.deepEqual(segmentsOf(normalizedWords('the card number'), { requireDigits: false, includeCues: false }), []);
+});
+
+test('segments are never longer than maxSeconds', () => {
+  const [segment] = segmentsOf(call, { maxSeconds: 4 });
+
+  assert.equal(segment.closedBy, 'maxLength');
+  assert.equal(segment.end, 9);
+  assert.equal(call[segment.endIndex].word, '4111');
+});
+
+test('Spanish cues open and close a segment, accents or not', () => {
+  const llamada = normalizedWords('me da el numero de tarjeta cuatro uno uno uno ya ha sido procesado gracias', {}, { language: 'es' });
+  const [segment] = segmentsOf(llamada);
+
+  assert.equal(segment.closedBy, 'cue');
+  assert.equal(redact(llamada), 'me da el [PAYMENT SEGMENT REDACTED] gracias');
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sectionTiming = require('../redaction/section-timing');
+
+test('a type\'s own padding wins over the given default and the built-in padding', () => {
+  const timing = sectionTiming.resolveTiming({ padding: { default: { beforeMs: 100 }, ssn: { afterMs: 50 } } });
+
+  assert.deepEqual(timing.padding.ssn, { beforeMs: 100, afterMs: 50 });
+  assert.deepEqual(timing.padding.creditCard, { beforeMs: 100, afterMs: 250 });
+  assert.deepEqual(timing.padding.default, { beforeMs: 100, afterMs: 250 });
+});
+
+test('timing values are whole milliseconds within limits', () => {
+  const timing = sectionTiming.resolveTiming({ padding: { ssn: { beforeMs: -5, afterMs: 999999 } }, minSectionMs: 'x', mergeGapMs: '200' });
+
+  assert.deepEqual(timing.padding.ssn, { beforeMs: 500, afterMs: 10000 });
+  assert.equal(timing.minSectionMs, sectionTiming.DEFAULT_TIMING.minSectionMs);
+  assert.equal(timing.mergeGapMs, 200);
+});
+
+test('sections are padded by type and never start before zero', () => {
+  const timing = sectionTiming.resolveTiming();
+
+  assert.deepEqual(sectionTiming.sectionRange({ type: 'ssn', start: 2, end: 4 }, timing), { start: 1.5, end: 4.5 });
+  assert.deepEqual(sectionTiming.sectionRange({ type: 'emailAddress', start: 2, end: 4 }, timing), { start: 1.75, end: 4.25 });
+  assert.deepEqual(sectionTiming.sectionRange({ type: 'ssn', start: 0.2, end: 1 }, timing), { start: 0, end: 1.5 });
+});
+
+test('short sections grow to the minimum length and padded matches keep their bounds', () => {
+  const timing = sectionTiming.resolveTiming({ padding: { default: { beforeMs: 0, afterMs: 0 } }, minSectionMs: 1000 });
+
+  assert.deepEqual(sectionTiming.sectionRange({ type: 'emailAddress', start: 5, end: 5.2 }, timing), { start: 4.6, end: 5.6 });
+  assert.deepEqual(sectionTiming.sectionRange({ type: 'ssn', start: 5, end: 7, padded: true }, sectionTiming.resolveTiming()), { start: 5, end: 7 });
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+
+// A free port; the database calls each test needs are replaced on the db module
+process.env.PORT = '0';
+const db = require('../db');
+const { server } = require('../server');
+
+test.after(() => server.close());
+
+const request = async (method, url, body) => {
+  if (!server.listening) await once(server, 'listening');
+  const response = await fetch(`http://127.0.0.1:${server.address().port}${url}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const type = response.headers.get('content-type') || '';
+  return { status: response.status, headers: response.headers, body: type.includes('json') ? await response.json() : await response.text() };
+};
+
+const withDb = async (methods, run) => {
+  const saved = Object.fromEntries(Object.keys(methods).map(name => [name, db[name]]));
+  Object.assign(db, methods);
+
+  try {
+    await run();
+  } finally {
+    Object.assign(db, saved);
+  }
+};
+
+const recording = { id: 7, original_filename: 'call-7.mp3', processing_options: {} };
+
+const storedTranscript = {
+  version: 1,
+  provider: 'deepgram',
+  language: 'en',
+  multichannel: false,
+  speakers: {},
+  words: [
+    { word: 'my', punctuated_word: 'My', start: 0, end: 0.4, confidence: 0.98, speaker: 1 },
+    { word: '[REDACTED SSN]', punctuated_word: '[REDACTED SSN].', start: 0.5, end: 3, confidence: null, speaker: 1, redacted: true }
+  ]
+};
+
+test('the word-level transcript is served with its recording', async () => {
+  await withDb({
+    getRecordingById: async id => (String(id) === '7' ? recording : null),
+    getWordTranscript: async id => (id === 7 ? storedTranscript : null)
+  }, async () => {
+    const found = await request('GET', '/api/calls/7/transcript.json');
+    assert.equal(found.status, 200);
+    assert.deepEqual(found.body, { id: 7, originalFileName: 'call-7.mp3', ...storedTranscript });
+
+    const missing = await request('GET', '/api/calls/8/transcript.json');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error, 'Recording not found');
+  });
+
+  await withDb({ getRecordingById: async () => recording, getWordTranscript: async () => null }, async () => {
+    const older = await request('GET', '/api/calls/7/transcript.json');
+    assert.equal(older.status, 404);
+    assert.equal(older.body.error, 'Word transcript not found');
+  });
+});
+
+const waitForJob = async jobId => {
+  for (;;) {
+    const status = await request('GET', `/api/status/${jobId}`);
+    if (status.body.status !== 'processing') return status.body;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+const placeholder = (word, start, end) => ({ word, punctuated_word: word, start, end, confidence: null, speaker: 1, redacted: true });
+const spoken = (text, start) => text.split(' ').map((word, i) => ({
+  word: word.toLowerCase(), punctuated_word: word, start: start + i, end: start + i + 0.5, confidence: 0.98, speaker: 1
+}));
+
+test('reprocessing twice stores one new version and leaves earlier placeholders alone', async () => {
+  const versions = [];
+  let latest = {
+    ...storedTranscript,
+    words: [
+      ...spoken('my social is', 0),
+      placeholder('[REDACTED SSN]', 3, 6),
+      ...spoken('and I have 2 dogs my password is', 7),
+      placeholder('[REDACTED PASSWORD]', 15, 16),
+      ...spoken('thanks bye my name is John Smith and the card was', 17),
+      placeholder('****-****-****-1111', 28, 31)
+    ]
+  };
+
+  await withDb({
+    getRecordingById: async () => recording,
+    getWordTranscript: async () => latest,
+    getRedactedAudio: async () => ({ version: versions.length + 1, data: Buffer.from('beeped audio').toString('base64'), content_type: 'audio/mpeg' }),
+    // A rule added since: it must not match the digits kept by an earlier masking style
+    getDetectionRules: async () => [{ id: 3, name: 'PIN', pattern: '\\d{4}', padding_before_ms: 500, padding_after_ms: 500 }],
+    getRecordingNames: async () => [],
+    getTranscriptMetadata: async () => null,
+    storeRecordingVersion: async (id, stored) => {
+      versions.push(stored);
+      latest = stored.wordTranscript;
+      return versions.length + 1;
+    }
+  }, async () => {
+    const first = await waitForJob((await request('POST', '/api/calls/7/reprocess')).body.jobId);
+    assert.equal(first.status, 'completed');
+    assert.deepEqual(first.result.recordings.map(({ reprocessed, version }) => ({ reprocessed, version })), [{ reprocessed: true, version: 2 }]);
+    assert.deepEqual(versions[0].detections.map(detection => detection.type), ['personName']);
+    assert.equal(versions[0].sensitiveInfoCount, 0);
+
+    const second = await waitForJob((await request('POST', '/api/calls/7/reprocess')).body.jobId);
+    assert.deepEqual(second.result.recordings.map(({ reprocessed, version }) => ({ reprocessed, version })), [{ reprocessed: false, version: 2 }]);
+    assert.equal(versions.length, 1);
+  });
+});
+
+test('downloads serve the latest version or the one asked for', async () => {
+  const asked = [];
+
+  await withDb({
+    getRecordingById: async () => recording,
+    getRedactedAudio: async (id, version) => {
+      asked.push(version);
+      return version === 3 ? null : { version: version || 2, data: Buffer.from(`audio v${version || 2}`).toString('base64'), content_type: 'audio/mpeg' };
+    },
+    getRedactedTranscript: async (id, version) => (version === 3 ? null : `transcript v${version || 2}`)
+  }, async () => {
+    assert.equal((await request('GET', '/api/download/redacted/7')).body, 'audio v2');
+    assert.equal((await request('GET', '/api/download/redacted/7?version=1')).body, 'audio v1');
+    assert.deepEqual(asked, [null, 1]);
+    assert.equal((await request('GET', '/api/download/transcript/7?version=1')).body, 'transcript v1');
+
+    const missing = await request('GET', '/api/download/redacted/7?version=3');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error, 'Redacted audio version 3 not found');
+
+    const invalid = await request('GET', '/api/download/transcript/7?version=latest');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, 'Invalid version: latest');
+  });
+});
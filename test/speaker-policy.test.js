@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const speakerPolicy = require('../redaction/speaker-policy');
+const textMatches = require('../redaction/text-matches');
+const { toWords } = require('./helpers/words');
+
+// "Agent: thanks for calling | Customer: it is 4111111111111111 | Agent: so 4111111111111111 and 5555"
+const words = toWords('thanks for calling it is 4111111111111111 so 4111111111111111 and 5555')
+  .map((word, i) => ({ ...word, speaker: i < 3 || i > 5 ? 0 : 1 }));
+const match = (index, fields = {}) => ({ type: 'creditCard', label: 'CREDITCARD', startIndex: index, endIndex: index, start: index, end: index + 0.5, ...fields });
+const matches = [match(5), match(7), match(9)];
+
+const outcome = policy => {
+  const { kept, skipped } = speakerPolicy.applySpeakerPolicy(matches, words, { policy });
+  return {
+    kept: kept.map(m => `${m.startIndex}:${m.role}${m.readback ? ':readback' : ''}`),
+    skipped: skipped.map(m => m.startIndex)
+  };
+};
+
+test('the first speaker is the agent unless one is configured', () => {
+  assert.equal(speakerPolicy.resolveAgentSpeaker(words), 0);
+  assert.equal(speakerPolicy.resolveAgentSpeaker(words, '1'), 1);
+  assert.equal(speakerPolicy.resolveAgentSpeaker(toWords('no speakers here')), null);
+});
+
+test('policies keep customer values and decide on agent ones', () => {
+  assert.deepEqual(outcome('both'), { kept: ['5:customer', '7:agent:readback', '9:agent'], skipped: [] });
+  assert.deepEqual(outcome('customer'), { kept: ['5:customer'], skipped: [7, 9] });
+  assert.deepEqual(outcome('readbacks'), { kept: ['5:customer', '7:agent:readback'], skipped: [9] });
+});
+
+test('payment segments and calls without speakers are always kept', () => {
+  const segment = match(3, { endIndex: 9, segment: true });
+  assert.equal(speakerPolicy.applySpeakerPolicy([segment], words, { policy: 'customer' }).kept.length, 1);
+
+  const unlabeled = toWords('it is 4111111111111111');
+  assert.equal(speakerPolicy.applySpeakerPolicy([match(2)], unlabeled, { policy: 'customer' }).kept.length, 1);
+});
+
+test('customer values from another channel count for read-backs', () => {
+  const agentChannel = toWords('so 4111111111111111 right').map(word => ({ ...word, speaker: 0 }));
+  const { kept } = speakerPolicy.applySpeakerPolicy([match(1)], agentChannel, {
+    policy: 'readbacks',
+    agentSpeaker: 0,
+    customerValues: [{ value: '4111111111111111', start: 0 }]
+  });
+  assert.deepEqual(kept.map(m => m.readback), [true]);
+});
+
+test('speaker turns become labelled transcript lines', () => {
+  const labels = speaker => speakerPolicy.speakerLabel(speaker, 0, 2);
+  assert.equal(
+    textMatches.redactWords(words, [match(5), match(7)], { speakerLabel: labels }),
+    'Agent: thanks for calling\nCustomer: it is [REDACTED CREDITCARD]\nAgent: so [REDACTED CREDITCARD] and 5555'
+  );
+  assert.equal(speakerPolicy.speakerLabel(2, 0, 3), 'Speaker 2');
+});
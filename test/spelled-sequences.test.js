@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const spelledSequences = require('../redaction/spelled-sequences');
+const detectorRegistry = require('../redaction/detector-registry');
+const customRules = require('../redaction/custom-rules');
+
+const { normalizedWords: toWords } = require('./helpers/words');
+
+const policyRule = { id: 1, name: 'Policy number', kind: 'regex', pattern: '\\bp[a-z]{2}\\d{6}\\b', label: 'POLICY', type: 'policyNumber' };
+
+test('findSpelledSequences reads letters, NATO words and "X as in Y"', () => {
+  const [sequence] = spelledSequences.findSpelledSequences(toWords('it is A as in apple victor seven'));
+  assert.equal(sequence.value, 'av7');
+  assert.equal(sequence.startIndex, 2);
+  assert.equal(sequence.endIndex, 7);
+});
+
+test('joinSpelledWords joins sequences with a digit and keeps their word range', () => {
+  const words = toWords('my policy is P Q R 1 2 3 4 5 6 thanks');
+  const joined = spelledSequences.joinSpelledWords(words);
+  assert.deepEqual(joined.map(w => w.word), ['my', 'policy', 'is', 'pqr123456', 'thanks']);
+  assert.deepEqual(joined[3].spelledFrom, [3, 11]);
+  assert.equal(joined[3].start, 3);
+  assert.equal(joined[3].end, 11.5);
+});
+
+test('joinSpelledWords leaves letters without digits as words', () => {
+  const joined = spelledSequences.joinSpelledWords(toWords('I am O K'));
+  assert.equal(joined.some(w => w.spelled), false);
+});
+
+test('custom rules match policy numbers spelled aloud', () => {
+  const words = toWords('the policy is P as in Peter Q R one two three four five six okay');
+  const { matches } = detectorRegistry.findMatches(words, { customRules: [policyRule] });
+  const policy = matches.find(match => match.type === 'policyNumber');
+  assert.ok(policy, 'policy number detected');
+  assert.equal(words[policy.startIndex].punctuated_word, 'P');
+  assert.equal(words[policy.endIndex].word, '123456');
+});
+
+test('digit patterns match numbers read out one digit at a time', () => {
+  const words = toWords('account 1 2 3 4 5 6 7 8 9 0 1 2 please');
+  const { matches } = detectorRegistry.findMatches(words, {});
+  const account = matches.find(match => match.type === 'bankAccount');
+  assert.ok(account, 'bank account detected');
+  assert.deepEqual([account.startIndex, account.endIndex], [1, 12]);
+});
+
+test('the spelled pass does not add matches over values found as heard', () => {
+  const words = toWords('card a 4111 1111 1111 1111 ok');
+  const { matches } = detectorRegistry.findMatches(words, {});
+  assert.deepEqual(matches.map(match => match.type), ['creditCard']);
+});
+
+test('the rule tester also matches spelled IDs', () => {
+  const result = customRules.testRule(policyRule, 'policy P Q R 1 2 3 4 5 6 done');
+  assert.deepEqual(result.matches, ['P Q R 1 2 3 4 5 6']);
+  assert.equal(result.redactedText, 'policy [REDACTED POLICY] done');
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const textMatches = require('../redaction/text-matches');
+const detectorRegistry = require('../redaction/detector-registry');
+const { toWords, normalizedWords } = require('./helpers/words');
+
+test('redactWords replaces word spans and keeps trailing punctuation', () => {
+  const words = toWords('My card is 4111 1111 1111 1111, thanks.');
+  assert.equal(textMatches.redactWords(words, [{ startIndex: 3, endIndex: 6, label: 'CREDITCARD' }]), 'My card is [REDACTED CREDITCARD], thanks.');
+});
+
+test('overlapping spans merge, keeping each label unless one is exclusive', () => {
+  const words = toWords('My card is 4111 1111 1111 1111, thanks.');
+  const overlapping = [{ startIndex: 3, endIndex: 5, label: 'A' }, { startIndex: 4, endIndex: 6, label: 'B' }];
+
+  assert.equal(textMatches.redactWords(words, overlapping), 'My card is [REDACTED A] [REDACTED B], thanks.');
+  assert.equal(
+    textMatches.redactWords(words, [overlapping[0], { startIndex: 2, endIndex: 6, label: 'PAYMENT', replacement: '[PAYMENT]', exclusive: true }]),
+    'My card [PAYMENT], thanks.'
+  );
+});
+
+test('the transcript is redacted from the same detections as the audio', () => {
+  const words = normalizedWords('my social is one two three four five six seven eight nine ok');
+  const { matches } = detectorRegistry.findMatches(words, {});
+
+  assert.ok(matches.length > 0);
+  assert.ok(matches.every(match => match.start === 3 && match.end === 11.5));
+  assert.equal(textMatches.redactWords(words, matches), 'my social is [REDACTED SSN] ok');
+});
+
+test('redactWordList turns each span into one redacted word over its time range', () => {
+  const result = textMatches.redactWordList(toWords('my pin is 1234 5678.'), [{ startIndex: 3, endIndex: 4, label: 'PIN' }]);
+
+  assert.equal(result.length, 4);
+  assert.deepEqual(result[3], { word: '[REDACTED PIN]', punctuated_word: '[REDACTED PIN].', start: 3, end: 4.5, confidence: null, redacted: true });
+  assert.equal(result[0].redacted, undefined);
+});
+
+test('a second version keeps the words redacted by the first', () => {
+  const first = textMatches.redactWordList(toWords('card 4111111111111111 account 12345678'), [{ startIndex: 1, endIndex: 1, label: 'CREDITCARD' }]);
+  const second = textMatches.redactWordList(first, [{ startIndex: 3, endIndex: 3, label: 'BANKACCOUNT' }]);
+
+  assert.deepEqual(second.filter(w => w.redacted).map(w => w.word), ['[REDACTED CREDITCARD]', '[REDACTED BANKACCOUNT]']);
+  assert.deepEqual(textMatches.redactWordList(second, []), second);
+});
+
+test('touchesRedactedWord finds matches over what an earlier version already redacted', () => {
+  const words = toWords('my social is [REDACTED_SSN] thanks').map((word, i) => (i === 3 ? { ...word, redacted: true } : word));
+
+  assert.equal(textMatches.touchesRedactedWord({ startIndex: 3, endIndex: 3 }, words), true);
+  assert.equal(textMatches.touchesRedactedWord({ startIndex: 2, endIndex: 4 }, words), true);
+  assert.equal(textMatches.touchesRedactedWord({ startIndex: 0, endIndex: 2 }, words), false);
+  assert.equal(textMatches.touchesRedactedWord({ startIndex: 4, endIndex: 4 }, words), false);
+});
+
+test('wordTranscriptChannels splits stored words by channel', () => {
+  const words = toWords('a b c').map((word, i) => (i === 1 ? word : { ...word, channel: 1 }));
+  const channels = textMatches.wordTranscriptChannels(words);
+
+  assert.equal(channels.length, 2);
+  assert.deepEqual(channels[0].words.map(w => w.word), ['b']);
+  assert.deepEqual(channels[1].words.map(w => w.word), ['a', 'c']);
+});
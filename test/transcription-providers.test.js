@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const transcription = require('../transcription');
+const fixture = require('../transcription/fixture');
+
+const audio = Buffer.from('fake audio');
+
+const withFixtures = async (files, run) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  Object.entries(files).forEach(([name, data]) => fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(data)));
+
+  try {
+    await run(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+const normalized = transcript => ({
+  channels: [{ words: transcript.split(' ').map((word, i) => ({ word, start: i, end: i + 0.5, confidence: 0.9 })) }]
+});
+
+test('fixtures are picked by audio hash, then file name, then the default', async () => {
+  const hash = crypto.createHash('sha256').update(audio).digest('hex');
+
+  await withFixtures({ [hash]: normalized('by hash'), 'call-42': normalized('by name'), default: normalized('by default') }, async dir => {
+    assert.equal(path.basename(fixture.findFixture(audio, 'call-42.mp3', dir)), `${hash}.json`);
+    assert.equal(path.basename(fixture.findFixture(Buffer.from('other'), 'call-42.mp3', dir)), 'call-42.json');
+    assert.equal(path.basename(fixture.findFixture(Buffer.from('other'), 'call-7.mp3', dir)), 'default.json');
+  });
+  await withFixtures({}, async dir => {
+    assert.equal(fixture.findFixture(audio, 'call-42.mp3', dir), null);
+    await assert.rejects(fixture.transcribe(audio, 'audio/mpeg', { fileName: 'call-42.mp3', fixturesPath: dir }), /No transcription fixture for call-42\.mp3/);
+  });
+});
+
+test('normalized and raw Deepgram fixtures replay the same way', async () => {
+  const deepgramResponse = {
+    results: {
+      channels: [{ alternatives: [{ transcript: 'hello there', words: [{ word: 'hello', start: 0, end: 0.5 }, { word: 'there', start: 1, end: 1.5 }] }] }],
+      utterances: [{ start: 0, end: 1.5, speaker: 0, channel: 0, transcript: 'hello there', id: 'x' }]
+    }
+  };
+
+  await withFixtures({ raw: deepgramResponse, plain: normalized('hello there') }, async dir => {
+    const raw = await fixture.transcribe(audio, 'audio/wav', { fileName: 'raw.wav', fixturesPath: dir });
+    const plain = await fixture.transcribe(audio, 'audio/wav', { fileName: 'plain.wav', fixturesPath: dir });
+
+    assert.equal(raw.channels[0].transcript, 'hello there');
+    assert.deepEqual(raw.utterances, [{ start: 0, end: 1.5, speaker: 0, channel: 0, transcript: 'hello there' }]);
+    assert.equal(plain.channels[0].transcript, 'hello there');
+    assert.deepEqual(plain.utterances, []);
+  });
+});
+
+test('the registry runs the chosen provider and checks its result', async () => {
+  transcription.registerProvider({ name: 'test-echo', transcribe: async (buffer, mimetype, options) => normalized(options.text) });
+  transcription.registerProvider({ name: 'test-broken', transcribe: async () => ({ channels: [] }) });
+
+  const result = await transcription.transcribe(audio, 'audio/wav', { provider: 'test-echo', text: 'one two' });
+  assert.equal(result.provider, 'test-echo');
+  assert.deepEqual(result.channels[0].words.map(w => w.word), ['one', 'two']);
+  assert.equal(result.channels[0].detectedLanguage, null);
+  assert.deepEqual(result.utterances, []);
+
+  await assert.rejects(transcription.transcribe(audio, 'audio/wav', { provider: 'test-broken' }), /returned an invalid result/);
+  assert.throws(() => transcription.getProvider('nope'), /Unknown transcription provider: nope/);
+  assert.throws(() => transcription.registerProvider({ name: 'no-transcribe' }), /must have a transcribe function/);
+});
+
+test('providers describe themselves with time estimates when the length is known', () => {
+  const described = transcription.describeProviders(60);
+  const fixtureProvider = described.find(provider => provider.name === 'fixture');
+
+  assert.deepEqual(
+    { local: fixtureProvider.local, available: fixtureProvider.available, estimatedSeconds: fixtureProvider.estimatedSeconds },
+    { local: true, available: true, estimatedSeconds: 0 }
+  );
+  assert.ok(transcription.describeProviders().every(provider => provider.estimatedSeconds === null));
+});
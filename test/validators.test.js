@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const validators = require('../redaction/validators');
+const digitPatterns = require('../redaction/digit-patterns');
+
+test('luhnCheck accepts valid card numbers and rejects others', () => {
+  assert.equal(validators.luhnCheck('4111111111111111'), true);
+  assert.equal(validators.luhnCheck('4111111111111112'), false);
+  assert.equal(validators.luhnCheck('4'), false);
+  assert.equal(validators.luhnCheck('4111-1111'), false);
+});
+
+test('abaRoutingCheck applies the ABA checksum', () => {
+  assert.equal(validators.abaRoutingCheck('021000021'), true);
+  assert.equal(validators.abaRoutingCheck('021000022'), false);
+  assert.equal(validators.abaRoutingCheck('000000000'), false);
+  assert.equal(validators.abaRoutingCheck('02100002'), false);
+});
+
+test('cardIssuer uses prefix and length rules', () => {
+  assert.equal(validators.cardIssuer('4111111111111111'), 'visa');
+  assert.equal(validators.cardIssuer('5500000000000004'), 'mastercard');
+  assert.equal(validators.cardIssuer('378282246310005'), 'amex');
+  assert.equal(validators.cardIssuer('6011111111111117'), 'discover');
+  assert.equal(validators.cardIssuer('1234567812345678'), null);
+});
+
+test('validateMatch reports passed and failed checksums', () => {
+  assert.deepEqual(validators.validateMatch('creditCard', '4111 1111 1111 1111'),
+    { validated: true, issuer: 'visa', reason: 'passed Luhn checksum' });
+  assert.deepEqual(validators.validateMatch('creditCard', '4111 1111 1111 1112'),
+    { validated: false, issuer: 'visa', reason: 'failed Luhn checksum' });
+  assert.equal(validators.validateMatch('creditCard', '1234 5678 1234 5678').reason, 'unknown issuer prefix or length');
+  assert.equal(validators.validateMatch('routingNumber', '021000021').validated, true);
+  assert.equal(validators.validateMatch('routingNumber', '021000022').validated, false);
+});
+
+test('validateMatch leaves types without a rule unvalidated', () => {
+  assert.deepEqual(validators.validateMatch('ssn', '123-45-6789'), { validated: null, reason: 'no validation rule' });
+});
+
+test('unvalidated actions merge overrides and drop unknown actions', () => {
+  const actions = validators.resolveUnvalidatedActions({ creditCard: 'flag', routingNumber: 'shout' });
+  assert.equal(actions.creditCard, 'flag');
+  assert.equal(actions.routingNumber, 'redact');
+  assert.equal(validators.actionForValidation('creditCard', { validated: false }, actions), 'flag');
+  assert.equal(validators.actionForValidation('creditCard', { validated: true }, actions), 'redact');
+  assert.equal(validators.actionForValidation('ssn', { validated: null }, actions), 'redact');
+});
+
+test('digit patterns prefer a value that passes its checksum', () => {
+  const [card] = digitPatterns.findMatches('my card is 4111111111111111 thanks');
+  assert.equal(card.type, 'creditCard');
+  assert.equal(card.validated, true);
+
+  const [routing] = digitPatterns.findMatches('routing 021000021');
+  assert.equal(routing.type, 'routingNumber');
+});
+
+test('digit patterns apply the unvalidated action to failed cards', () => {
+  const [card] = digitPatterns.findMatches('card 4111 1111 1111 1112', { creditCard: 'flag' });
+  assert.equal(card.type, 'creditCard');
+  assert.equal(card.validated, false);
+  assert.equal(card.action, 'flag');
+});
+
+test('bank accounts have no checksum and are never unvalidated', () => {
+  assert.deepEqual(validators.validateMatch('bankAccount', '123456789012'), { validated: null, reason: 'no checksum available' });
+  const [account] = digitPatterns.findMatches('account 123456789012', { bankAccount: 'flag' });
+  assert.equal(account.type, 'bankAccount');
+  assert.equal(account.action, 'redact');
+});
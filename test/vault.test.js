@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vault = require('../redaction/vault');
+const maskingStyles = require('../redaction/masking-styles');
+
+process.env.VAULT_KEY = 'test-server-key';
+
+test('encrypted values read back exactly as stored', () => {
+  for (const value of ['john.smith@gmail.com', '123 Main Street Springfield IL 62704']) {
+    const token = 'vt_' + 'a'.repeat(22);
+    assert.equal(vault.decrypt(vault.encrypt(value, token), token), value);
+  }
+});
+
+test('a value cannot be read under another token', () => {
+  const encrypted = vault.encrypt('123-45-6789', 'vt_' + 'a'.repeat(22));
+  assert.throws(() => vault.decrypt(encrypted, 'vt_' + 'b'.repeat(22)));
+});
+
+test('a session reuses the token for the same value', () => {
+  const session = vault.createSession();
+  const token = session.tokenFor('email', 'john.smith@gmail.com');
+
+  assert.ok(vault.isToken(token));
+  assert.equal(session.tokenFor('email', 'john.smith@gmail.com'), token);
+  assert.notEqual(session.tokenFor('ssn', 'john.smith@gmail.com'), token);
+  assert.equal(session.entries().length, 2);
+});
+
+test('the vault masking style stores the original value, not the masked characters', () => {
+  const session = vault.createSession();
+  const cases = [
+    ['john.smith@gmail.com.', { type: 'email', label: 'EMAIL' }, 'john.smith@gmail.com'],
+    ['123 Main Street Springfield IL 62704', { type: 'address', label: 'ADDRESS' }, '123 Main Street Springfield IL 62704']
+  ];
+
+  for (const [heard, detection, expected] of cases) {
+    const { style, replacement } = maskingStyles.maskValue(heard, detection, { default: 'vault' }, { vault: session });
+    const entry = session.entries().find(e => replacement.includes(e.token));
+
+    assert.equal(style, 'vault');
+    assert.equal(entry.value, expected);
+    assert.equal(vault.decrypt(vault.encrypt(entry.value, entry.token), entry.token), expected);
+  }
+});
+
+test('authorize maps an access key to its role', () => {
+  process.env.VAULT_ACCESS_KEYS = 'billing:key-one, compliance:key-two';
+
+  assert.equal(vault.authorize('Bearer key-two'), 'compliance');
+  assert.equal(vault.authorize('Bearer key-three'), null);
+  assert.equal(vault.authorize(undefined), null);
+});
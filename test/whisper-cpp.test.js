@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const whisperCpp = require('../transcription/whisper-cpp');
+
+const segment = (text, from, to, probabilities = [0.8]) => ({
+  text,
+  offsets: { from, to },
+  tokens: [{ text: '[_BEG_]', p: 0.1 }, ...probabilities.map(p => ({ text, p }))]
+});
+
+test('whisper.cpp segments become timed words with token confidence', () => {
+  const channel = whisperCpp.parseOutput({
+    result: { language: 'es' },
+    transcription: [
+      segment(' Hola', 0, 500, [0.9, 0.7]),
+      segment(' ,', 500, 520),
+      segment(' [BLANK_AUDIO]', 520, 2000),
+      segment(' cuatro uno', 2000, 3000)
+    ]
+  });
+
+  assert.equal(channel.transcript, 'Hola, cuatro uno');
+  assert.equal(channel.detectedLanguage, 'es');
+  assert.deepEqual(channel.words, [
+    { word: 'hola', punctuated_word: 'Hola,', start: 0, end: 0.5, confidence: 0.8 },
+    { word: 'cuatro', punctuated_word: 'cuatro', start: 2, end: 2.5, confidence: 0.8 },
+    { word: 'uno', punctuated_word: 'uno', start: 2.5, end: 3, confidence: 0.8 }
+  ]);
+  assert.deepEqual(whisperCpp.parseOutput({}), { transcript: '', words: [], detectedLanguage: null });
+});
+
+test('processing time estimates follow the real-time factor', () => {
+  const saved = process.env.WHISPER_REALTIME_FACTOR;
+
+  try {
+    process.env.WHISPER_REALTIME_FACTOR = '0.5';
+    assert.equal(whisperCpp.estimateSeconds(60), 40);
+    process.env.WHISPER_REALTIME_FACTOR = 'fast';
+    assert.equal(whisperCpp.estimateSeconds(60), 70);
+  } finally {
+    if (saved === undefined) delete process.env.WHISPER_REALTIME_FACTOR;
+    else process.env.WHISPER_REALTIME_FACTOR = saved;
+  }
+});
+
+test('WAV files round-trip and the call language is passed to whisper.cpp', () => {
+  const samples = Buffer.from([1, 0, 2, 0, 3, 0]);
+  const wav = whisperCpp.readWav(whisperCpp.writeWav(samples, 16000));
+
+  assert.deepEqual({ channels: wav.channels, sampleRate: wav.sampleRate }, { channels: 1, sampleRate: 16000 });
+  assert.deepEqual(wav.data, samples);
+  assert.throws(() => whisperCpp.readWav(Buffer.from('not a wav file')), /not a WAV file/);
+
+  const args = whisperCpp.whisperArgs({ modelPath: 'model.bin', threads: 2, language: 'es', inputPath: 'in.wav', outputBase: 'out' });
+  assert.equal(args[args.indexOf('-l') + 1], 'es');
+  assert.ok(args.includes('-ojf'));
+});
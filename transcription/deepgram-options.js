@@ -0,0 +1,144 @@
+/**
+ * Deepgram Request Options for Call Info Remover
+ *
+ * The model, language, key terms, numerals and Deepgram's own redaction can be
+ * set per organization and per upload. Organization settings are kept with the
+ * app configuration in config/deepgram-options.json (or DEEPGRAM_OPTIONS_PATH)
+ * and re-read for every job:
+ *
+ *   {
+ *     "default": { "model": "nova-3" },
+ *     "organizations": {
+ *       "acme-health": { "keyterms": ["Humana", "Medicare Advantage"], "redact": ["pci", "ssn"] }
+ *     }
+ *   }
+ *
+ * Upload options win over the organization, which wins over "default":
+ *   model     - Deepgram model (default nova-3)
+ *   language  - Deepgram language code sent instead of the call language ("es-419", "en-US")
+ *   keyterms  - terms to boost, such as carrier and product names; sent as keyterm
+ *               for Nova-3 models and as keywords ("term" or "term:boost") for older ones
+ *   numerals  - true to have Deepgram write numbers as digits
+ *   redact    - Deepgram redaction features ('pci', 'ssn', 'numbers') run as a
+ *               second opinion in a separate request; what Deepgram redacts is
+ *               merged with the local detections
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OPTIONS_PATH = path.join(__dirname, '..', 'config', 'deepgram-options.json');
+
+const DEFAULT_MODEL = 'nova-3';
+
+const REDACT_FEATURES = ['pci', 'ssn', 'numbers'];
+
+// Deepgram rejects requests with very long key term lists
+const MAX_KEYTERMS = 100;
+
+function optionsPath(filePath) {
+  return filePath || process.env.DEEPGRAM_OPTIONS_PATH || DEFAULT_OPTIONS_PATH;
+}
+
+/**
+ * Load the organization settings from disk
+ * @param {string} filePath - JSON file to read (defaults to DEEPGRAM_OPTIONS_PATH or config/deepgram-options.json)
+ * @returns {Object} - { default, organizations }
+ * @throws {Error} - If the file exists but cannot be read
+ */
+function loadSettings(filePath) {
+  const file = optionsPath(filePath);
+  if (!fs.existsSync(file)) {
+    return { default: {}, organizations: {} };
+  }
+
+  const settings = JSON.parse(fs.readFileSync(file, 'utf8')) || {};
+  return {
+    default: settings.default || {},
+    organizations: settings.organizations || {}
+  };
+}
+
+/**
+ * Check and normalize one set of options. Unknown keys are dropped.
+ * @param {Object} options - { model, language, keyterms, numerals, redact }
+ * @returns {Object} - Only the keys that were given
+ * @throws {Error} - If a value is invalid
+ */
+function normalizeOptions(options = {}) {
+  const normalized = {};
+  if (!options || typeof options !== 'object') return normalized;
+
+  if (options.model !== undefined) {
+    const model = String(options.model).trim();
+    if (!/^[a-z0-9._-]+$/i.test(model)) throw new Error(`Invalid Deepgram model: ${options.model}`);
+    normalized.model = model;
+  }
+
+  if (options.language !== undefined && options.language !== null && options.language !== '') {
+    const language = String(options.language).trim();
+    if (!/^[a-z]{2,3}([-_][a-z0-9]{2,8})*$/i.test(language) && language !== 'multi') {
+      throw new Error(`Invalid Deepgram language: ${options.language}`);
+    }
+    normalized.language = language;
+  }
+
+  if (options.keyterms !== undefined) {
+    const keyterms = (Array.isArray(options.keyterms) ? options.keyterms : String(options.keyterms).split(','))
+      .map(term => String(term).trim())
+      .filter(Boolean);
+    normalized.keyterms = Array.from(new Set(keyterms)).slice(0, MAX_KEYTERMS);
+  }
+
+  if (options.numerals !== undefined) {
+    normalized.numerals = options.numerals === true || options.numerals === 'true';
+  }
+
+  if (options.redact !== undefined) {
+    const redact = Array.isArray(options.redact) ? options.redact : String(options.redact).split(',');
+    normalized.redact = redact.map(feature => String(feature).trim().toLowerCase()).filter(Boolean);
+    const unknown = normalized.redact.filter(feature => !REDACT_FEATURES.includes(feature));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown Deepgram redaction feature: ${unknown.join(', ')} (use ${REDACT_FEATURES.join(', ')})`);
+    }
+    normalized.redact = Array.from(new Set(normalized.redact));
+  }
+
+  return normalized;
+}
+
+/**
+ * Build the effective options for a job
+ * @param {Object} overrides - Options given with the upload
+ * @param {string} organization - Organization whose settings apply (optional)
+ * @param {string} filePath - Settings file (see loadSettings)
+ * @returns {Object} - { model, language, keyterms, numerals, redact } with language null
+ *   when the call language is used
+ * @throws {Error} - If the organization is unknown or a value is invalid
+ */
+function resolveOptions(overrides = {}, organization, filePath) {
+  const settings = loadSettings(filePath);
+
+  if (organization && !Object.prototype.hasOwnProperty.call(settings.organizations, organization)) {
+    throw new Error(`Unknown organization: ${organization}`);
+  }
+
+  return {
+    model: DEFAULT_MODEL,
+    language: null,
+    keyterms: [],
+    numerals: false,
+    redact: [],
+    ...normalizeOptions(settings.default),
+    ...normalizeOptions(organization ? settings.organizations[organization] : {}),
+    ...normalizeOptions(overrides)
+  };
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  REDACT_FEATURES,
+  loadSettings,
+  normalizeOptions,
+  resolveOptions
+};
@@ -0,0 +1,298 @@
+/**
+ * Deepgram Transcription Provider for Call Info Remover
+ *
+ * Sends the audio to the Deepgram pre-recorded API with diarization, word
+ * timings and utterances, retrying once on failure, and normalizes the
+ * response (see transcription/index.js). The model, language, key terms and
+ * numerals come from the job's Deepgram options (see deepgram-options.js).
+ *
+ * With redaction features set, the audio is sent a second time with
+ * Deepgram's redaction on. The words Deepgram redacted become the channel's
+ * redactions ({ start, end, feature }), a second opinion that is merged with
+ * the local detections. The first transcript is the one analyzed, so local
+ * detection still sees every value. A failed second request is logged and
+ * the job goes on without it.
+ */
+
+const axios = require('axios');
+const deepgramOptions = require('./deepgram-options');
+
+const API_URL = 'https://api.deepgram.com/v1/listen';
+
+// Query parameters used for every request - exactly as they worked in Postman
+const BASE_PARAMS = 'punctuate=true&diarize=true&utterances=true&smart_format=true&words=true';
+
+// Maximum number of API connection attempts
+const MAX_RETRIES = 2;
+
+const RETRY_DELAY_MS = 2000;
+
+// Typical turnaround: a few seconds of upload and queueing, then well under real time
+const OVERHEAD_SECONDS = 5;
+const REALTIME_FACTOR = 0.05;
+
+const noLog = () => {};
+
+/**
+ * Check that an API key is set
+ * @param {Object} options - { apiKey }
+ * @returns {boolean} - True if the provider can run
+ */
+function isAvailable(options = {}) {
+  return Boolean(options.apiKey);
+}
+
+/**
+ * Estimate how long a transcription takes
+ * @param {number} durationSeconds - Audio length in seconds
+ * @returns {number} - Expected processing time in seconds
+ */
+function estimateSeconds(durationSeconds) {
+  return Math.ceil(OVERHEAD_SECONDS + durationSeconds * REALTIME_FACTOR);
+}
+
+/**
+ * Build the request URL for the options
+ * @param {Object} options - { multichannel, language, deepgram } where language is a language code
+ *   or 'auto' and deepgram holds the job's Deepgram options (see deepgram-options.js)
+ * @param {Array<string>} redact - Redaction features to request (none for the transcript itself)
+ * @returns {string} - Request URL
+ */
+function requestUrl(options = {}, redact = []) {
+  const settings = options.deepgram || {};
+  const model = settings.model || deepgramOptions.DEFAULT_MODEL;
+  const params = new URLSearchParams({ model });
+
+  // Dual-channel recordings are transcribed one channel at a time
+  if (options.multichannel) {
+    params.append('multichannel', 'true');
+  }
+
+  // A configured Deepgram language, the call language, or let Deepgram detect it
+  const language = settings.language || options.language;
+  if (language) {
+    if (language === 'auto') {
+      params.append('detect_language', 'true');
+    } else {
+      params.append('language', language);
+    }
+  }
+
+  // Nova-3 boosts key terms; older models take keywords
+  (settings.keyterms || []).forEach(term => {
+    params.append(/^nova-3/.test(model) ? 'keyterm' : 'keywords', term);
+  });
+
+  if (settings.numerals) {
+    params.append('numerals', 'true');
+  }
+
+  redact.forEach(feature => params.append('redact', feature));
+
+  return `${API_URL}?${BASE_PARAMS}&${params.toString()}`;
+}
+
+// Deepgram replaces redacted words with a marker such as "[PCI]" or "***"
+function isRedactedWord(word) {
+  const text = String(word.punctuated_word || word.word || '').replace(/[.,!?;:]+$/, '');
+  return /^\[.*\]$/.test(text) || /^\*+$/.test(text);
+}
+
+function redactedFeature(word, features) {
+  const text = String(word.punctuated_word || word.word || '').toLowerCase();
+  if (text.includes('ssn') || text.includes('social')) return 'ssn';
+  if (/pci|card|credit|cvv|expir/.test(text)) return 'pci';
+  return features.length === 1 ? features[0] : 'numbers';
+}
+
+/**
+ * Find the time ranges Deepgram redacted
+ * @param {Array<Object>} words - Words of a transcript requested with redaction on
+ * @param {Array<string>} features - Redaction features that were requested
+ * @returns {Array<Object>} - { start, end, feature }; consecutive redacted words of one feature are one range
+ */
+function findRedactions(words, features = []) {
+  const redactions = [];
+
+  (words || []).forEach(word => {
+    if (!isRedactedWord(word)) return;
+
+    const feature = redactedFeature(word, features);
+    const previous = redactions[redactions.length - 1];
+    if (previous && previous.feature === feature && previous.lastIndex === word.index) {
+      previous.end = word.end;
+      previous.lastIndex = word.index + 1;
+    } else {
+      redactions.push({ start: word.start, end: word.end, feature, lastIndex: word.index + 1 });
+    }
+  });
+
+  return redactions.map(({ lastIndex, ...redaction }) => redaction);
+}
+
+/**
+ * Normalize a Deepgram response
+ * @param {Object} response - Response body ({ results }) or its results
+ * @returns {Object} - Normalized result (see transcription/index.js)
+ * @throws {Error} - If the response has no transcript
+ */
+function normalizeResponse(response) {
+  const results = response && response.results ? response.results : response;
+  if (!results || !Array.isArray(results.channels) || results.channels.length === 0 ||
+      !results.channels[0].alternatives || !results.channels[0].alternatives[0]) {
+    throw new Error('Invalid transcription result structure');
+  }
+
+  return {
+    channels: results.channels.map(channel => {
+      const alternative = channel.alternatives[0] || {};
+      return {
+        transcript: alternative.transcript || '',
+        words: alternative.words || [],
+        detectedLanguage: channel.detected_language || null
+      };
+    }),
+    utterances: (results.utterances || []).map(utterance => ({
+      start: utterance.start,
+      end: utterance.end,
+      speaker: utterance.speaker,
+      channel: utterance.channel,
+      transcript: utterance.transcript
+    }))
+  };
+}
+
+/**
+ * Send one request to Deepgram, retrying once on failure
+ * @param {Buffer} audioBuffer - Audio data
+ * @param {string} mimetype - MIME type of the audio
+ * @param {string} apiUrl - Request URL
+ * @param {Object} options - { apiKey, log(level, category, message, details) }
+ * @returns {Promise<Object>} - Normalized result
+ */
+async function request(audioBuffer, mimetype, apiUrl, options = {}) {
+  const log = options.log || noLog;
+  let attempt = 1;
+
+  while (attempt <= MAX_RETRIES) {
+    log('info', 'api', `Connecting to Deepgram API for transcription (Attempt ${attempt}/${MAX_RETRIES})...`, {
+      url: apiUrl,
+      fileSize: audioBuffer.length,
+      mimetype: mimetype
+    });
+
+    const startTime = Date.now();
+    let response;
+
+    try {
+      // Make the API request using axios with the file data
+      response = await axios({
+        method: 'post',
+        url: apiUrl,
+        data: audioBuffer,
+        headers: {
+          'Authorization': `Token ${options.apiKey}`,
+          'Content-Type': mimetype
+        },
+        responseType: 'json',
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity
+      });
+    } catch (error) {
+      // Log the detailed error for debugging
+      log('error', 'api', `Error from Deepgram API (Attempt ${attempt}/${MAX_RETRIES})`, {
+        error: error.message,
+        stack: error.stack,
+        statusCode: error.response?.status || 'N/A',
+        response: error.response?.data || 'N/A',
+        request: {
+          url: apiUrl,
+          method: 'POST',
+          headers: {
+            'Authorization': 'Token [REDACTED]',
+            'Content-Type': mimetype
+          },
+          dataType: typeof audioBuffer,
+          dataSize: audioBuffer.length
+        }
+      });
+
+      if (attempt >= MAX_RETRIES) {
+        log('error', 'api', 'All connection attempts to Deepgram API failed', {
+          error: error.message,
+          attempts: MAX_RETRIES
+        });
+        throw new Error(`Failed to connect to Deepgram API after ${MAX_RETRIES} attempts: ${error.message}`);
+      }
+
+      log('warning', 'api', `Retrying connection in 2 seconds... (Attempt ${attempt}/${MAX_RETRIES})`);
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+      attempt++;
+      continue;
+    }
+
+    // A malformed response is not retried
+    const result = normalizeResponse(response.data);
+
+    log('success', 'api', 'Received transcription response from Deepgram', {
+      responseTime: `${(Date.now() - startTime) / 1000} seconds`,
+      statusCode: response.status,
+      transcriptLength: result.channels[0].transcript.length,
+      wordCount: result.channels[0].words.length
+    });
+
+    return result;
+  }
+
+  // This should never be reached, but just in case
+  throw new Error('Failed to transcribe audio: Maximum retry attempts exceeded');
+}
+
+/**
+ * Transcribe audio with Deepgram
+ * @param {Buffer} audioBuffer - Audio data
+ * @param {string} mimetype - MIME type of the audio
+ * @param {Object} options - { apiKey, multichannel, language, deepgram, log(level, category, message, details) }
+ * @returns {Promise<Object>} - Normalized result, with channel redactions when redaction features are set
+ */
+async function transcribe(audioBuffer, mimetype, options = {}) {
+  const log = options.log || noLog;
+  const redact = (options.deepgram && options.deepgram.redact) || [];
+
+  // Both requests run together; the second opinion never fails the job
+  const [result, redacted] = await Promise.all([
+    request(audioBuffer, mimetype, requestUrl(options), options),
+    redact.length > 0
+      ? request(audioBuffer, mimetype, requestUrl(options, redact), options).catch(error => {
+        log('warning', 'api', 'Deepgram redaction second opinion failed; continuing with local detection only', {
+          error: error.message
+        });
+        return null;
+      })
+      : null
+  ]);
+
+  if (redacted) {
+    result.channels.forEach((channel, index) => {
+      const words = ((redacted.channels[index] || {}).words || []).map((word, wordIndex) => ({ ...word, index: wordIndex }));
+      channel.redactions = findRedactions(words, redact);
+    });
+    log('info', 'api', 'Received Deepgram redaction second opinion', {
+      count: result.channels.reduce((total, channel) => total + channel.redactions.length, 0),
+      type: redact.join(',')
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  name: 'deepgram',
+  local: false,
+  isAvailable,
+  estimateSeconds,
+  requestUrl,
+  findRedactions,
+  normalizeResponse,
+  transcribe
+};
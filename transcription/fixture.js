@@ -0,0 +1,100 @@
+/**
+ * Fixture Transcription Provider for Call Info Remover
+ *
+ * Replays stored transcription responses instead of calling a service, so
+ * full jobs run with no network (in CI or on a developer machine). Fixtures
+ * are JSON files in TRANSCRIPTION_FIXTURES_PATH (default fixtures/transcription),
+ * either a raw Deepgram response or an already normalized result. For each
+ * upload the first file that exists is used:
+ *
+ *   <sha256 of the audio>.json   - a fixture for exactly this audio
+ *   <uploaded file name>.json    - "call-42.mp3" replays call-42.json
+ *   default.json                 - everything else
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const deepgram = require('./deepgram');
+
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, '..', 'fixtures', 'transcription');
+
+const noLog = () => {};
+
+function fixturesPath(dirPath) {
+  return dirPath || process.env.TRANSCRIPTION_FIXTURES_PATH || DEFAULT_FIXTURES_PATH;
+}
+
+/**
+ * Find the fixture file for an upload
+ * @param {Buffer} audioBuffer - Audio data
+ * @param {string} fileName - Uploaded file name
+ * @param {string} dirPath - Fixture directory (defaults to TRANSCRIPTION_FIXTURES_PATH or fixtures/transcription)
+ * @returns {string|null} - Path of the fixture, or null if there is none
+ */
+function findFixture(audioBuffer, fileName, dirPath) {
+  const dir = fixturesPath(dirPath);
+  const candidates = [
+    crypto.createHash('sha256').update(audioBuffer).digest('hex'),
+    fileName ? path.basename(fileName, path.extname(fileName)) : null,
+    'default'
+  ].filter(Boolean);
+
+  return candidates
+    .map(name => path.join(dir, `${name}.json`))
+    .find(file => fs.existsSync(file)) || null;
+}
+
+// Normalized fixtures only need channels with words; anything else is read as a Deepgram response
+function normalizeFixture(data) {
+  const channels = data && Array.isArray(data.channels) ? data.channels : null;
+  if (!channels || channels.length === 0 || channels[0].alternatives) {
+    return deepgram.normalizeResponse(data);
+  }
+
+  return {
+    channels: channels.map(channel => {
+      const words = channel.words || [];
+      return {
+        transcript: channel.transcript || words.map(w => w.punctuated_word || w.word).join(' '),
+        words,
+        detectedLanguage: channel.detectedLanguage || null,
+        ...(Array.isArray(channel.redactions) ? { redactions: channel.redactions } : {})
+      };
+    }),
+    utterances: data.utterances || []
+  };
+}
+
+/**
+ * Replay the stored transcription for an upload
+ * @param {Buffer} audioBuffer - Audio data
+ * @param {string} mimetype - MIME type of the audio
+ * @param {Object} options - { fileName, fixturesPath, log(level, category, message, details) }
+ * @returns {Promise<Object>} - Normalized result
+ * @throws {Error} - If there is no fixture or it cannot be read
+ */
+async function transcribe(audioBuffer, mimetype, options = {}) {
+  const log = options.log || noLog;
+  const file = findFixture(audioBuffer, options.fileName, options.fixturesPath);
+
+  if (!file) {
+    throw new Error(`No transcription fixture for ${options.fileName || 'this audio'} in ${fixturesPath(options.fixturesPath)}`);
+  }
+
+  const result = normalizeFixture(JSON.parse(fs.readFileSync(file, 'utf8')));
+  log('success', 'transcription', `Replayed transcription fixture ${path.basename(file)}`, {
+    fixturePath: file,
+    wordCount: result.channels[0].words.length
+  });
+
+  return result;
+}
+
+module.exports = {
+  name: 'fixture',
+  local: true,
+  estimateSeconds: () => 0,
+  findFixture,
+  transcribe
+};
@@ -0,0 +1,150 @@
+/**
+ * Transcription Providers for Call Info Remover
+ *
+ * The pipeline does not talk to a transcription service directly. A provider
+ * is a plain object:
+ *
+ *   {
+ *     name: 'deepgram',
+ *     async transcribe(audioBuffer, mimetype, options) {
+ *       return { channels: [...], utterances: [...] };
+ *     }
+ *   }
+ *
+ * and every provider returns the same normalized result:
+ *
+ *   channels   - one entry per audio channel (a single entry unless
+ *                options.multichannel is set): { transcript, words, detectedLanguage }
+ *                where words are { word, punctuated_word, start, end, confidence, speaker? }
+ *                with start and end in seconds. A channel may also have redactions:
+ *                { start, end, feature } ranges the provider itself found sensitive,
+ *                merged with the local detections as a second opinion
+ *   utterances - speaker turns: { start, end, speaker, channel, transcript } (may be empty)
+ *
+ * Options passed to every provider: multichannel, language ('auto' or a
+ * language code), fileName (the uploaded file name) and log(level, category,
+ * message, details). The Deepgram provider also receives apiKey and deepgram
+ * (the job's Deepgram options, see deepgram-options.js).
+ *
+ * Providers may also describe themselves, for the upload page:
+ *   local                            - true if the audio stays on this server
+ *   isAvailable(options)             - false if the provider is not set up (default true)
+ *   estimateSeconds(durationSeconds) - expected processing time for audio of that length
+ *
+ * The provider is chosen per upload, or globally by TRANSCRIPTION_PROVIDER
+ * (default 'deepgram'). 'whisper' runs whisper.cpp on the local CPU and
+ * 'fixture' replays stored responses so jobs can run with no network.
+ */
+
+const deepgram = require('./deepgram');
+const fixture = require('./fixture');
+const whisperCpp = require('./whisper-cpp');
+
+const DEFAULT_PROVIDER = 'deepgram';
+
+const providers = new Map();
+
+/**
+ * Register a provider, replacing any provider of the same name
+ * @param {Object} provider - { name, transcribe }
+ * @returns {Object} - The registered provider
+ */
+function registerProvider(provider) {
+  if (!provider || typeof provider.name !== 'string' || !provider.name) {
+    throw new Error('Transcription provider must have a name');
+  }
+  if (typeof provider.transcribe !== 'function') {
+    throw new Error(`Transcription provider ${provider.name} must have a transcribe function`);
+  }
+
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+/**
+ * Get the names of the registered providers
+ * @returns {Array<string>} - Provider names
+ */
+function getProviderNames() {
+  return Array.from(providers.keys());
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name (defaults to TRANSCRIPTION_PROVIDER, then 'deepgram')
+ * @returns {Object} - Provider
+ * @throws {Error} - If no provider has that name
+ */
+function getProvider(name) {
+  const providerName = name || process.env.TRANSCRIPTION_PROVIDER || DEFAULT_PROVIDER;
+  const provider = providers.get(providerName);
+  if (!provider) {
+    throw new Error(`Unknown transcription provider: ${providerName} (available: ${getProviderNames().join(', ')})`);
+  }
+  return provider;
+}
+
+/**
+ * Describe the registered providers, with processing time estimates
+ * @param {number} durationSeconds - Audio length in seconds (no estimates without it)
+ * @param {Object} options - Passed to each provider's isAvailable (apiKey)
+ * @returns {Array<Object>} - { name, local, available, default, estimatedSeconds } for each provider
+ */
+function describeProviders(durationSeconds, options = {}) {
+  const defaultName = process.env.TRANSCRIPTION_PROVIDER || DEFAULT_PROVIDER;
+  const hasDuration = typeof durationSeconds === 'number' && durationSeconds > 0;
+
+  return Array.from(providers.values()).map(provider => ({
+    name: provider.name,
+    local: Boolean(provider.local),
+    available: typeof provider.isAvailable === 'function' ? Boolean(provider.isAvailable(options)) : true,
+    default: provider.name === defaultName,
+    estimatedSeconds: hasDuration && typeof provider.estimateSeconds === 'function'
+      ? provider.estimateSeconds(durationSeconds)
+      : null
+  }));
+}
+
+// Providers must return at least one channel with a word list
+function checkResult(result, providerName) {
+  if (!result || !Array.isArray(result.channels) || result.channels.length === 0 ||
+      !result.channels.every(channel => channel && Array.isArray(channel.words))) {
+    throw new Error(`Transcription provider ${providerName} returned an invalid result`);
+  }
+
+  return {
+    channels: result.channels.map(channel => ({
+      transcript: channel.transcript || '',
+      words: channel.words,
+      detectedLanguage: channel.detectedLanguage || null,
+      ...(Array.isArray(channel.redactions) ? { redactions: channel.redactions } : {})
+    })),
+    utterances: Array.isArray(result.utterances) ? result.utterances : []
+  };
+}
+
+/**
+ * Transcribe audio with a provider
+ * @param {Buffer} audioBuffer - Audio data
+ * @param {string} mimetype - MIME type of the audio
+ * @param {Object} options - Provider options, plus provider (name, see getProvider)
+ * @returns {Promise<Object>} - Normalized result with the provider name added
+ */
+async function transcribe(audioBuffer, mimetype, options = {}) {
+  const provider = getProvider(options.provider);
+  const result = await provider.transcribe(audioBuffer, mimetype, options);
+  return { provider: provider.name, ...checkResult(result, provider.name) };
+}
+
+registerProvider(deepgram);
+registerProvider(fixture);
+registerProvider(whisperCpp);
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  registerProvider,
+  getProviderNames,
+  getProvider,
+  describeProviders,
+  transcribe
+};
@@ -0,0 +1,372 @@
+/**
+ * Local whisper.cpp Transcription Provider for Call Info Remover
+ *
+ * Transcribes on the server's own CPU with the whisper.cpp command line tool,
+ * so recordings never leave the premises. The audio is converted to 16 kHz
+ * WAV with FFmpeg, whisper.cpp is run with one word per segment and full JSON
+ * output, and the segments become words with timings in seconds (see
+ * transcription/index.js). Dual-channel recordings are transcribed one
+ * channel at a time. whisper.cpp does not diarize, so words have no speaker.
+ *
+ * Local runs are much slower than the Deepgram API. The expected processing
+ * time is the audio length times WHISPER_REALTIME_FACTOR; every run logs the
+ * factor it actually took so the setting can be tuned for the machine.
+ *
+ * Configuration (environment):
+ *   WHISPER_CPP_PATH         - whisper.cpp binary (default whisper-cli on the PATH)
+ *   WHISPER_MODEL_PATH       - ggml model file, e.g. models/ggml-base.bin; the provider
+ *                              is unavailable without it. English-only (.en) models
+ *                              cannot transcribe Spanish calls.
+ *   WHISPER_THREADS          - CPU threads (default: all cores)
+ *   WHISPER_REALTIME_FACTOR  - processing seconds per second of audio (default 1)
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpegStatic = require('ffmpeg-static');
+
+const DEFAULT_BINARY = 'whisper-cli';
+
+const DEFAULT_REALTIME_FACTOR = 1;
+
+// Model loading and audio conversion before the first word
+const STARTUP_SECONDS = 10;
+
+// A run is stopped once it takes this many times longer than expected
+const TIMEOUT_MULTIPLIER = 4;
+
+const MIN_TIMEOUT_SECONDS = 600;
+
+const SAMPLE_RATE = 16000;
+
+const noLog = () => {};
+
+function config() {
+  const threads = parseInt(process.env.WHISPER_THREADS, 10);
+  const factor = parseFloat(process.env.WHISPER_REALTIME_FACTOR);
+  return {
+    binary: process.env.WHISPER_CPP_PATH || DEFAULT_BINARY,
+    modelPath: process.env.WHISPER_MODEL_PATH || '',
+    threads: threads > 0 ? threads : os.cpus().length,
+    realTimeFactor: factor > 0 ? factor : DEFAULT_REALTIME_FACTOR
+  };
+}
+
+// A bare binary name is looked up on the PATH
+function binaryExists(binary) {
+  if (binary.includes(path.sep)) return fs.existsSync(binary);
+  return String(process.env.PATH || '')
+    .split(path.delimiter)
+    .filter(Boolean)
+    .some(dir => fs.existsSync(path.join(dir, binary)));
+}
+
+/**
+ * Check that whisper.cpp and its model are installed
+ * @returns {boolean} - True if the provider can run
+ */
+function isAvailable() {
+  const { binary, modelPath } = config();
+  return Boolean(modelPath) && fs.existsSync(modelPath) && binaryExists(binary);
+}
+
+/**
+ * Estimate how long a transcription takes
+ * @param {number} durationSeconds - Audio length in seconds
+ * @returns {number} - Expected processing time in seconds
+ */
+function estimateSeconds(durationSeconds) {
+  return Math.ceil(STARTUP_SECONDS + durationSeconds * config().realTimeFactor);
+}
+
+function run(command, args, timeoutSeconds) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    let stderr = '';
+    let timedOut = false;
+
+    const timer = timeoutSeconds
+      ? setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGKILL');
+      }, timeoutSeconds * 1000)
+      : null;
+
+    child.stderr.on('data', data => {
+      // Only the end of the output is useful in an error
+      stderr = (stderr + data.toString()).slice(-2000);
+    });
+    child.on('error', error => {
+      if (timer) clearTimeout(timer);
+      reject(new Error(`Could not run ${path.basename(command)}: ${error.message}`));
+    });
+    child.on('close', code => {
+      if (timer) clearTimeout(timer);
+      if (timedOut) {
+        reject(new Error(`${path.basename(command)} did not finish within ${timeoutSeconds} seconds`));
+      } else if (code !== 0) {
+        reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim()}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Read a 16-bit PCM WAV file
+ * @param {Buffer} buffer - WAV data
+ * @returns {Object} - { channels, sampleRate, data } where data is the interleaved samples
+ * @throws {Error} - If the data is not 16-bit PCM WAV
+ */
+function readWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Converted audio is not a WAV file');
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      format = {
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      if (!format || format.bitsPerSample !== 16) {
+        throw new Error('Converted audio is not 16-bit PCM');
+      }
+      return {
+        channels: format.channels,
+        sampleRate: format.sampleRate,
+        data: buffer.subarray(body, Math.min(body + size, buffer.length))
+      };
+    }
+
+    // Chunks are padded to an even length
+    offset = body + size + (size % 2);
+  }
+
+  throw new Error('Converted audio has no sound data');
+}
+
+/**
+ * Write mono 16-bit PCM samples as a WAV file
+ * @param {Buffer} data - Samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Buffer} - WAV data
+ */
+function writeWav(data, sampleRate) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Split interleaved samples into one mono buffer per channel
+ * @param {Object} wav - Result of readWav
+ * @returns {Array<Buffer>} - Samples of each channel
+ */
+function splitChannels(wav) {
+  const frameSize = wav.channels * 2;
+  const frames = Math.floor(wav.data.length / frameSize);
+
+  return Array.from({ length: wav.channels }, (unused, channel) => {
+    const samples = Buffer.alloc(frames * 2);
+    for (let frame = 0; frame < frames; frame++) {
+      wav.data.copy(samples, frame * 2, frame * frameSize + channel * 2, frame * frameSize + channel * 2 + 2);
+    }
+    return samples;
+  });
+}
+
+/**
+ * Build the whisper.cpp arguments for one channel
+ * @param {Object} options - { modelPath, threads, language, inputPath, outputBase }
+ * @returns {Array<string>} - Command line arguments
+ */
+function whisperArgs(options) {
+  return [
+    '-m', options.modelPath,
+    '-f', options.inputPath,
+    '-t', String(options.threads),
+    '-l', options.language || 'en',
+    // One word per segment, split on word boundaries, so every word gets its own timings
+    '-ml', '1',
+    '-sow',
+    // Full JSON output includes the token probabilities used as word confidence
+    '-ojf',
+    '-of', options.outputBase,
+    '-np'
+  ];
+}
+
+// Special tokens ("[_BEG_]", "[_TT_42]") carry no text
+function isSpecialToken(token) {
+  return /^\[_.*\]$/.test(String(token.text || '').trim());
+}
+
+// Non-speech markers such as "[BLANK_AUDIO]" or "(music)"
+function isNonSpeech(text) {
+  return /^[[(].*[\])]$/.test(text);
+}
+
+function cleanWord(text) {
+  return text.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+function segmentConfidence(segment) {
+  const probabilities = (segment.tokens || [])
+    .filter(token => !isSpecialToken(token) && typeof token.p === 'number')
+    .map(token => token.p);
+  if (probabilities.length === 0) return 1;
+  return probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length;
+}
+
+/**
+ * Convert whisper.cpp JSON output to a normalized channel
+ * @param {Object} output - Parsed whisper.cpp JSON
+ * @returns {Object} - { transcript, words, detectedLanguage }
+ */
+function parseOutput(output) {
+  const words = [];
+
+  ((output && output.transcription) || []).forEach(segment => {
+    const text = String(segment.text || '').trim();
+    const offsets = segment.offsets || {};
+    if (!text || isNonSpeech(text) || typeof offsets.from !== 'number') return;
+
+    // A word occasionally spans more than one segment's worth of text; its time is shared out
+    const parts = text.split(/\s+/);
+    const start = offsets.from / 1000;
+    const step = ((typeof offsets.to === 'number' ? offsets.to / 1000 : start) - start) / parts.length;
+    const confidence = segmentConfidence(segment);
+
+    parts.forEach((part, index) => {
+      const word = cleanWord(part);
+
+      // Punctuation on its own belongs to the word before it
+      if (!word) {
+        if (words.length > 0) words[words.length - 1].punctuated_word += part;
+        return;
+      }
+
+      words.push({
+        word,
+        punctuated_word: part,
+        start: start + step * index,
+        end: start + step * (index + 1),
+        confidence
+      });
+    });
+  });
+
+  return {
+    transcript: words.map(w => w.punctuated_word).join(' '),
+    words,
+    detectedLanguage: (output && output.result && output.result.language) || null
+  };
+}
+
+/**
+ * Transcribe audio with whisper.cpp on the local CPU
+ * @param {Buffer} audioBuffer - Audio data
+ * @param {string} mimetype - MIME type of the audio
+ * @param {Object} options - { multichannel, language, log(level, category, message, details) }
+ * @returns {Promise<Object>} - Normalized result
+ * @throws {Error} - If whisper.cpp is not set up or a run fails
+ */
+async function transcribe(audioBuffer, mimetype, options = {}) {
+  const log = options.log || noLog;
+  const settings = config();
+
+  if (!settings.modelPath || !fs.existsSync(settings.modelPath)) {
+    throw new Error('WHISPER_MODEL_PATH must point to a whisper.cpp model file');
+  }
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-'));
+
+  try {
+    // 16 kHz 16-bit WAV, keeping the channels of dual-channel recordings
+    const inputPath = path.join(tempDir, 'input');
+    const wavPath = path.join(tempDir, 'audio.wav');
+    fs.writeFileSync(inputPath, audioBuffer);
+    await run(ffmpegStatic, [
+      '-y', '-i', inputPath,
+      '-ar', String(SAMPLE_RATE),
+      ...(options.multichannel ? [] : ['-ac', '1']),
+      '-c:a', 'pcm_s16le',
+      '-map_metadata', '-1',
+      wavPath
+    ]);
+
+    const wav = readWav(fs.readFileSync(wavPath));
+    const durationSeconds = wav.data.length / (wav.sampleRate * 2 * wav.channels);
+    const expectedSeconds = estimateSeconds(durationSeconds);
+    const timeoutSeconds = Math.max(MIN_TIMEOUT_SECONDS, expectedSeconds * TIMEOUT_MULTIPLIER);
+    const channelSamples = wav.channels > 1 ? splitChannels(wav) : [wav.data];
+
+    log('info', 'transcription', `Transcribing ${durationSeconds.toFixed(1)} seconds of audio locally with whisper.cpp (about ${expectedSeconds} seconds expected)`, {
+      modelPath: settings.modelPath,
+      channelCount: channelSamples.length
+    });
+
+    const startTime = Date.now();
+    const channels = [];
+    for (let channel = 0; channel < channelSamples.length; channel++) {
+      const channelPath = path.join(tempDir, `channel-${channel}.wav`);
+      const outputBase = path.join(tempDir, `channel-${channel}`);
+      fs.writeFileSync(channelPath, writeWav(channelSamples[channel], wav.sampleRate));
+
+      await run(settings.binary, whisperArgs({
+        modelPath: settings.modelPath,
+        threads: settings.threads,
+        language: options.language,
+        inputPath: channelPath,
+        outputBase
+      }), timeoutSeconds);
+
+      channels.push(parseOutput(JSON.parse(fs.readFileSync(`${outputBase}.json`, 'utf8'))));
+    }
+
+    const elapsedSeconds = (Date.now() - startTime) / 1000;
+    log('success', 'transcription', `whisper.cpp transcribed ${durationSeconds.toFixed(1)} seconds of audio in ${elapsedSeconds.toFixed(1)} seconds (${(elapsedSeconds / Math.max(durationSeconds, 1)).toFixed(2)}x real time)`, {
+      wordCount: channels.reduce((total, channel) => total + channel.words.length, 0)
+    });
+
+    return { channels, utterances: [] };
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  name: 'whisper',
+  local: true,
+  isAvailable,
+  estimateSeconds,
+  readWav,
+  writeWav,
+  whisperArgs,
+  parseOutput,
+  transcribe
+};